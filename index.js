@@ -1,24 +1,123 @@
 /**
  * CalSnap · TeamSnap Custom Calendar
- * Single-user OAuth model with core functionality
+ * Per-user OAuth sessions with core functionality
  */
 
+import { ALARM_CATEGORIES, DEFAULT_ALARM_SETTINGS, buildAlarms, getArrivalDate, normalizeAlarmSettings } from './src/alarms.js';
+import { OAUTH_STATE_COOKIE, OAUTH_STATE_MAX_AGE, SESSION_COOKIE, SESSION_MAX_AGE, createCodeChallenge, generateRandomString, isEmailAllowed, parseCookies, serializeCookie, signSession, timingSafeEqual, verifySession } from './src/auth.js';
+import { AVAILABILITY_DISPLAY_MODES, AVAILABILITY_STATUSES, DEFAULT_AVAILABILITY_OPTIONS, buildAttendeeProperties, formatAvailabilitySummary, getOwnAvailability, normalizeAvailabilityOptions, summarizeAvailability } from './src/availability.js';
+import { DEFAULT_DURATIONS, DURATION_CATEGORIES, buildTimeProperties, getEventTimes, normalizeDurations } from './src/event-times.js';
+import { EVENT_TYPES, getBuiltInFilters, getEventType, getHomeAway, matchesFilters, normalizeFilters } from './src/filters.js';
+import { fnv1a } from './src/hash.js';
+import { property, rawProperty, serializeLines } from './src/ics.js';
+import { DEFAULT_LOCATION_OPTIONS, buildLocationDescription, buildLocationProperties, formatAddress } from './src/locations.js';
+import { SUGGESTED_STRIP_PATTERNS, applyOpponentRules, listOpponents, mergeOpponentRules, normalizeOpponentRules, validateOpponentRules } from './src/opponents.js';
+import { applyEventOverride, applyTextOverride, isOverrideOutdated, normalizeOverride, validateOverride } from './src/overrides.js';
+import { formatScheduleCsv, formatScheduleJson } from './src/schedule.js';
+import { WEBHOOK_FORMATS, buildAlertPayload, buildWebhookPayload, describeChange, detectChanges, getChangeKey, mergeChangeLog, normalizeWebhook, validateWebhook } from './src/changes.js';
+import { renderSchedulePage } from './src/schedule-page.js';
+import { addStaleNotice } from './src/stale-notice.js';
+import { TeamSnapAccessError, TeamSnapAuthError, TeamSnapError, TeamSnapRateLimitError, TeamSnapUnavailableError, createTeamSnapClient } from './src/teamsnap-api.js';
+import { formatResultDescription, formatResultTitle, getGameResult, getResultsFingerprint } from './src/results.js';
+import { formatIsoDateTime, formatUtcDateTime, generateVTimezone, isValidTimeZone } from './src/timezone.js';
+import { DEFAULT_TEMPLATES, DERIVED_FIELDS, buildTemplateContext, formatGameTime, renderTemplate, validateTemplate } from './src/templates.js';
+
 // The name of the KV namespace binding in wrangler.toml
 const KV_NAMESPACE = 'CALSNAP_CALENDAR_STORE';
 
-// Constants for the TeamSnap OAuth2 flow
-const TEAMSNAP_OAUTH_URL = 'https://auth.teamsnap.com/oauth/authorize';
-const TEAMSNAP_TOKEN_URL = 'https://auth.teamsnap.com/oauth/token';
-const TEAMSNAP_API_URL = 'https://api.teamsnap.com/v3';
+// Per-calendar options, stored as calendar_options_{teamId}_{filterType}
+const DEFAULT_CALENDAR_OPTIONS = {
+  includeCancelled: false,       // keep cancelled events as STATUS:CANCELLED
+  cancelledRetentionDays: null,  // drop cancelled events after this many days (null keeps them)
+};
+
+// How combined calendars label each team's events
+const COMBINED_LABELS = {
+  prefix: 'Team name before each title',
+  color: 'Team colour',
+  both: 'Team name and colour',
+};
+
+// Event colours for combined calendars (CSS colour names, as RFC 7986 COLOR requires)
+const CALENDAR_COLORS = ['crimson', 'darkorange', 'gold', 'seagreen', 'teal', 'royalblue', 'slateblue', 'orchid', 'sienna', 'slategray'];
+
+// Pre-rendered feeds are regenerated when older than this (seconds); FEED_MAX_AGE overrides it
+const DEFAULT_FEED_MAX_AGE = 3600;
+
+// Pre-rendered feeds are kept for 30 days (seconds) so there is a last good copy to fall back on
+const FEED_CACHE_TTL = 2592000;
+
+// Seconds a calendar can go without being checked against TeamSnap before it says so inside the calendar
+const STALE_NOTICE_AGE = 21600;
+
+// League and division venues are cached for 6 hours (seconds); a team's own locations are checked on every refresh
+const LOCATION_CACHE_TTL = 21600;
+
+// Seconds between last-access writes for one subscriber link, to keep KV writes down
+const TOKEN_ACCESS_INTERVAL = 900;
+
+// Seconds to keep the list of teams a user can manage
+const TEAM_IDS_TTL = 3600;
+
+// Seconds a webhook gets to reply
+const WEBHOOK_TIMEOUT = 5;
+
+// Seconds a sent change is remembered, so every user's copy of a calendar announces it only once
+const WEBHOOK_SENT_TTL = 604800;
+
+// Seconds the settings page says TeamSnap access was restored after it lapsed
+const AUTH_RESTORED_TTL = 604800;
+
+// TeamSnap's OAuth2 server and API; TEAMSNAP_AUTH_URL and TEAMSNAP_API_URL override them, e.g. to use a mock TeamSnap
+const DEFAULT_TEAMSNAP_AUTH_URL = 'https://auth.teamsnap.com';
+const DEFAULT_TEAMSNAP_API_URL = 'https://api.teamsnap.com/v3';
 
 // =============================================================================
 // CALENDAR GENERATION FUNCTIONS (PRESERVED FROM ORIGINAL)
 // =============================================================================
 
+/**
+ * An error generating a calendar, with the HTTP status to report it with.
+ */
+class CalendarError extends Error {
+  constructor(message, status = 500) {
+    super(message);
+    this.name = 'CalendarError';
+    this.status = status;
+  }
+}
+
+/**
+ * Converts a failed TeamSnap request into a CalendarError: 401 when the user's TeamSnap access has lapsed,
+ * 403 when TeamSnap no longer lets them see the team, 503 when TeamSnap is down or rate limiting, and 502 for
+ * anything else TeamSnap refused.
+ * @param {Error} error - Usually a TeamSnapError
+ * @param {string} message - What failed, e.g. Error fetching team events
+ */
+function toCalendarError(error, message) {
+  let status = 500;
+  if (error instanceof TeamSnapAuthError) {
+    status = 401;
+  } else if (error instanceof TeamSnapAccessError) {
+    status = 403;
+  } else if (error instanceof TeamSnapUnavailableError || error instanceof TeamSnapRateLimitError) {
+    status = 503;
+  } else if (error instanceof TeamSnapError) {
+    status = 502;
+  }
+  return new CalendarError(`${message}: ${error.message}`, status);
+}
+
 /**
  * Serves the iCalendar feed for a given calendar token.
+ * Pre-rendered feeds are served straight from KV; a feed older than FEED_MAX_AGE is served
+ * as-is while it is regenerated in the background, and the last good copy is kept when TeamSnap fails.
+ * A calendar that can't be updated because its owner's TeamSnap access has lapsed, or that TeamSnap hasn't
+ * confirmed for STALE_NOTICE_AGE, says so in its description and in an all-day event on today's date.
+ * The same events are also served as JSON and CSV, and as a web page that can be embedded in another site.
+ * @param {string} [format] - 'ics', 'text' (the feed shown in the browser), 'json', 'csv' or 'html'
  */
-async function serveCalendar(request, env, calendarId, forceText = false) {
+async function serveCalendar(request, env, ctx, calendarId, format = 'ics') {
   console.log('Serving calendar for ID:', calendarId);
 
   // Parse calendar token to get team info
@@ -26,7 +125,19 @@ async function serveCalendar(request, env, calendarId, forceText = false) {
   if (!tokenData) {
     return new Response('Invalid or expired calendar token.', { status: 400 });
   }
-  const { teamId, filterType } = tokenData;
+  const filename = tokenData.combinedId
+    ? `combined_${tokenData.combinedId}.ics`
+    : `${tokenData.teamId}_${tokenData.customId || tokenData.filterType}.ics`;
+  const feedId = getFeedId(tokenData);
+
+  // Record when and from which app the link was last used
+  if (Date.now() - (tokenData.lastAccess || 0) > TOKEN_ACCESS_INTERVAL * 1000) {
+    await env[KV_NAMESPACE].put(`calendar_token:${calendarId}`, JSON.stringify({
+      ...tokenData,
+      lastAccess: Date.now(),
+      userAgent: request.headers.get('User-Agent') || null
+    }));
+  }
 
   // Check for cache bypass parameter
   const url = new URL(request.url);
@@ -37,74 +148,569 @@ async function serveCalendar(request, env, calendarId, forceText = false) {
     console.log('Cache bypass enabled - skipping cache check');
   }
 
-  // Check for conditional request headers
-  const ifModifiedSince = request.headers.get('If-Modified-Since');
+  const cachedFeed = cacheOff ? null : await getCachedFeed(feedId, env);
+  let feed = cachedFeed;
+  let stale = false;
+  let refreshError = null;
+
+  if (!cachedFeed || forceRefresh) {
+    try {
+      feed = await refreshCalendar(feedId, tokenData, env, { previous: forceRefresh ? null : cachedFeed });
+    } catch (error) {
+      // A copy skipped with ?cache=off, or one that has outlived the cache, is still better than an error
+      feed = cachedFeed || (cacheOff ? await getCachedFeed(feedId, env) : null) || await getLastGoodFeed(feedId, env);
+      if (!feed) {
+        return new Response(error.message, { status: error.status || 500 });
+      }
+      console.warn(`Serving last good copy of calendar ${feedId}:`, error.message);
+      stale = true;
+      refreshError = error;
+    }
+  } else if (!isFeedFresh(cachedFeed, env)) {
+    // Stale-while-revalidate: the next request gets the regenerated copy
+    const refresh = refreshCalendar(feedId, tokenData, env, { previous: cachedFeed })
+      .catch(error => console.warn(`Background refresh of calendar ${feedId} failed:`, error.message));
+    if (ctx?.waitUntil) {
+      ctx.waitUntil(refresh);
+    } else {
+      await refresh;
+    }
+  }
+
+  // The exports and web page read the schedule stored with the feed; feeds cached before exports existed are rendered again
+  let schedule = null;
+  if (format === 'json' || format === 'csv' || format === 'html') {
+    schedule = feed.schedule || await getCachedSchedule(feedId, env);
+    if (!schedule) {
+      try {
+        feed = await refreshCalendar(feedId, tokenData, env);
+        schedule = feed.schedule;
+      } catch (error) {
+        return new Response(error.message, { status: error.status || 500 });
+      }
+    }
+  }
+
+  // The page lists upcoming events, so it changes with the time of day as well as the feed
+  if (format === 'html') {
+    const embed = url.searchParams.get('embed') === '1';
+    const page = renderSchedulePage(schedule, {
+      subscribeUrl: `${url.origin.replace(/^https?:/, 'webcal:')}/${calendarId}.ics`,
+      month: url.searchParams.get('month'),
+      view: url.searchParams.get('view') || 'all',
+      embed,
+    });
+    return new Response(page, {
+      headers: {
+        'Content-Type': 'text/html; charset=utf-8',
+        'Cache-Control': 'public, max-age=300',
+        // Only the embed mode may be framed by other sites; the link's token stays out of Referer headers
+        'Content-Security-Policy': `default-src 'none'; style-src 'unsafe-inline'; frame-ancestors ${embed ? '*' : "'none'"}`,
+        'Referrer-Policy': 'no-referrer',
+        'X-Content-Type-Options': 'nosniff',
+      },
+    });
+  }
+
+  // Each format has its own ETag, so a cached copy of one is never served as another
+  let icsContent = feed.icsContent;
+  let etag = schedule ? feed.etag.replace(/"$/, `-${format}"`) : feed.etag;
+
+  // The notice changes the calendar, so it gets an ETag of its own
+  const notice = schedule ? null : await getStaleNotice(feedId, feed, refreshError, env);
+  if (notice) {
+    icsContent = addStaleNotice(feed.icsContent, { uid: `calsnap-notice-${feedId}@calsnap`, ...notice });
+    etag = await generateEtag(icsContent);
+  }
+  const lastModified = new Date(feed.modifiedAt);
+  const headers = {
+    'Last-Modified': lastModified.toUTCString(),
+    'ETag': etag,
+    'Cache-Control': 'public, max-age=3600',
+  };
+  if (stale) {
+    headers['Warning'] = '110 - "Response is Stale"';
+  }
+
+  // Handle conditional requests
   const ifNoneMatch = request.headers.get('If-None-Match');
+  const ifModifiedSince = request.headers.get('If-Modified-Since');
+  const notModified = ifNoneMatch
+    ? ifNoneMatch === etag
+    : !!ifModifiedSince && Math.floor(feed.modifiedAt / 1000) * 1000 <= new Date(ifModifiedSince).getTime();
+  if (notModified) {
+    return new Response(null, { status: 304, headers });
+  }
+
+  if (format === 'json') {
+    headers['Content-Type'] = 'application/json; charset=utf-8';
+    headers['Access-Control-Allow-Origin'] = '*';
+    return new Response(formatScheduleJson(schedule, { updatedAt: feed.modifiedAt }), { headers });
+  }
+  if (format === 'csv') {
+    headers['Content-Type'] = 'text/csv; charset=utf-8';
+    headers['Content-Disposition'] = `attachment; filename="${filename.replace(/\.ics$/, '.csv')}"`;
+    headers['Access-Control-Allow-Origin'] = '*';
+    return new Response(formatScheduleCsv(schedule), { headers });
+  }
+
+  // Check if user wants to view as text instead of download
+  const formatAsText = format === 'text' || url.searchParams.get('format') === 'text';
+
+  if (formatAsText) {
+    // Display as plain text in browser - force inline display
+    headers['Content-Type'] = 'text/plain; charset=utf-8';
+    headers['Content-Disposition'] = 'inline';
+    headers['X-Content-Type-Options'] = 'nosniff';
+  } else {
+    // Normal calendar download
+    headers['Content-Type'] = 'text/calendar; charset=utf-8';
+    headers['Content-Disposition'] = `attachment; filename="${filename}"`;
+  }
+
+  return new Response(icsContent, { headers });
+}
+
+/**
+ * Gets the pre-rendered feed for a calendar.
+ * @param {string} feedId - The calendar's feed ID, from getFeedId
+ * @returns {Promise<Object|null>} { icsContent, etag, lastUpdate, fingerprint, modifiedAt, checkedAt }
+ */
+async function getCachedFeed(feedId, env) {
+  const { value, metadata } = await env[KV_NAMESPACE].getWithMetadata(`calendar_${feedId}`);
+  return value && metadata ? { icsContent: value, ...metadata } : null;
+}
+
+/**
+ * Gets the copy of a calendar kept from its last successful render. Unlike the pre-rendered feed it never
+ * expires, so a calendar whose owner's TeamSnap access lapsed long ago still has something to serve.
+ * @returns {Promise<Object|null>} { icsContent, etag, lastUpdate, fingerprint, modifiedAt, checkedAt }
+ */
+async function getLastGoodFeed(feedId, env) {
+  const { value, metadata } = await env[KV_NAMESPACE].getWithMetadata(`last_good:${feedId}`);
+  return value && metadata ? { icsContent: value, ...metadata } : null;
+}
+
+/**
+ * Decides whether a calendar gets the stale notice: when its owner's TeamSnap access has lapsed, or when it
+ * has not been checked against TeamSnap for STALE_NOTICE_AGE.
+ * @param {Object} feed - The copy being served
+ * @param {Error|null} refreshError - Why regenerating the calendar for this request failed, if it did
+ * @returns {Promise<Object|null>} { signInNeeded, lastUpdated }, or null when the copy needs no notice
+ */
+async function getStaleNotice(feedId, feed, refreshError, env) {
+  let errorStatus = refreshError?.status;
+  if (!refreshError) {
+    if (isFeedFresh(feed, env)) return null;
+    // A copy that is only due a refresh gets the notice when the last refresh failed
+    const status = JSON.parse(await env[KV_NAMESPACE].get(`feed_status:${feedId}`) || '{}');
+    if (status.state !== 'error') return null;
+    errorStatus = status.errorStatus;
+  }
+
+  const signInNeeded = errorStatus === 401;
+  if (!signInNeeded && Date.now() - feed.checkedAt < STALE_NOTICE_AGE * 1000) return null;
+  return { signInNeeded, lastUpdated: feed.checkedAt };
+}
+
+/**
+ * Checks whether a pre-rendered feed was checked against TeamSnap recently enough to serve as-is.
+ */
+function isFeedFresh(feed, env) {
+  const maxAge = parseInt(env.FEED_MAX_AGE, 10) || DEFAULT_FEED_MAX_AGE;
+  return Date.now() - feed.checkedAt < maxAge * 1000;
+}
+
+/**
+ * Gets the schedule stored with a calendar's pre-rendered feed, for the JSON and CSV exports.
+ * @returns {Promise<Object|null>} { name, timeZone, events }, or null for feeds rendered before exports existed
+ */
+async function getCachedSchedule(feedId, env) {
+  const stored = await env[KV_NAMESPACE].get(`schedule_${feedId}`);
+  return stored ? JSON.parse(stored) : null;
+}
+
+/**
+ * Regenerates a calendar feed, stores it with its ETag and records the outcome in feed_status:{feedId}.
+ * The schedule for the JSON and CSV exports is stored beside it in schedule_{feedId}, and compared with the
+ * previous one to log and announce what changed. Each new render is also kept in last_good:{feedId}, which
+ * does not expire. A failure because the owner's TeamSnap access has lapsed is recorded with recordAuthLapse.
+ * A render with the same ETag as the previous one only rewrites calendar_{feedId}, for its checkedAt time, to
+ * keep the cron trigger within the KV write limits.
+ * @param {string} feedId - The calendar's feed ID, from getFeedId
+ * @param {Object} tokenData - { teamId, filterType }, { teamId, customId } or { combinedId }
+ * @param {Object} env - Worker environment
+ * @param {Object} [options]
+ * @param {Object|null} [options.previous] - The current pre-rendered feed, kept when nothing has changed
+ * @returns {Promise<Object>} The stored feed, with its schedule
+ */
+async function refreshCalendar(feedId, tokenData, env, { previous = null } = {}) {
+  const statusKey = `feed_status:${feedId}`;
+  const status = JSON.parse(await env[KV_NAMESPACE].get(statusKey) || '{}');
+  const startedAt = Date.now();
+
+  try {
+    const result = await generateCalendar(tokenData, env, { previous });
+    const etag = result.unchanged ? previous.etag : await generateEtag(result.icsContent);
+    const changed = etag !== previous?.etag;
+    const metadata = {
+      etag,
+      lastUpdate: result.lastUpdate,
+      fingerprint: result.fingerprint,
+      modifiedAt: changed ? startedAt : previous.modifiedAt,
+      checkedAt: startedAt,
+    };
+
+    // The schedule is kept until the calendar changes, is invalidated or is deleted
+    const previousSchedule = await getCachedSchedule(feedId, env);
+    const schedule = result.schedule || previousSchedule;
+    await env[KV_NAMESPACE].put(`calendar_${feedId}`, result.icsContent, { expirationTtl: FEED_CACHE_TTL, metadata });
+    if (changed) {
+      await env[KV_NAMESPACE].put(`last_good:${feedId}`, result.icsContent, { metadata });
+    }
+    if (result.schedule && (changed || !previousSchedule)) {
+      await env[KV_NAMESPACE].put(`schedule_${feedId}`, JSON.stringify(result.schedule));
+    }
+    if (changed && result.schedule && previousSchedule) {
+      await recordScheduleChanges(feedId, tokenData, previousSchedule, result.schedule, env);
+    }
+    await putFeedStatus(statusKey, status, {
+      state: 'ok',
+      lastAttempt: startedAt,
+      lastSuccess: startedAt,
+      lastChange: metadata.modifiedAt,
+      eventCount: result.eventCount,
+      durationMs: Date.now() - startedAt,
+      error: null,
+    }, env);
+
+    return { icsContent: result.icsContent, schedule, ...metadata };
+  } catch (error) {
+    await putFeedStatus(statusKey, status, {
+      ...status,
+      state: 'error',
+      lastAttempt: startedAt,
+      durationMs: Date.now() - startedAt,
+      error: error.message,
+      errorStatus: error.status || 500,
+    }, env);
+    if (error.status === 401) {
+      await recordAuthLapse(feedId, tokenData, env);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Stores a calendar's refresh status when the outcome differs from the stored one. Refreshes that only differ
+ * in their times leave it as it was, so lastAttempt and lastSuccess are when the outcome last changed.
+ * @param {string} statusKey - feed_status:{feedId}
+ * @param {Object} stored - The stored status, or {}
+ * @param {Object} status - This refresh's status
+ */
+async function putFeedStatus(statusKey, stored, status, env) {
+  const outcome = ({ state, lastChange, eventCount, error, errorStatus }) => JSON.stringify([state, lastChange, eventCount, error, errorStatus]);
+  if (outcome(stored) === outcome(status)) return;
+  await env[KV_NAMESPACE].put(statusKey, JSON.stringify(status), { expirationTtl: FEED_CACHE_TTL });
+}
+
+/**
+ * Records that a calendar owner's TeamSnap access has lapsed, in auth_health_{userId}, for the settings page.
+ * The first time each of a team's webhooks sees the lapse, it is told the calendar has stopped updating.
+ * Webhook failures are logged and never fail the refresh.
+ * @param {string} feedId - The calendar's feed ID
+ * @param {Object} tokenData - The calendar, with the userId whose TeamSnap access lapsed
+ */
+async function recordAuthLapse(feedId, tokenData, env) {
+  const key = oauthKey('auth_health', tokenData.userId);
+  const stored = JSON.parse(await env[KV_NAMESPACE].get(key) || 'null');
+  const health = stored?.state === 'lapsed' ? stored : { state: 'lapsed', since: Date.now(), alerted: [] };
+  let changed = health !== stored;
+
+  const calendar = tokenData.customId || tokenData.filterType;
+  const webhooks = tokenData.teamId
+    ? (await getWebhooks(tokenData.teamId, env)).filter(webhook => webhook.calendar === calendar && !health.alerted.includes(webhook.id))
+    : [];
+  if (webhooks.length > 0) {
+    const calendarName = (await getCachedSchedule(feedId, env))?.name || 'Team';
+    const payload = {
+      calendarName,
+      message: "CalSnap can't update this calendar until its owner signs in to CalSnap again. Subscribers keep the last copy until then.",
+    };
 
-  // Check for cached calendar data and last update timestamp (unless cache is off)
-  const cacheKey = `calendar_${calendarId}`;
-  const lastUpdateKey = `${cacheKey}_lastupdate`;
-  const cachedIcs = (cacheOff || forceRefresh) ? null : await env[KV_NAMESPACE].get(cacheKey);
-  const cachedLastUpdate = (cacheOff || forceRefresh) ? null : await env[KV_NAMESPACE].get(lastUpdateKey);
-
-  // Clear cache if refresh is requested
-  if (forceRefresh) {
-    console.log('Force refresh enabled - clearing cache');
-    await env[KV_NAMESPACE].delete(cacheKey);
-    await env[KV_NAMESPACE].delete(lastUpdateKey);
-  }
-
-  // Handle conditional requests with cached data
-  if (cachedIcs && cachedLastUpdate) {
-    const lastModified = new Date(parseInt(cachedLastUpdate));
-    const etag = `"${calendarId}-${cachedLastUpdate}"`;
-
-    // Check If-Modified-Since header
-    if (ifModifiedSince) {
-      const ifModifiedSinceDate = new Date(ifModifiedSince);
-      if (lastModified <= ifModifiedSinceDate) {
-        return new Response(null, {
-          status: 304,
-          headers: {
-            'Last-Modified': lastModified.toUTCString(),
-            'ETag': etag,
-            'Cache-Control': 'public, max-age=3600',
-          }
+    for (const webhook of webhooks) {
+      try {
+        const response = await fetch(webhook.url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(buildAlertPayload(webhook.format, payload)),
+          signal: AbortSignal.timeout(WEBHOOK_TIMEOUT * 1000),
         });
+        if (!response.ok) {
+          throw new Error(`${response.status} ${response.statusText}`);
+        }
+        health.alerted.push(webhook.id);
+        changed = true;
+      } catch (error) {
+        console.warn(`Webhook ${webhook.id} for team ${tokenData.teamId} failed:`, error.message);
       }
     }
+  }
 
-    // Check If-None-Match header (ETag)
-    if (ifNoneMatch && ifNoneMatch === etag) {
-      return new Response(null, {
-        status: 304,
-        headers: {
-          'Last-Modified': lastModified.toUTCString(),
-          'ETag': etag,
-          'Cache-Control': 'public, max-age=3600',
-        }
+  if (changed) {
+    await env[KV_NAMESPACE].put(key, JSON.stringify(health));
+  }
+}
+
+/**
+ * Logs the changes between two renders of a calendar in changes:{feedId} and sends them to the team's webhooks.
+ * Webhook failures are logged and never fail the refresh.
+ * @returns {Promise<Object[]>} The changes found
+ */
+async function recordScheduleChanges(feedId, tokenData, previousSchedule, schedule, env) {
+  const changes = detectChanges(previousSchedule.events, schedule.events, { cancelledIds: schedule.cancelledIds });
+  if (changes.length === 0) return changes;
+
+  const logKey = `changes:${feedId}`;
+  const log = JSON.parse(await env[KV_NAMESPACE].get(logKey) || '[]');
+  await env[KV_NAMESPACE].put(logKey, JSON.stringify(mergeChangeLog(log, changes, Date.now())), { expirationTtl: FEED_CACHE_TTL });
+
+  if (tokenData.teamId) {
+    await notifyWebhooks(tokenData, schedule.name || 'Team', changes, env);
+  }
+  return changes;
+}
+
+/**
+ * Posts changes to the webhooks set up for a team calendar. Each user's copy of the calendar, and each of the
+ * team's calendars showing the event, finds the same changes, so changes already sent to a webhook URL are skipped.
+ * @param {Object} tokenData - { teamId, filterType } or { teamId, customId }
+ */
+async function notifyWebhooks(tokenData, calendarName, changes, env) {
+  const calendar = tokenData.customId || tokenData.filterType;
+  const webhooks = (await getWebhooks(tokenData.teamId, env)).filter(webhook => webhook.calendar === calendar);
+  if (webhooks.length === 0) return;
+
+  const sentKey = `webhook_sent_${tokenData.teamId}`;
+  const sent = JSON.parse(await env[KV_NAMESPACE].get(sentKey) || '{}');
+  const now = Date.now();
+
+  for (const webhook of webhooks) {
+    const unsent = changes.filter(change => !sent[`${webhook.url}|${getChangeKey(change)}`]);
+    if (unsent.length === 0) continue;
+
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(buildWebhookPayload(webhook.format, { calendarName, changes: unsent })),
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT * 1000),
       });
+      if (!response.ok) {
+        throw new Error(`${response.status} ${response.statusText}`);
+      }
+      for (const change of unsent) {
+        sent[`${webhook.url}|${getChangeKey(change)}`] = now;
+      }
+    } catch (error) {
+      console.warn(`Webhook ${webhook.id} for team ${tokenData.teamId} failed:`, error.message);
     }
   }
 
-  let accessToken = await env[KV_NAMESPACE].get('oauth_access_token');
+  for (const [key, sentAt] of Object.entries(sent)) {
+    if (now - sentAt > WEBHOOK_SENT_TTL * 1000) delete sent[key];
+  }
+  await env[KV_NAMESPACE].put(sentKey, JSON.stringify(sent), { expirationTtl: WEBHOOK_SENT_TTL });
+}
+
+/**
+ * Regenerates the feed of every calendar with a subscriber link, one at a time. Runs from the cron trigger.
+ * @returns {Promise<{refreshed: number, failed: number}>}
+ */
+async function refreshAllCalendars(env) {
+  const results = { refreshed: 0, failed: 0 };
+  const seen = new Set();
+  let cursor;
+
+  do {
+    const page = await env[KV_NAMESPACE].list({ prefix: 'calendar_token:', cursor });
+    for (const { name } of page.keys) {
+      const tokenData = await parseCalendarToken(name.substring('calendar_token:'.length), env);
+      if (!tokenData) continue;
+
+      // Links to the same calendar share one feed
+      const feedId = getFeedId(tokenData);
+      if (seen.has(feedId)) continue;
+      seen.add(feedId);
+
+      try {
+        await refreshCalendar(feedId, tokenData, env, { previous: await getCachedFeed(feedId, env) });
+        results.refreshed++;
+      } catch (error) {
+        console.error(`Scheduled refresh of calendar ${feedId} failed:`, error.message);
+        results.failed++;
+      }
+    }
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+
+  console.log(`Scheduled refresh: ${results.refreshed} refreshed, ${results.failed} failed`);
+  return results;
+}
+
+/**
+ * Generates the ICS for a team calendar or a combined calendar from TeamSnap data.
+ * @param {Object} tokenData - { teamId, filterType }, { teamId, customId } or { combinedId }, with the userId whose
+ *   TeamSnap access is used (none for links issued before sign-in was per user)
+ * @param {Object} env - Worker environment
+ * @param {Object} [options]
+ * @param {Object|null} [options.previous] - The current pre-rendered feed, returned as-is when nothing has changed
+ * @returns {Promise<{icsContent: string, schedule: Object|null, lastUpdate: number, fingerprint: string, eventCount: number, unchanged: boolean}>}
+ *   The schedule, for the JSON and CSV exports, is null when unchanged
+ * @throws {CalendarError} When TeamSnap cannot be reached or access has expired
+ */
+async function generateCalendar(tokenData, env, { previous = null } = {}) {
+  // A combined calendar merges the feeds of several teams
+  let combined = null;
+  let sources = [tokenData];
+  if (tokenData.combinedId) {
+    combined = await getCombinedCalendar(tokenData.combinedId, env);
+    if (!combined) {
+      throw new CalendarError('Combined calendar not found.', 404);
+    }
+    sources = combined.sources;
+  }
 
-  // If the access token is expired, try to refresh it
+  // Calendars are generated with the TeamSnap access of the user who issued the link
+  const accessToken = await getAccessToken(env, tokenData.userId);
   if (!accessToken) {
-    const newTokens = await refreshAccessToken(env);
-    if (newTokens) {
-      accessToken = newTokens.access_token;
-    } else {
-      return new Response('Calendar access expired. Please re-authenticate.', { status: 401 });
+    throw new CalendarError('Calendar access expired. Please re-authenticate.', 401);
+  }
+
+  const teamFeeds = [];
+  for (const source of sources) {
+    teamFeeds.push(await loadTeamFeed(source, env, tokenData.userId));
+  }
+
+  const latestEventUpdate = Math.max(0, ...teamFeeds.map(feed => feed.latestUpdate));
+  const fingerprint = teamFeeds.map(feed => feed.fingerprint).join('');
+  const eventCount = teamFeeds.reduce((count, feed) => count + feed.events.length, 0);
+
+  // Nothing has changed since the previous copy, so keep it (and its ETag)
+  if (previous && latestEventUpdate <= previous.lastUpdate && fingerprint === previous.fingerprint) {
+    return { icsContent: previous.icsContent, schedule: null, lastUpdate: previous.lastUpdate, fingerprint, eventCount, unchanged: true };
+  }
+
+  const calendarName = combined ? combined.name : teamFeeds[0].feedName;
+
+  // Generate calendar
+  const calendarLines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    property('PRODID', '-//TeamSnap Custom Calendar//TeamSnap Events//EN'),
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+  ];
+
+  // Add calendar name if available
+  if (calendarName) {
+    calendarLines.push(property('X-WR-CALNAME', calendarName));
+  }
+
+  // Calendar time zone: the (first) team's, else the first event's
+  const firstEventTimeZone = teamFeeds
+    .flatMap(feed => feed.events)
+    .map(event => event.data?.find(d => d.name === 'time_zone_iana_name')?.value)
+    .find(isValidTimeZone);
+  const calendarTimeZone = teamFeeds.map(feed => feed.teamTimeZone).find(isValidTimeZone) || firstEventTimeZone;
+  if (calendarTimeZone) {
+    calendarLines.push(property('X-WR-TIMEZONE', calendarTimeZone));
+  }
+
+  // Years covered by each time zone, for the VTIMEZONE blocks
+  const timeZoneYears = new Map();
+
+  // Merge events shared between the teams of a combined calendar, keeping the first team's copy
+  const mergedEvents = new Map();
+  teamFeeds.forEach((feed, index) => {
+    const source = sources[index];
+    for (const event of renderTeamEvents(feed, { calendarTimeZone, timeZoneYears })) {
+      const key = combined ? event.key : `${index}|${mergedEvents.size}`;
+      if (mergedEvents.has(key)) {
+        mergedEvents.get(key).labels.push(feed.calendarName);
+      } else {
+        mergedEvents.set(key, { event, labels: [feed.calendarName], color: source.color });
+      }
+    }
+  });
+
+  const eventLines = [];
+  const scheduleEvents = [];
+  for (const { event, labels, color } of mergedEvents.values()) {
+    const extraLines = [];
+    let title = event.title;
+    const teamLabel = [...new Set(labels.filter(Boolean))].join(' / ');
+
+    if (combined) {
+      if (combined.label !== 'color' && teamLabel && !(labels.length === 1 && title.startsWith(teamLabel))) {
+        title = `${teamLabel}: ${title}`;
+      }
+      if (combined.label !== 'prefix' && color) {
+        extraLines.push(rawProperty('COLOR', color));
+      }
+    }
+
+    eventLines.push(...event.toLines(title, extraLines));
+    scheduleEvents.push(event.toRecord(title, teamLabel));
+  }
+
+  // Time zone definitions must precede the events that reference them
+  for (const [timeZone, years] of timeZoneYears) {
+    calendarLines.push(...generateVTimezone(timeZone, years.from, years.to));
+  }
+
+  calendarLines.push(...eventLines);
+  calendarLines.push('END:VCALENDAR');
+
+  const schedule = {
+    name: calendarName || null,
+    timeZone: calendarTimeZone || null,
+    events: scheduleEvents.sort((a, b) => new Date(a.start) - new Date(b.start)),
+    cancelledIds: teamFeeds.flatMap(feed => feed.cancelledIds),
+  };
+
+  return { icsContent: serializeLines(calendarLines), schedule, lastUpdate: latestEventUpdate, fingerprint, eventCount, unchanged: false };
+}
+
+/**
+ * Fetches a team's events for a calendar, with everything needed to render them.
+ * @param {Object} source - { teamId, filterType } for a built-in calendar, or { teamId, customId }
+ * @param {Object} env - Worker environment
+ * @param {string|null} [userId] - The user whose TeamSnap access is used
+ * @returns {Promise<Object>} The team's filtered events, locations, availability and settings,
+ *   and the latest update time and fingerprint used to check for changes
+ * @throws {CalendarError} When the team's events cannot be fetched, or the custom calendar no longer exists
+ */
+async function loadTeamFeed(source, env, userId = null) {
+  const { teamId, filterType, customId } = source;
+
+  // Custom calendars carry their own filters and cancelled event options
+  let custom = null;
+  if (customId) {
+    custom = (await getCustomCalendars(teamId, env)).find(calendar => calendar.id === customId);
+    if (!custom) {
+      throw new CalendarError('Calendar not found.', 404);
     }
   }
 
   // Fetch team data to get the actual team name
   let actualTeamName = null;
+  let teamTimeZone = null;
   try {
-    const teamData = await fetchTeamSnapData(`/teams/${teamId}`, env);
+    const teamData = await fetchTeamSnapData(`/teams/${teamId}`, env, userId);
     if (teamData && teamData.collection && teamData.collection.items && teamData.collection.items.length > 0) {
       actualTeamName = teamData.collection.items[0].data.find(d => d.name === 'name').value;
+      teamTimeZone = teamData.collection.items[0].data.find(d => d.name === 'time_zone_iana_name')?.value || null;
     }
   } catch (error) {
     console.warn(`Could not fetch team name for team ${teamId}:`, error);
@@ -112,25 +718,10 @@ async function serveCalendar(request, env, calendarId, forceText = false) {
 
   let eventsData;
   try {
-    const apiUrl = `${TEAMSNAP_API_URL}/events/search?team_id=${teamId}`;
-
-    const teamEventsResponse = await fetch(apiUrl, {
-      headers: {
-        Authorization: `Bearer ${accessToken}`,
-        'Accept': 'application/json',
-      },
-    });
-
-    if (!teamEventsResponse.ok) {
-      const errorText = await teamEventsResponse.text();
-      console.error(`TeamSnap API error for team ${teamId}:`, teamEventsResponse.status, errorText);
-      return new Response(`Error fetching team events: ${teamEventsResponse.status} ${errorText}`, { status: 500 });
-    }
-
-    eventsData = await teamEventsResponse.json();
+    eventsData = await getTeamSnapClient(env, userId).get(`/events/search?team_id=${teamId}`);
   } catch (error) {
-    console.error('Error fetching team events:', error);
-    return new Response('Failed to fetch team events', { status: 500 });
+    console.error(`TeamSnap API error for team ${teamId}:`, error.message);
+    throw toCalendarError(error, 'Error fetching team events');
   }
 
   if (!eventsData || !eventsData.collection || !eventsData.collection.items) {
@@ -140,254 +731,321 @@ async function serveCalendar(request, env, calendarId, forceText = false) {
 
   let events = eventsData.collection.items;
 
-  // Filter out cancelled events
-  events = events.filter(event => {
-    const isCanceled = event.data?.find(d => d.name === 'is_canceled')?.value;
-    return !isCanceled;
-  });
-
-  // Apply filter
-  if (filterType === 'games') {
-    events = events.filter(event => {
-      const gameType = event.data?.find(d => d.name === 'game_type')?.value;
-      const opponentName = event.data?.find(d => d.name === 'opponent_name')?.value;
-      return gameType === 'Game' || opponentName;
-    });
-  }
-
-  // Get the latest event update time for caching
-  let latestEventUpdate = 0;
+  // Get the latest event update time for caching, including events filtered out below
+  // so that a newly cancelled event invalidates the cache
+  let latestUpdate = 0;
   events.forEach(event => {
     const updatedAt = event.data?.find(d => d.name === 'updated_at')?.value;
     if (updatedAt) {
       const updateTime = new Date(updatedAt).getTime();
-      if (updateTime > latestEventUpdate) {
-        latestEventUpdate = updateTime;
+      if (updateTime > latestUpdate) {
+        latestUpdate = updateTime;
       }
     }
   });
 
-  // If we have cached data and events haven't changed, return cached version
-  if (cachedIcs && cachedLastUpdate && latestEventUpdate <= parseInt(cachedLastUpdate)) {
-    const lastModified = new Date(parseInt(cachedLastUpdate));
-    const etag = `"${calendarId}-${cachedLastUpdate}"`;
+  // Events hidden in CalSnap are left out of every calendar
+  const overrides = await getEventOverrides(teamId, env);
+  const getOverride = event => overrides[String(event.data?.find(d => d.name === 'id')?.value)] || null;
+  events = events.filter(event => !getOverride(event)?.hidden);
 
-    return new Response(cachedIcs, {
-      headers: {
-        'Content-Type': 'text/calendar; charset=utf-8',
-        'Content-Disposition': `attachment; filename="${teamId}_${filterType}.ics"`,
-        'Last-Modified': lastModified.toUTCString(),
-        'ETag': etag,
-        'Cache-Control': 'public, max-age=3600',
-      },
-    });
-  }
+  // Filter out cancelled events, unless this calendar keeps them; their IDs tell a cancellation from a deletion
+  const calendarOptions = custom
+    ? { ...DEFAULT_CALENDAR_OPTIONS, ...custom.calendarOptions }
+    : await getCalendarOptions(teamId, filterType, env);
+  const cancelledIds = [];
+  events = events.filter(event => {
+    const isCanceled = event.data?.find(d => d.name === 'is_canceled')?.value;
+    if (!isCanceled) return true;
+    cancelledIds.push(String(event.data?.find(d => d.name === 'id')?.value));
+    if (!calendarOptions.includeCancelled) return false;
+    if (!calendarOptions.cancelledRetentionDays) return true;
+
+    // TeamSnap does not record when an event was cancelled; updated_at is the closest signal
+    const updatedAt = event.data?.find(d => d.name === 'updated_at')?.value;
+    const cancelledAt = updatedAt ? new Date(updatedAt).getTime() : Date.now();
+    return Date.now() - cancelledAt <= calendarOptions.cancelledRetentionDays * 24 * 60 * 60 * 1000;
+  });
+
+  // Apply the calendar's filters, to the corrected times and location
+  const filters = custom ? normalizeFilters(custom.filters) : getBuiltInFilters(filterType);
+  const now = Date.now();
+  events = events.filter(event => matchesFilters(applyEventOverride(flattenItem(event), getOverride(event)), filters, now));
+
+  // Load every location the events refer to in one batch; a changed location also invalidates the cache
+  const { locations, latestUpdate: latestLocationUpdate } = await getTeamLocations(
+    teamId,
+    events.map(event => event.data?.find(d => d.name === 'location_id')?.value),
+    env,
+    userId
+  );
+  latestUpdate = Math.max(latestUpdate, latestLocationUpdate);
+
+  // Replies do not touch the event's updated_at, so they invalidate the cache separately
+  const availabilityOptions = await getAvailabilityOptions(teamId, env);
+  const availability = await getTeamAvailability(teamId, availabilityOptions, env, userId);
+  latestUpdate = Math.max(latestUpdate, availability.latestUpdate);
+
+  // Entering a score may not touch updated_at either, and date filters and cancelled event retention
+  // change which events are included over time, so both are compared by fingerprint
+  const showResults = (await env[KV_NAMESPACE].get(`show_results_${teamId}`)) === 'true';
+  const selectionFingerprint = fnv1a(events.map(event => event.data?.find(d => d.name === 'id')?.value).join(','));
+  const fingerprint = selectionFingerprint + (showResults ? getResultsFingerprint(events.map(flattenItem)) : '');
 
   // Get custom team name for calendar title
   const customTeamName = await env[KV_NAMESPACE].get(`custom_team_name_${teamId}`);
+  const removeOpponentNames = (await env[KV_NAMESPACE].get(`remove_opponent_names_${teamId}`)) === 'true';
+  const templates = await getEventTemplates(teamId, env);
+  const alarmSettings = await getAlarmSettings(teamId, env);
+  const durations = await getEventDurations(teamId, env);
+  const startAtArrival = (await env[KV_NAMESPACE].get(`start_at_arrival_${teamId}`)) === 'true';
+  const locationOptions = await getLocationOptions(teamId, env);
+  const opponentRules = await getOpponentRules(teamId, env, userId);
+
   const calendarName = customTeamName || actualTeamName || '';
 
-  // Generate calendar
-  let icsContent = 'BEGIN:VCALENDAR\r\n';
-  icsContent += 'VERSION:2.0\r\n';
-  icsContent += 'PRODID:-//TeamSnap Custom Calendar//TeamSnap Events//EN\r\n';
-  icsContent += 'CALSCALE:GREGORIAN\r\n';
-  icsContent += 'METHOD:PUBLISH\r\n';
+  return {
+    teamId,
+    actualTeamName,
+    customTeamName,
+    calendarName,
+    feedName: custom ? [calendarName, custom.name].filter(Boolean).join(' · ') : calendarName,
+    teamTimeZone,
+    events,
+    cancelledIds,
+    overrides,
+    locations,
+    availability,
+    availabilityOptions,
+    showResults,
+    fingerprint,
+    latestUpdate,
+    removeOpponentNames,
+    templates,
+    alarmSettings,
+    durations,
+    startAtArrival,
+    locationOptions,
+    opponentRules,
+  };
+}
 
-  // Add calendar name if available
-  if (calendarName) {
-    icsContent += `X-WR-CALNAME:${calendarName}\r\n`;
-  }
+/**
+ * Renders a team's events, leaving the title open so combined calendars can label them.
+ * @param {Object} feed - Team feed from loadTeamFeed
+ * @param {Object} options
+ * @param {string|null} options.calendarTimeZone - Fallback time zone for events without one
+ * @param {Map} options.timeZoneYears - Years covered by each time zone, updated for the VTIMEZONE blocks
+ * @returns {Array<{key: string, title: string, toLines: Function, toRecord: Function}>} Events with a duplicate key,
+ *   their title, and functions building the VEVENT lines from a title and extra properties, and the schedule export
+ *   entry from a title and team label
+ */
+function renderTeamEvents(feed, { calendarTimeZone, timeZoneYears }) {
+  const {
+    teamId,
+    actualTeamName,
+    customTeamName,
+    calendarName,
+    events,
+    overrides,
+    locations,
+    availability,
+    availabilityOptions,
+    showResults,
+    removeOpponentNames,
+    templates,
+    alarmSettings,
+    durations,
+    startAtArrival,
+    locationOptions,
+    opponentRules,
+  } = feed;
+  const renderedEvents = [];
 
   for (const event of events) {
-    const eventData = {};
-    event.data.forEach(d => {
-      eventData[d.name] = d.value;
-    });
-
+    // Corrections made in CalSnap replace TeamSnap's times and location before anything is rendered,
+    // and the opponent's name is shortened everywhere it appears
+    const upstreamData = flattenItem(event);
+    const override = overrides[String(upstreamData.id)] || null;
+    const eventData = applyOpponentRules(applyEventOverride(upstreamData, override), opponentRules);
 
     const startTime = eventData.start_date;
-    const endTime = eventData.end_date;
 
     if (!startTime) continue;
 
-    const startDate = new Date(startTime);
-    const endDate = endTime ? new Date(endTime) : new Date(startDate.getTime() + 2 * 60 * 60 * 1000);
-
-    const formatDate = (date) => {
-      return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
-    };
-
-    const generateEventDescription = (event) => {
-      let desc = '';
-
-      // Title line - use proper Home/Away format for games
-      if (event.is_game && event.opponent_name) {
-        if (event.game_type === 'Home') {
-          desc += `Home vs. ${event.opponent_name}\\n`;
-        } else if (event.game_type === 'Away') {
-          desc += `Away at ${event.opponent_name}\\n`;
-        } else {
-          // Fallback if game_type is unclear
-          desc += `${event.label || 'TBD'} vs. ${event.opponent_name}\\n`;
-        }
-      }
+    // Write times in the event's time zone, falling back to the calendar's, else UTC
+    const eventTimeZone = [eventData.time_zone_iana_name, calendarTimeZone].find(isValidTimeZone) || null;
 
-      // Uniform (all events)
-      if (event.uniform) desc += `Uniform: ${event.uniform}\\n`;
-
-      // Location (all events)
-      if (event.location_name) {
-        desc += `\\n${event.location_name}`;
-        if (event.additional_location_details && event.additional_location_details !== 'TBD') {
-          desc += `\\n${event.additional_location_details}`;
-        }
-        desc += `\\n`;
-      }
+    // TBD and whole-day events are written as dates; the rest end after TeamSnap's duration or the team's default
+    const times = getEventTimes(eventData, { timeZone: eventTimeZone, durations });
+    const gameStartDate = times.start;
+    const endDate = times.end;
 
-      // Arrival time (games only)
-      if (event.is_game && event.arrival_date && event.minutes_to_arrive_early) {
-        const timeOptions = {
-          hour: 'numeric',
-          minute: '2-digit'
-        };
-        if (event.time_zone_iana_name) {
-          timeOptions.timeZone = event.time_zone_iana_name;
-        }
-        const arrivalTime = new Date(event.arrival_date).toLocaleTimeString('en-US', timeOptions);
-        desc += `Arrival: ${arrivalTime} · ${event.minutes_to_arrive_early} min. early\\n`;
-      }
-      
-      // Notes (all events)
-      if (event.notes) desc += `\\n${event.notes}\\n`;
+    // Games can block time from arrival; without an arrival time they keep the real start
+    const arrivalDate = startAtArrival && eventData.is_game && !times.allDay ? getArrivalDate(eventData) : null;
+    const startsAtArrival = !!arrivalDate && arrivalDate < gameStartDate;
+    const startDate = startsAtArrival ? arrivalDate : gameStartDate;
 
-      return desc;
-    };
+    if (eventTimeZone && !times.allDay) {
+      const years = timeZoneYears.get(eventTimeZone) || { from: startDate.getUTCFullYear(), to: endDate.getUTCFullYear() };
+      years.from = Math.min(years.from, startDate.getUTCFullYear());
+      years.to = Math.max(years.to, endDate.getUTCFullYear());
+      timeZoneYears.set(eventTimeZone, years);
+    }
 
-    const generateEventFromTemplate = async (eventData, customTitle, formatDate) => {
-      let description = generateEventDescription(eventData);
-      description = description.replace(/\n/g, '\\n').replace(/,/g, '\\,');
+    // The signed-in user's reply and the team's replies, for events that track availability
+    const eventAvailability = eventData.tracks_availability !== false && !eventData.is_canceled
+      ? availability.byEvent.get(String(eventData.id)) || []
+      : [];
+    const ownStatus = availabilityOptions.own !== 'off' ? getOwnAvailability(eventAvailability, availability.memberIds) : null;
+    const availabilitySummary = availabilityOptions.summary && eventAvailability.length > 0
+      ? formatAvailabilitySummary(summarizeAvailability(eventAvailability))
+      : '';
 
+    const generateEventFromTemplate = (eventData, title, description, location, extraLines = []) => {
       const updatedAt = eventData.updated_at ? new Date(eventData.updated_at) : new Date();
-      let eventBlock = 'BEGIN:VEVENT\r\n';
-      eventBlock += `UID:teamsnap-${eventData.id}@teamsnap.com\r\n`;
-      eventBlock += `DTSTART:${formatDate(startDate)}\r\n`;
-      eventBlock += `DTEND:${formatDate(endDate)}\r\n`;
-      eventBlock += `SUMMARY:${customTitle.replace(/,/g, '\\,')}\r\n`;
+      const eventBlock = [
+        'BEGIN:VEVENT',
+        property('UID', `teamsnap-${eventData.id}@teamsnap.com`),
+        ...buildTimeProperties(times, eventTimeZone, { startDate }),
+        property('SUMMARY', title),
+      ];
+
+      // Cancelled events keep their UID so clients mark the existing entry, and no longer block time
+      if (eventData.is_canceled) {
+        eventBlock.push('STATUS:CANCELLED');
+        eventBlock.push('TRANSP:TRANSPARENT');
+      } else {
+        eventBlock.push('TRANSP:OPAQUE');
+      }
 
-      if (description) {
-        eventBlock += `DESCRIPTION:${description}\r\n`;
+      // Venue phone, notes and map links follow the templated description
+      const locationDescription = buildLocationDescription(location, eventData.location_name, locationOptions);
+      const fullDescription = [description, availabilitySummary, locationDescription].filter(Boolean).join('\n\n');
+      if (fullDescription) {
+        eventBlock.push(property('DESCRIPTION', fullDescription));
       }
 
       // Enhanced LOCATION field with address
       if (eventData.location_name) {
         let locationText = eventData.location_name;
 
-        // Fetch location address if location_id is available
-        if (eventData.location_id) {
-          try {
-            const locationData = await fetchTeamSnapData(`/locations/${eventData.location_id}`, env);
-            if (locationData?.collection?.items?.[0]) {
-              const location = {};
-              locationData.collection.items[0].data.forEach(field => {
-                location[field.name] = field.value;
-              });
-
-              // Build address string
-              let addressParts = [];
-              if (location.address) addressParts.push(location.address);
-              if (location.city) addressParts.push(location.city);
-              if (location.state) addressParts.push(location.state);
-              if (location.postal_code) addressParts.push(location.postal_code);
-
-              if (addressParts.length > 0) {
-                locationText += `\\n${addressParts.join(' ')}`;
-              }
-            }
-          } catch (error) {
-            console.warn(`Could not fetch location data for location ${eventData.location_id}:`, error);
-          }
+        const address = formatAddress(location);
+        if (address) {
+          locationText += `\n${address}`;
         }
 
-        eventBlock += `LOCATION:${locationText.replace(/,/g, '\\,')}\r\n`;
+        eventBlock.push(property('LOCATION', locationText));
+        eventBlock.push(...buildLocationProperties(location, eventData.location_name, locationOptions));
+      }
+
+      if (ownStatus && availabilityOptions.own === 'partstat') {
+        eventBlock.push(...buildAttendeeProperties(ownStatus, availability.user));
       }
 
       // Set URL to TeamSnap event page
       const eventUrl = `https://go.teamsnap.com/${teamId}/schedule/view_event/${eventData.id}`;
-      eventBlock += `URL:${eventUrl}\r\n`;
+      eventBlock.push(rawProperty('URL', eventUrl));
 
-      eventBlock += `LAST-MODIFIED:${formatDate(updatedAt)}\r\n`;
-      eventBlock += `DTSTAMP:${formatDate(new Date())}\r\n`;
-      eventBlock += 'END:VEVENT\r\n';
+      eventBlock.push(rawProperty('LAST-MODIFIED', formatUtcDateTime(updatedAt)));
+      eventBlock.push(rawProperty('DTSTAMP', formatUtcDateTime(new Date())));
+      eventBlock.push(...extraLines);
+      // Reminders for all-day events count back from the start of the day
+      const alarmEventData = times.allDay ? { ...eventData, start_date: startDate.toISOString(), arrival_date: null, minutes_to_arrive_early: null } : eventData;
+      eventBlock.push(...buildAlarms(alarmEventData, alarmSettings, { startDate, title }));
+      eventBlock.push('END:VEVENT');
 
       return eventBlock;
     };
 
-    let customTitle;
-    if (eventData.is_game) {
-      // Games: Use existing custom format {custom name} vs {opponent}
-      customTitle = await generateEventTitle(eventData, teamId, env, actualTeamName);
-    } else {
-      // Non-games: Use formatted_title, fallback to formatted_title_for_multi_team with team name replacement
-      if (eventData.formatted_title) {
-        // Add custom team name with colon before the event title
-        const customTeamName = await env[KV_NAMESPACE].get(`custom_team_name_${teamId}`);
-        const teamName = customTeamName || actualTeamName || 'Team';
-        customTitle = `${teamName}: ${eventData.formatted_title}`;
-      } else if (eventData.formatted_title_for_multi_team) {
-        // Replace API team name with custom name
-        customTitle = eventData.formatted_title_for_multi_team;
-        // Get custom team name for replacement
-        const customTeamName = await env[KV_NAMESPACE].get(`custom_team_name_${teamId}`);
-        if (actualTeamName && customTeamName && customTitle.includes(actualTeamName)) {
-          customTitle = customTitle.replace(actualTeamName, customTeamName);
-        }
-      } else {
-        // Final fallback
-        customTitle = eventData.label || eventData.name || 'Event';
+    const customTitle = generateDefaultTitle(eventData, actualTeamName, customTeamName, removeOpponentNames);
+    const location = eventData.location_id ? locations[String(eventData.location_id)] || null : null;
+
+    // Render the team's title and description templates
+    const { title, description } = renderEventText(eventData, templates, {
+      teamId,
+      teamName: calendarName || 'Team',
+      title: customTitle,
+      location,
+      startsAtArrival,
+      availability: {
+        own: ownStatus ? AVAILABILITY_STATUSES[ownStatus].label : '',
+        summary: availabilitySummary,
+      },
+    });
+
+    let eventTitle = startsAtArrival ? `${title} (game ${formatGameTime(gameStartDate, eventTimeZone)})` : title;
+    let eventDescription = description;
+
+    // Played games show the score in place of the title, and the breakdown above the description
+    if (showResults) {
+      const result = getGameResult(eventData);
+      if (result) {
+        eventTitle = formatResultTitle(result, calendarName || 'Team', removeOpponentNames ? '' : eventData.opponent_name);
       }
+      const resultDescription = eventData.is_game ? formatResultDescription(eventData, { teamName: calendarName || 'Team' }) : '';
+      eventDescription = [resultDescription, description].filter(Boolean).join('\n\n');
     }
 
-    // Use template-based event generation
-    icsContent += await generateEventFromTemplate(eventData, customTitle, formatDate);
-  }
-
-  icsContent += 'END:VCALENDAR\r\n';
+    eventTitle = applyTextOverride('title', eventTitle, override);
+    eventDescription = applyTextOverride('description', eventDescription, override);
+    if (times.timeTbd) eventTitle = `${eventTitle} (time TBD)`;
 
-  // Cache the generated calendar and update timestamp
-  if (latestEventUpdate > 0) {
-    await env[KV_NAMESPACE].put(cacheKey, icsContent, { expirationTtl: 3600 });
-    await env[KV_NAMESPACE].put(lastUpdateKey, latestEventUpdate.toString(), { expirationTtl: 3600 });
+    if (ownStatus && availabilityOptions.own === 'title') {
+      eventTitle = `${AVAILABILITY_STATUSES[ownStatus].prefix} ${eventTitle}`;
+    }
+    if (eventData.is_canceled) eventTitle = `CANCELLED: ${eventTitle}`;
+    renderedEvents.push({
+      // Events shared between teams have the same series (or name), time and place
+      key: [
+        eventData.repeating_uuid || eventData.name || eventData.label || eventData.opponent_name || eventData.id,
+        startTime,
+        eventData.location_id || eventData.location_name || '',
+      ].join('|'),
+      title: eventTitle,
+      toLines: (summary, extraLines) => generateEventFromTemplate(eventData, summary, eventDescription, location, extraLines),
+      toRecord: (summary, team) => {
+        const arrival = times.allDay ? null : getArrivalDate(eventData);
+        return {
+          id: String(eventData.id),
+          title: summary,
+          type: getEventType(eventData),
+          team: team || null,
+          opponent: eventData.is_game ? eventData.opponent_name || null : null,
+          homeAway: eventData.is_game ? getHomeAway(eventData) : null,
+          start: formatIsoDateTime(gameStartDate, eventTimeZone),
+          end: formatIsoDateTime(endDate, eventTimeZone),
+          allDay: times.allDay,
+          arrival: arrival ? formatIsoDateTime(arrival, eventTimeZone) : null,
+          timeZone: eventTimeZone,
+          location: eventData.location_name || null,
+          address: formatAddress(location) || null,
+          uniform: eventData.uniform || null,
+          notes: eventData.notes || null,
+          description: eventDescription || null,
+          cancelled: !!eventData.is_canceled,
+          url: `https://go.teamsnap.com/${teamId}/schedule/view_event/${eventData.id}`,
+        };
+      },
+    });
   }
 
-  const lastModified = new Date(latestEventUpdate || Date.now());
-  const etag = `"${calendarId}-${latestEventUpdate || Date.now()}"`;
 
-  // Check if user wants to view as text instead of download
-  const formatAsText = forceText || url.searchParams.get('format') === 'text';
+  return renderedEvents;
+}
 
-  const headers = {
-    'Last-Modified': lastModified.toUTCString(),
-    'ETag': etag,
-    'Cache-Control': 'public, max-age=3600',
-  };
-
-  if (formatAsText) {
-    // Display as plain text in browser - force inline display
-    headers['Content-Type'] = 'text/plain; charset=utf-8';
-    headers['Content-Disposition'] = 'inline';
-    headers['X-Content-Type-Options'] = 'nosniff';
-  } else {
-    // Normal calendar download
-    headers['Content-Type'] = 'text/calendar; charset=utf-8';
-    headers['Content-Disposition'] = `attachment; filename="${teamId}_${filterType}.ics"`;
-  }
-
-  return new Response(icsContent, { headers });
+/**
+ * Generates a strong ETag from a calendar's content.
+ */
+async function generateEtag(icsContent) {
+  const hashBuffer = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(icsContent));
+  const hashHex = Array.from(new Uint8Array(hashBuffer)).map(b => b.toString(16).padStart(2, '0')).join('');
+  return `"${hashHex.substring(0, 32)}"`;
 }
 
 /**
- * Generates calendar token for team/filter combination.
+ * Generates the hashed calendar token for a team/filter combination. Links are now random
+ * (see issueFeedToken); hashed tokens are kept so links issued before that keep working.
  */
 async function generateCalendarToken(teamId, filterType, env, teamName) {
   const clientSecret = env.TEAMSNAP_CLIENT_SECRET || 'fallback-salt';
@@ -401,7 +1059,8 @@ async function generateCalendarToken(teamId, filterType, env, teamName) {
 }
 
 /**
- * Parses a calendar token to extract team ID and filter type.
+ * Parses a calendar token to extract team ID and filter type, or a combined calendar ID.
+ * Stored links also carry { label, createdAt, lastAccess, userAgent }.
  */
 async function parseCalendarToken(token, env) {
   const mapping = await env[KV_NAMESPACE].get(`calendar_token:${token}`);
@@ -409,17 +1068,617 @@ async function parseCalendarToken(token, env) {
 }
 
 /**
- * Helper function to generate custom event titles.
+ * Gets the feed ID of a calendar: the key its pre-rendered copy and refresh status are stored under.
+ * Every subscriber link a user issues for a calendar shares one feed, generated with that user's TeamSnap access.
+ * @param {Object} target - { teamId, filterType }, { teamId, customId } or { combinedId }, and the userId
+ * @returns {string} e.g. team_123_all_456, custom_123_{id}_456 or combined_{id}_456 (no user suffix for links
+ *   issued before sign-in was per user)
+ */
+function getFeedId(target) {
+  let feedId = `team_${target.teamId}_${target.filterType}`;
+  if (target.combinedId) feedId = `combined_${target.combinedId}`;
+  else if (target.customId) feedId = `custom_${target.teamId}_${target.customId}`;
+  return target.userId ? `${feedId}_${target.userId}` : feedId;
+}
+
+/**
+ * Gets the calendar a feed ID refers to.
+ * @returns {Object|null} { teamId, filterType }, { teamId, customId } or { combinedId }, with the userId when there
+ *   is one; null when malformed
+ */
+function parseFeedId(feedId) {
+  const match = /^(?:team_([^_]+)_(all|games)|custom_([^_]+)_([^_]+)|combined_([^_]+))(?:_([^_]+))?$/.exec(feedId || '');
+  if (!match) return null;
+  const userId = match[6] ? { userId: match[6] } : {};
+  if (match[1]) return { teamId: match[1], filterType: match[2], ...userId };
+  if (match[3]) return { teamId: match[3], customId: match[4], ...userId };
+  return { combinedId: match[5], ...userId };
+}
+
+/**
+ * Lists the KV keys of a calendar's copies for every user, e.g. calendar_team_123_all and calendar_team_123_all_456.
+ * @param {string} prefix - Key prefix, e.g. calendar_ or feed_tokens:
+ * @param {Object} target - The calendar, without a user
+ * @returns {Promise<string[]>}
+ */
+async function listFeedKeys(prefix, target, env) {
+  const key = `${prefix}${getFeedId({ ...target, userId: null })}`;
+  const keys = [];
+  let cursor;
+
+  do {
+    const page = await env[KV_NAMESPACE].list({ prefix: key, cursor });
+    keys.push(...page.keys.map(({ name }) => name).filter(name => name === key || name.startsWith(`${key}_`)));
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+
+  return keys;
+}
+
+/**
+ * Deletes every user's pre-rendered copy of a calendar, so the next request regenerates it. Its stored
+ * schedule goes too, so the events a settings change moves, adds or removes aren't announced as changes.
+ * @param {Object} target - The calendar, without a user
+ */
+async function invalidateFeed(target, env) {
+  for (const prefix of ['calendar_', 'schedule_']) {
+    for (const key of await listFeedKeys(prefix, target, env)) {
+      await env[KV_NAMESPACE].delete(key);
+    }
+  }
+}
+
+/**
+ * Invalidates every calendar showing a team's events: its built-in and custom calendars,
+ * and combined calendars that include the team.
+ */
+async function invalidateTeamFeeds(teamId, env) {
+  await invalidateFeed({ teamId, filterType: 'all' }, env);
+  await invalidateFeed({ teamId, filterType: 'games' }, env);
+
+  for (const custom of await getCustomCalendars(teamId, env)) {
+    await invalidateFeed({ teamId, customId: custom.id }, env);
+  }
+  for (const combined of await getCombinedCalendars(env)) {
+    if (combined.sources.some(source => String(source.teamId) === String(teamId))) {
+      await invalidateFeed({ combinedId: combined.id }, env);
+    }
+  }
+}
+
+/**
+ * Deletes the pre-rendered copy of every calendar a user generates, for settings of all their teams.
+ * @param {string|number} userId - TeamSnap user ID
+ */
+async function invalidateUserFeeds(userId, env) {
+  for (const prefix of ['calendar_', 'schedule_']) {
+    let cursor;
+    do {
+      const page = await env[KV_NAMESPACE].list({ prefix, cursor });
+      for (const { name } of page.keys) {
+        if (String(parseFeedId(name.slice(prefix.length))?.userId) === String(userId)) {
+          await env[KV_NAMESPACE].delete(name);
+        }
+      }
+      cursor = page.list_complete ? null : page.cursor;
+    } while (cursor);
+  }
+}
+
+/**
+ * Gets the subscriber links issued for a calendar.
+ * @returns {Promise<string[]|null>} Tokens in issue order, or null before the first link was issued
+ */
+async function getFeedTokens(feedId, env) {
+  const stored = await env[KV_NAMESPACE].get(`feed_tokens:${feedId}`);
+  return stored ? JSON.parse(stored) : null;
+}
+
+/**
+ * Issues a subscriber link for a calendar. Tokens are random and stored, so they survive team renames
+ * and can be revoked one at a time.
+ * @param {string} feedId - The calendar's feed ID
+ * @param {Object} target - The calendar, as passed to getFeedId
+ * @param {string} label - Who the link is for, e.g. Grandma's phone
+ * @param {Object} env - Worker environment
+ * @param {Object} [options]
+ * @param {string} [options.token] - Store this token instead of a random one
+ * @param {string} [options.replaces] - Token whose place in the list the new one takes
+ * @returns {Promise<string>} The new token
+ */
+async function issueFeedToken(feedId, target, label, env, { token = generateRandomToken(), replaces = null } = {}) {
+  await env[KV_NAMESPACE].put(`calendar_token:${token}`, JSON.stringify({
+    ...target,
+    label: label,
+    createdAt: Date.now()
+  }));
+
+  const tokens = await getFeedTokens(feedId, env) || [];
+  const index = replaces ? tokens.indexOf(replaces) : -1;
+  if (index >= 0) {
+    tokens[index] = token;
+  } else {
+    tokens.push(token);
+  }
+  await env[KV_NAMESPACE].put(`feed_tokens:${feedId}`, JSON.stringify(tokens));
+  return token;
+}
+
+/**
+ * Revokes a subscriber link; calendar apps using it stop getting updates.
+ */
+async function revokeFeedToken(feedId, token, env) {
+  await env[KV_NAMESPACE].delete(`calendar_token:${token}`);
+  const tokens = await getFeedTokens(feedId, env) || [];
+  await env[KV_NAMESPACE].put(`feed_tokens:${feedId}`, JSON.stringify(tokens.filter(other => other !== token)));
+}
+
+/**
+ * Removes a deleted calendar's links, pre-rendered copies and refresh status, for every user.
+ * @param {Object} target - The calendar, without a user
+ */
+async function deleteFeed(target, env) {
+  for (const key of await listFeedKeys('feed_tokens:', target, env)) {
+    for (const token of JSON.parse(await env[KV_NAMESPACE].get(key) || '[]')) {
+      await env[KV_NAMESPACE].delete(`calendar_token:${token}`);
+    }
+    await env[KV_NAMESPACE].delete(key);
+  }
+  for (const prefix of ['feed_status:', 'changes:', 'last_good:']) {
+    for (const key of await listFeedKeys(prefix, target, env)) {
+      await env[KV_NAMESPACE].delete(key);
+    }
+  }
+  await invalidateFeed(target, env);
+}
+
+/**
+ * Lists a calendar's subscriber links for the settings page, issuing the first link when there is none yet.
+ * @param {string} feedId - The calendar's feed ID
+ * @param {Object} target - The calendar, as passed to getFeedId
+ * @param {Object} env - Worker environment
+ * @param {string} workerUrl - Origin for the links
+ * @param {string|null} [legacyToken] - Hashed token from before links were stored; the first user to list the
+ *   calendar takes it over as their first link, so existing subscriptions keep working
+ * @returns {Promise<Object>} { id, url (the first link), tokens: [{ token, label, url, createdAt, lastAccess, userAgent }] }
+ */
+async function listFeedTokens(feedId, target, env, workerUrl, legacyToken = null) {
+  let tokens = await getFeedTokens(feedId, env);
+  if (!tokens) {
+    const legacy = legacyToken ? await parseCalendarToken(legacyToken, env) : null;
+    if (legacy && !legacy.userId) {
+      await issueFeedToken(feedId, target, 'Original link', env, { token: legacyToken });
+    } else {
+      await issueFeedToken(feedId, target, 'Default', env);
+    }
+    tokens = await getFeedTokens(feedId, env);
+  }
+
+  const issued = [];
+  for (const token of tokens) {
+    const mapping = await parseCalendarToken(token, env);
+    if (!mapping) continue;
+    issued.push({
+      token: token,
+      label: mapping.label || 'Subscriber',
+      url: `${workerUrl}/${token}.ics`,
+      createdAt: mapping.createdAt || null,
+      lastAccess: mapping.lastAccess || null,
+      userAgent: mapping.userAgent || null
+    });
+  }
+
+  return { id: feedId, url: issued[0]?.url || null, tokens: issued };
+}
+
+/**
+ * Generates a random 128-bit subscriber token.
+ */
+function generateRandomToken() {
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Gets the saved combined calendars.
+ * @param {Object} env - The Cloudflare Workers environment containing KV bindings
+ * @returns {Promise<Object[]>} Combined calendars: { id, userId, name, label, sources: [{ teamId, filterType, color }] }
+ */
+async function getCombinedCalendars(env) {
+  const stored = await env[KV_NAMESPACE].get('combined_calendars');
+  return stored ? JSON.parse(stored) : [];
+}
+
+/**
+ * Gets a combined calendar by ID.
+ */
+async function getCombinedCalendar(combinedId, env) {
+  const calendars = await getCombinedCalendars(env);
+  return calendars.find(calendar => calendar.id === combinedId) || null;
+}
+
+/**
+ * Checks whether a user can see a combined calendar: their own, or one saved before sign-in was per user
+ * that only includes their teams.
+ */
+async function canSeeCombinedCalendar(calendar, session, env) {
+  if (calendar.userId) {
+    return String(calendar.userId) === String(session.userId);
+  }
+
+  const teamIds = await getUserTeamIds(session.userId, env);
+  return calendar.sources.every(source => teamIds.includes(String(source.teamId)));
+}
+
+/**
+ * Generates the calendar token for a combined calendar. It depends only on the ID,
+ * so renaming the calendar or changing its teams keeps subscriptions working.
+ */
+async function generateCombinedCalendarToken(combinedId, env) {
+  return generateCalendarToken(combinedId, 'combined', env, combinedId);
+}
+
+/**
+ * Generates the built-in title for an event, before any title template is applied.
  * @param {Object} eventData - The event data from TeamSnap API
+ * @param {string} actualTeamName - The actual team name from TeamSnap
+ * @param {string|null} customTeamName - Custom team name override
+ * @param {boolean} removeOpponentNames - Whether to hide opponent names from game titles
+ * @returns {string} The built-in event title
+ */
+function generateDefaultTitle(eventData, actualTeamName, customTeamName, removeOpponentNames) {
+  if (eventData.is_game) {
+    // Games: Use existing custom format {custom name} vs {opponent}
+    return generateEventTitleSync(eventData, customTeamName, actualTeamName, removeOpponentNames);
+  }
+
+  // Non-games: Use formatted_title, fallback to formatted_title_for_multi_team with team name replacement
+  if (eventData.formatted_title) {
+    // Add custom team name with colon before the event title
+    const teamName = customTeamName || actualTeamName || 'Team';
+    return `${teamName}: ${eventData.formatted_title}`;
+  }
+  if (eventData.formatted_title_for_multi_team) {
+    // Replace API team name with custom name
+    let title = eventData.formatted_title_for_multi_team;
+    if (actualTeamName && customTeamName && title.includes(actualTeamName)) {
+      title = title.replace(actualTeamName, customTeamName);
+    }
+    return title;
+  }
+  // Final fallback
+  return eventData.label || eventData.name || 'Event';
+}
+
+/**
+ * Gets a team's event templates, filling in the built-in defaults.
  * @param {string} teamId - The team ID
  * @param {Object} env - The Cloudflare Workers environment containing KV bindings
- * @param {string} actualTeamName - The actual team name from TeamSnap
- * @returns {Promise<string>} The formatted event title
+ * @returns {Promise<Object>} Templates keyed by gameTitle, gameDescription, eventTitle, eventDescription
+ */
+async function getEventTemplates(teamId, env) {
+  const stored = await env[KV_NAMESPACE].get(`event_templates_${teamId}`);
+  return { ...DEFAULT_TEMPLATES, ...(stored ? JSON.parse(stored) : {}) };
+}
+
+/**
+ * Gets the options for one of a team's calendars.
+ * @param {string} teamId - The team ID
+ * @param {string} filterType - The calendar filter ('all' or 'games')
+ * @param {Object} env - The Cloudflare Workers environment containing KV bindings
+ * @returns {Promise<Object>} The calendar options
+ */
+async function getCalendarOptions(teamId, filterType, env) {
+  const stored = await env[KV_NAMESPACE].get(`calendar_options_${teamId}_${filterType}`);
+  return { ...DEFAULT_CALENDAR_OPTIONS, ...(stored ? JSON.parse(stored) : {}) };
+}
+
+/**
+ * Cleans up calendar options from the settings page.
+ */
+function normalizeCalendarOptions(options) {
+  const retentionDays = parseInt(options?.cancelledRetentionDays);
+  return {
+    includeCancelled: !!options?.includeCancelled,
+    cancelledRetentionDays: retentionDays > 0 ? retentionDays : null,
+  };
+}
+
+/**
+ * Gets a team's custom calendars.
+ * @param {string} teamId - The team ID
+ * @param {Object} env - The Cloudflare Workers environment containing KV bindings
+ * @returns {Promise<Object[]>} Custom calendars: { id, name, filters, calendarOptions }
+ */
+async function getCustomCalendars(teamId, env) {
+  const stored = await env[KV_NAMESPACE].get(`custom_calendars_${teamId}`);
+  return stored ? JSON.parse(stored) : [];
+}
+
+/**
+ * Gets the webhooks that announce changes to a team's calendars.
+ * @param {string} teamId - The team ID
+ * @param {Object} env - The Cloudflare Workers environment containing KV bindings
+ * @returns {Promise<Object[]>} Webhooks: { id, url, format, calendar }
+ */
+async function getWebhooks(teamId, env) {
+  const stored = await env[KV_NAMESPACE].get(`webhooks_${teamId}`);
+  return stored ? JSON.parse(stored) : [];
+}
+
+/**
+ * Generates the calendar token for a custom calendar. It depends only on the ID,
+ * so renaming the calendar or changing its filters keeps subscriptions working.
+ */
+async function generateCustomCalendarToken(customId, env) {
+  return generateCalendarToken(customId, 'custom', env, customId);
+}
+
+/**
+ * Adds a user's subscriber links to a custom calendar and the URL of the first one.
+ */
+async function withCustomCalendarUrl(teamId, calendar, env, workerUrl, userId) {
+  const target = { teamId: teamId, customId: calendar.id, userId: userId };
+  const feed = await listFeedTokens(getFeedId(target), target, env, workerUrl, await generateCustomCalendarToken(calendar.id, env));
+  return { ...calendar, url: feed.url, feed: feed };
+}
+
+/**
+ * Gets a team's event overrides.
+ * @param {string} teamId - The team ID
+ * @param {Object} env - The Cloudflare Workers environment containing KV bindings
+ * @returns {Promise<Object>} Overrides keyed by TeamSnap event ID
+ */
+async function getEventOverrides(teamId, env) {
+  const stored = await env[KV_NAMESPACE].get(`event_overrides_${teamId}`);
+  return stored ? JSON.parse(stored) : {};
+}
+
+/**
+ * Gets the KV key of a user's rules for all of their teams. Calendars set up before sign-in was per user
+ * keep using the original shared rules, which can no longer be changed.
+ * @param {string|number|null} userId - TeamSnap user ID
+ * @returns {string}
+ */
+function globalOpponentRulesKey(userId) {
+  return userId ? `opponent_rules_user_${userId}` : 'opponent_rules';
+}
+
+/**
+ * Gets stored opponent rules: a team's own, or a user's rules for all of their teams (teamId null).
+ * @param {string|null} teamId - The team ID
+ * @param {Object} env - The Cloudflare Workers environment containing KV bindings
+ * @param {string|null} [userId] - The user whose rules for all teams are read
+ * @returns {Promise<Object>} Opponent rules
+ */
+async function getStoredOpponentRules(teamId, env, userId = null) {
+  const stored = await env[KV_NAMESPACE].get(teamId ? `opponent_rules_${teamId}` : globalOpponentRulesKey(userId));
+  return normalizeOpponentRules(stored ? JSON.parse(stored) : null);
+}
+
+/**
+ * Gets the opponent rules for a team's calendars: the user's rules for all teams combined with the team's own.
+ * @param {string} teamId - The team ID
+ * @param {Object} env - The Cloudflare Workers environment containing KV bindings
+ * @param {string|null} [userId] - The user whose calendar is rendered
+ * @returns {Promise<Object>} Opponent rules
+ */
+async function getOpponentRules(teamId, env, userId = null) {
+  return mergeOpponentRules(await getStoredOpponentRules(null, env, userId), await getStoredOpponentRules(teamId, env));
+}
+
+/**
+ * Gets a team's reminder settings.
+ * @param {string} teamId - The team ID
+ * @param {Object} env - The Cloudflare Workers environment containing KV bindings
+ * @returns {Promise<Object>} Reminders keyed by event category
+ */
+async function getAlarmSettings(teamId, env) {
+  const stored = await env[KV_NAMESPACE].get(`alarm_settings_${teamId}`);
+  return { ...DEFAULT_ALARM_SETTINGS, ...(stored ? JSON.parse(stored) : {}) };
+}
+
+/**
+ * Gets a team's default event durations, in minutes by event type.
+ * @param {string} teamId - The team ID
+ * @param {Object} env - The Cloudflare Workers environment containing KV bindings
+ * @returns {Promise<Object>} The durations
+ */
+async function getEventDurations(teamId, env) {
+  const stored = await env[KV_NAMESPACE].get(`event_durations_${teamId}`);
+  return { ...DEFAULT_DURATIONS, ...(stored ? JSON.parse(stored) : {}) };
+}
+
+/**
+ * Gets a team's location output options.
+ * @param {string} teamId - The team ID
+ * @param {Object} env - The Cloudflare Workers environment containing KV bindings
+ * @returns {Promise<Object>} The location options
+ */
+async function getLocationOptions(teamId, env) {
+  const stored = await env[KV_NAMESPACE].get(`location_options_${teamId}`);
+  return { ...DEFAULT_LOCATION_OPTIONS, ...(stored ? JSON.parse(stored) : {}) };
+}
+
+/**
+ * Gets a team's availability output options.
+ * @param {string} teamId - The team ID
+ * @param {Object} env - The Cloudflare Workers environment containing KV bindings
+ * @returns {Promise<Object>} The availability options
+ */
+async function getAvailabilityOptions(teamId, env) {
+  const stored = await env[KV_NAMESPACE].get(`availability_options_${teamId}`);
+  return { ...DEFAULT_AVAILABILITY_OPTIONS, ...(stored ? JSON.parse(stored) : {}) };
+}
+
+/**
+ * Renders an event's title and description from the team's templates.
+ * @param {Object} eventData - The event data from TeamSnap API
+ * @param {Object} templates - Templates from getEventTemplates
+ * @param {Object} options - Options for buildTemplateContext
+ * @returns {{title: string, description: string}} The rendered text
+ */
+function renderEventText(eventData, templates, options) {
+  const context = buildTemplateContext(eventData, options);
+  const titleTemplate = eventData.is_game ? templates.gameTitle : templates.eventTitle;
+  const descriptionTemplate = eventData.is_game ? templates.gameDescription : templates.eventDescription;
+
+  // Blank title templates keep the built-in title
+  const title = titleTemplate ? renderTemplate(titleTemplate, context).replace(/\s+/g, ' ').trim() : '';
+
+  return {
+    title: title || options.title,
+    description: renderTemplate(descriptionTemplate, context).trim(),
+  };
+}
+
+/**
+ * Flattens a collection+json item into a plain object.
+ */
+function flattenItem(item) {
+  const fields = {};
+  item.data.forEach(field => {
+    fields[field.name] = field.value;
+  });
+  return fields;
+}
+
+/**
+ * Gets a signed-in TeamSnap user, from the details stored at sign-in or from /me.
+ * @param {Object} env - The Cloudflare Workers environment containing KV bindings
+ * @param {string|null} [userId] - The user's ID; none for the account signed in before sign-in was per user
+ * @returns {Promise<Object|null>} { id, email, name }
+ */
+async function getCurrentUser(env, userId = null) {
+  const stored = await env[KV_NAMESPACE].get(oauthKey('oauth_user_info', userId));
+  let userData = stored ? JSON.parse(stored) : null;
+
+  if (!userData?.collection?.items?.[0]) {
+    userData = await fetchTeamSnapData('/me', env, userId);
+    if (!userData?.collection?.items?.[0]) return null;
+    await env[KV_NAMESPACE].put(oauthKey('oauth_user_info', userId), JSON.stringify(userData));
+  }
+
+  const user = flattenItem(userData.collection.items[0]);
+  return {
+    id: user.id,
+    email: user.email,
+    name: [user.first_name, user.last_name].filter(Boolean).join(' '),
+  };
+}
+
+/**
+ * Gets a team's availability replies, and the signed-in user's member IDs when their own reply is shown.
+ * Nothing is fetched when the team shows no availability.
+ * @param {string} teamId - The team ID
+ * @param {Object} options - Availability options
+ * @param {Object} env - The Cloudflare Workers environment containing KV bindings
+ * @param {string|null} [userId] - The user whose replies are their own
+ * @returns {Promise<{byEvent: Map, memberIds: Set, user: Object|null, latestUpdate: number}>}
+ *   Replies keyed by event ID, the user's member IDs and details, and the latest reply's updated_at
+ */
+async function getTeamAvailability(teamId, options, env, userId = null) {
+  const availability = { byEvent: new Map(), memberIds: new Set(), user: null, latestUpdate: 0 };
+  if (options.own === 'off' && !options.summary) return availability;
+
+  const availabilityData = await fetchTeamSnapData(`/availabilities/search?team_id=${teamId}`, env, userId);
+  if (!availabilityData?.collection) {
+    console.warn(`Could not fetch availability for team ${teamId}`);
+    return availability;
+  }
+
+  for (const item of availabilityData.collection.items || []) {
+    const record = flattenItem(item);
+    const eventId = String(record.event_id);
+    if (!availability.byEvent.has(eventId)) availability.byEvent.set(eventId, []);
+    availability.byEvent.get(eventId).push(record);
+
+    const updatedAt = record.updated_at ? new Date(record.updated_at).getTime() : 0;
+    availability.latestUpdate = Math.max(availability.latestUpdate, updatedAt);
+  }
+
+  if (options.own !== 'off') {
+    availability.user = await getCurrentUser(env, userId);
+    const membersData = availability.user ? await fetchTeamSnapData(`/members/search?team_id=${teamId}`, env, userId) : null;
+    for (const item of membersData?.collection?.items || []) {
+      const member = flattenItem(item);
+      if (String(member.user_id) === String(availability.user.id)) {
+        availability.memberIds.add(String(member.id));
+      }
+    }
+  }
+
+  return availability;
+}
+
+/**
+ * Gets a team's locations in one batch, with league and division venues from the KV cache.
+ * The team's own locations are listed on every call and compared with the cache by updated_at, so an edited
+ * venue shows up on the next refresh; venues that are not listed for the team are fetched once each and kept
+ * until the cache expires.
+ * @param {string} teamId - The team ID
+ * @param {Array<string|number>} locationIds - Location IDs referenced by the team's events
+ * @param {Object} env - The Cloudflare Workers environment containing KV bindings
+ * @param {string|null} [userId] - The user whose TeamSnap access is used
+ * @returns {Promise<{locations: Object, latestUpdate: number}>} Locations keyed by ID, and their latest updated_at
+ */
+async function getTeamLocations(teamId, locationIds, env, userId = null) {
+  const cacheKey = `locations_${teamId}`;
+  const wanted = [...new Set(locationIds.filter(Boolean).map(String))];
+
+  const stored = await env[KV_NAMESPACE].get(cacheKey);
+  const cached = stored ? JSON.parse(stored) : { locations: {}, latestUpdate: 0 };
+
+  const locationsData = await fetchTeamSnapData(`/locations/search?team_id=${teamId}`, env, userId);
+  if (!locationsData?.collection) {
+    console.warn(`Could not fetch locations for team ${teamId}`);
+    return cached;
+  }
+  const locations = {};
+  (locationsData.collection.items || []).forEach(item => {
+    const location = flattenItem(item);
+    locations[String(location.id)] = location;
+  });
+
+  // League and division venues are not listed for the team; fetch each of those once.
+  // Locations that cannot be fetched are cached as null so they are not retried on every request.
+  const missing = wanted.filter(id => !(id in locations));
+  await Promise.all(missing.map(async id => {
+    locations[id] = id in cached.locations ? cached.locations[id] : await fetchLocation(id, env, userId);
+  }));
+
+  let latestUpdate = 0;
+  Object.values(locations).forEach(location => {
+    const updateTime = location?.updated_at ? new Date(location.updated_at).getTime() : 0;
+    if (updateTime > latestUpdate) latestUpdate = updateTime;
+  });
+
+  // Only write the cache when a location was added, removed or edited
+  const version = locationMap => Object.entries(locationMap).map(([id, location]) => `${id}:${location?.updated_at || ''}`).sort().join(',');
+  const teamLocations = { locations, latestUpdate };
+  if (!stored || version(locations) !== version(cached.locations)) {
+    await env[KV_NAMESPACE].put(cacheKey, JSON.stringify(teamLocations), { expirationTtl: LOCATION_CACHE_TTL });
+  }
+  return teamLocations;
+}
+
+/**
+ * Fetches a TeamSnap location and flattens its fields.
+ * @param {string} locationId - The location ID
+ * @param {Object} env - The Cloudflare Workers environment containing KV bindings
+ * @param {string|null} [userId] - The user whose TeamSnap access is used
+ * @returns {Promise<Object|null>} The location fields, or null if unavailable
  */
-async function generateEventTitle(eventData, teamId, env, actualTeamName) {
-  const customName = env ? await env[KV_NAMESPACE].get(`custom_team_name_${teamId}`) : null;
-  const removeOpponentNames = env ? await env[KV_NAMESPACE].get(`remove_opponent_names_${teamId}`) : null;
-  return generateEventTitleSync(eventData, customName, actualTeamName, removeOpponentNames === 'true');
+async function fetchLocation(locationId, env, userId = null) {
+  try {
+    const locationData = await fetchTeamSnapData(`/locations/${locationId}`, env, userId);
+    if (locationData?.collection?.items?.[0]) {
+      return flattenItem(locationData.collection.items[0]);
+    }
+  } catch (error) {
+    console.warn(`Could not fetch location data for location ${locationId}:`, error);
+  }
+  return null;
 }
 
 /**
@@ -460,57 +1719,109 @@ function generateEventTitleSync(event, customTeamName, actualTeamName, removeOpp
 }
 
 /**
- * Helper function to fetch data from TeamSnap API, handling token refresh.
+ * Gets the KV key of one of a user's OAuth values. Calendars set up before sign-in was per user
+ * have no user, and keep using the original unscoped keys.
+ * @param {string} name - e.g. oauth_access_token
+ * @param {string|number|null} userId - TeamSnap user ID
+ * @returns {string}
  */
-async function fetchTeamSnapData(endpoint, env) {
-  let accessToken = await env[KV_NAMESPACE].get('oauth_access_token');
+function oauthKey(name, userId) {
+  return userId ? `${name}_${userId}` : name;
+}
 
-  if (!accessToken) {
-    const newTokens = await refreshAccessToken(env);
-    if (newTokens) {
-      accessToken = newTokens.access_token;
-    } else {
-      return null;
-    }
+/**
+ * Gets a user's access token, refreshing it when it has expired.
+ * @returns {Promise<string|null>} The access token, or null when access has lapsed
+ */
+async function getAccessToken(env, userId = null) {
+  const accessToken = await env[KV_NAMESPACE].get(oauthKey('oauth_access_token', userId));
+  if (accessToken) return accessToken;
+
+  const newTokens = await refreshAccessToken(env, userId);
+  return newTokens ? newTokens.access_token : null;
+}
+
+/**
+ * Stores the tokens from a TeamSnap token response under a user's keys.
+ */
+async function storeOAuthTokens(tokenData, env, userId = null) {
+  await env[KV_NAMESPACE].put(oauthKey('oauth_access_token', userId), tokenData.access_token, {
+    expirationTtl: tokenData.expires_in
+  });
+
+  if (tokenData.refresh_token) {
+    await env[KV_NAMESPACE].put(oauthKey('oauth_refresh_token', userId), tokenData.refresh_token);
   }
 
-  const response = await fetch(`${TEAMSNAP_API_URL}${endpoint}`, {
-    headers: {
-      Authorization: `Bearer ${accessToken}`,
-      'Accept': 'application/json',
-    },
+  // Store expiry time
+  const expiresAt = Date.now() + (tokenData.expires_in * 1000);
+  await env[KV_NAMESPACE].put(oauthKey('oauth_expires_at', userId), expiresAt.toString());
+
+  // Access that had lapsed is back; the settings page says so for a while
+  const healthKey = oauthKey('auth_health', userId);
+  const health = JSON.parse(await env[KV_NAMESPACE].get(healthKey) || 'null');
+  if (health?.state === 'lapsed') {
+    await env[KV_NAMESPACE].put(healthKey, JSON.stringify({ state: 'restored', since: health.since, restoredAt: Date.now() }), {
+      expirationTtl: AUTH_RESTORED_TTL
+    });
+  }
+}
+
+/**
+ * Gets the TeamSnap endpoints, from TEAMSNAP_AUTH_URL and TEAMSNAP_API_URL when set.
+ * @returns {{authorize: string, token: string, revoke: string, api: string}}
+ */
+function getTeamSnapUrls(env) {
+  const authUrl = (env.TEAMSNAP_AUTH_URL || DEFAULT_TEAMSNAP_AUTH_URL).replace(/\/+$/, '');
+  return {
+    authorize: `${authUrl}/oauth/authorize`,
+    token: `${authUrl}/oauth/token`,
+    revoke: `${authUrl}/oauth/revoke`,
+    api: (env.TEAMSNAP_API_URL || DEFAULT_TEAMSNAP_API_URL).replace(/\/+$/, ''),
+  };
+}
+
+/**
+ * Creates a TeamSnap API client with a user's TeamSnap access, refreshing the access token when TeamSnap rejects it.
+ * @param {Object} env - Worker environment
+ * @param {string|null} [userId] - The user whose TeamSnap access is used
+ */
+function getTeamSnapClient(env, userId = null) {
+  return createTeamSnapClient({
+    baseUrl: getTeamSnapUrls(env).api,
+    getAccessToken: () => getAccessToken(env, userId),
+    refreshAccessToken: async () => (await refreshAccessToken(env, userId))?.access_token || null,
   });
+}
 
-  if (response.status === 401) {
-    console.log('Token expired, attempting refresh...');
-    const newTokens = await refreshAccessToken(env);
-    if (newTokens) {
-      const retryResponse = await fetch(`${TEAMSNAP_API_URL}${endpoint}`, {
-        headers: {
-          Authorization: `Bearer ${newTokens.access_token}`,
-          'Accept': 'application/json',
-        },
-      });
-      return retryResponse.ok ? await retryResponse.json() : null;
-    }
+/**
+ * Fetches data from the TeamSnap API with a user's access, for callers that can do without it.
+ * @param {string} endpoint - API path, e.g. /teams/123
+ * @param {Object} env - Worker environment
+ * @param {string|null} [userId] - The user whose TeamSnap access is used
+ * @returns {Promise<Object|null>} The response with the items of every page, or null when the request failed
+ */
+async function fetchTeamSnapData(endpoint, env, userId = null) {
+  try {
+    return await getTeamSnapClient(env, userId).get(endpoint);
+  } catch (error) {
+    console.warn(`TeamSnap request ${endpoint} failed:`, error.message);
     return null;
   }
-
-  return response.ok ? await response.json() : null;
 }
 
 /**
- * Refreshes the access token using the refresh token.
+ * Refreshes a user's access token using their refresh token.
  */
-async function refreshAccessToken(env) {
-  const refreshToken = await env[KV_NAMESPACE].get('oauth_refresh_token');
+async function refreshAccessToken(env, userId = null) {
+  const refreshToken = await env[KV_NAMESPACE].get(oauthKey('oauth_refresh_token', userId));
   if (!refreshToken) {
     console.log('No refresh token available');
     return null;
   }
 
   try {
-    const response = await fetch(TEAMSNAP_TOKEN_URL, {
+    const response = await fetch(getTeamSnapUrls(env).token, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/x-www-form-urlencoded',
@@ -525,19 +1836,7 @@ async function refreshAccessToken(env) {
 
     if (response.ok) {
       const tokenData = await response.json();
-
-      // Store new tokens
-      await env[KV_NAMESPACE].put('oauth_access_token', tokenData.access_token, {
-        expirationTtl: tokenData.expires_in
-      });
-
-      if (tokenData.refresh_token) {
-        await env[KV_NAMESPACE].put('oauth_refresh_token', tokenData.refresh_token);
-      }
-
-      // Store expiry time
-      const expiresAt = Date.now() + (tokenData.expires_in * 1000);
-      await env[KV_NAMESPACE].put('oauth_expires_at', expiresAt.toString());
+      await storeOAuthTokens(tokenData, env, userId);
 
       console.log('Token refreshed successfully');
       return tokenData;
@@ -549,313 +1848,1419 @@ async function refreshAccessToken(env) {
     console.error('Error refreshing token:', error);
     return null;
   }
-}
+}
+
+// =============================================================================
+// SIMPLE OAUTH IMPLEMENTATION
+// =============================================================================
+
+/**
+ * Gets the secret session cookies are signed with.
+ */
+function getSessionSecret(env) {
+  return env.SESSION_SECRET || env.TEAMSNAP_CLIENT_SECRET || 'fallback-salt';
+}
+
+/**
+ * Gets the signed-in user from the session cookie.
+ * @returns {Promise<Object|null>} { userId, email, issuedAt }, or null when not signed in, no longer on the
+ *   allowlist, or TeamSnap access has lapsed
+ */
+async function getSession(request, env) {
+  const session = await readSessionCookie(request, env);
+  if (!session) {
+    return null;
+  }
+
+  const accessToken = await env[KV_NAMESPACE].get(oauthKey('oauth_access_token', session.userId));
+  const expiresAt = await env[KV_NAMESPACE].get(oauthKey('oauth_expires_at', session.userId));
+
+  // Check if token is missing or expired, and try to refresh it
+  if (!accessToken || (expiresAt && Date.now() > parseInt(expiresAt))) {
+    const newTokens = await refreshAccessToken(env, session.userId);
+    return newTokens ? session : null;
+  }
+
+  return session;
+}
+
+/**
+ * Reads the signed session cookie without checking the user's TeamSnap tokens.
+ * The cookie must carry the user's current session version, so signing out ends every copy of it.
+ * @returns {Promise<Object|null>} The session, or null when it is missing, forged, expired, signed out or no
+ *   longer allowed
+ */
+async function readSessionCookie(request, env) {
+  const cookies = parseCookies(request.headers.get('Cookie'));
+  const session = await verifySession(cookies[SESSION_COOKIE], getSessionSecret(env));
+  if (!session || !isEmailAllowed(session.email, env.ALLOWED_USER_EMAIL)) {
+    return null;
+  }
+
+  const version = await env[KV_NAMESPACE].get(oauthKey('session_version', session.userId));
+  if (!timingSafeEqual(session.version, version)) {
+    return null;
+  }
+  return session;
+}
+
+/**
+ * Gets the session version new sessions of a user are signed with, starting one when they have none.
+ * @returns {Promise<string>}
+ */
+async function getSessionVersion(userId, env) {
+  const key = oauthKey('session_version', userId);
+  let version = await env[KV_NAMESPACE].get(key);
+  if (!version) {
+    version = generateRandomString(16);
+    await env[KV_NAMESPACE].put(key, version);
+  }
+  return version;
+}
+
+/**
+ * Checks a state-changing request's X-CSRF-Token header against the session.
+ * @returns {Response|null} A 403 response, or null when the token matches
+ */
+function checkCsrfToken(request, session) {
+  if (timingSafeEqual(request.headers.get('X-CSRF-Token'), session.csrf)) {
+    return null;
+  }
+  return new Response(JSON.stringify({ error: 'Invalid or missing CSRF token' }), {
+    status: 403,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+/**
+ * Start OAuth authorization flow.
+ * The state (also kept in a short-lived cookie) ties the callback to this browser, and the
+ * PKCE code verifier stored with it ties the authorization code to this sign-in.
+ */
+async function startOAuth(request, env) {
+  const { TEAMSNAP_CLIENT_ID } = env;
+  const workerUrl = new URL(request.url).origin;
+
+  const state = generateRandomString();
+  const codeVerifier = generateRandomString();
+  await env[KV_NAMESPACE].put(`oauth_state:${state}`, JSON.stringify({ codeVerifier }), { expirationTtl: OAUTH_STATE_MAX_AGE });
+
+  const params = new URLSearchParams({
+    client_id: TEAMSNAP_CLIENT_ID,
+    redirect_uri: `${workerUrl}/auth-callback`,
+    response_type: 'code',
+    state,
+    code_challenge: await createCodeChallenge(codeVerifier),
+    code_challenge_method: 'S256',
+  });
+
+  return new Response(null, {
+    status: 302,
+    headers: {
+      'Location': `${getTeamSnapUrls(env).authorize}?${params.toString()}`,
+      'Set-Cookie': serializeCookie(OAUTH_STATE_COOKIE, state, OAUTH_STATE_MAX_AGE)
+    }
+  });
+}
+
+/**
+ * Takes the pending sign-in for a callback's state, which must match the browser's state cookie.
+ * Each state works once.
+ * @returns {Promise<Object|null>} { codeVerifier }, or null when the state is missing, forged or expired
+ */
+async function consumeOAuthState(request, state, env) {
+  const cookies = parseCookies(request.headers.get('Cookie'));
+  if (!timingSafeEqual(state, cookies[OAUTH_STATE_COOKIE])) {
+    return null;
+  }
+
+  const stored = await env[KV_NAMESPACE].get(`oauth_state:${state}`);
+  if (!stored) {
+    return null;
+  }
+  await env[KV_NAMESPACE].delete(`oauth_state:${state}`);
+  return JSON.parse(stored);
+}
+
+/**
+ * Handle OAuth callback.
+ */
+async function handleOAuthCallback(request, env) {
+  const url = new URL(request.url);
+  const code = url.searchParams.get('code');
+
+  if (!code) {
+    return new Response('Missing authorization code', { status: 400 });
+  }
+
+  const pending = await consumeOAuthState(request, url.searchParams.get('state'), env);
+  if (!pending) {
+    return new Response('Invalid or expired sign-in request. Please sign in again.', { status: 400 });
+  }
+
+  try {
+    const workerUrl = url.origin;
+
+    const response = await fetch(getTeamSnapUrls(env).token, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+      body: new URLSearchParams({
+        grant_type: 'authorization_code',
+        code: code,
+        redirect_uri: `${workerUrl}/auth-callback`,
+        client_id: env.TEAMSNAP_CLIENT_ID,
+        client_secret: env.TEAMSNAP_CLIENT_SECRET,
+        code_verifier: pending.codeVerifier,
+      }),
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error('Token exchange failed:', response.status, errorText);
+      return new Response('Authentication failed', { status: 500 });
+    }
+
+    const tokenData = await response.json();
+
+    // Get user info with the new access token
+    const userData = await createTeamSnapClient({
+      baseUrl: getTeamSnapUrls(env).api,
+      getAccessToken: async () => tokenData.access_token,
+    }).get('/me').catch(error => {
+      console.error('User info request failed:', error.message);
+      return null;
+    });
+    if (!userData?.collection?.items?.[0]) {
+      return new Response('Authentication failed', { status: 500 });
+    }
+
+    // Only accounts on the allowlist get a session
+    const user = flattenItem(userData.collection.items[0]);
+    if (!env.ALLOWED_USER_EMAIL) {
+      return new Response('Access denied: ALLOWED_USER_EMAIL environment variable is required', { status: 403 });
+    }
+    if (!isEmailAllowed(user.email, env.ALLOWED_USER_EMAIL)) {
+      return new Response(`Access denied: The email '${user.email}' is not authorized to use this service.`, { status: 403 });
+    }
+
+    // Store tokens under the user's own keys
+    await storeOAuthTokens(tokenData, env, user.id);
+    await env[KV_NAMESPACE].put(oauthKey('oauth_user_info', user.id), JSON.stringify(userData));
+
+    const session = await signSession(
+      { userId: user.id, email: user.email, version: await getSessionVersion(user.id, env), csrf: generateRandomString(), issuedAt: Date.now() },
+      getSessionSecret(env)
+    );
+
+    console.log('OAuth successful, redirecting to settings');
+    const headers = new Headers({ 'Location': `${workerUrl}/settings` });
+    headers.append('Set-Cookie', serializeCookie(SESSION_COOKIE, session, SESSION_MAX_AGE));
+    headers.append('Set-Cookie', serializeCookie(OAUTH_STATE_COOKIE, '', 0));
+    return new Response(null, { status: 302, headers });
+
+  } catch (error) {
+    console.error('OAuth callback error:', error);
+    return new Response('Authentication failed', { status: 500 });
+  }
+}
+
+/**
+ * Revokes an access or refresh token at TeamSnap. Failures are logged, not thrown.
+ */
+async function revokeOAuthToken(token, env) {
+  try {
+    const response = await fetch(getTeamSnapUrls(env).revoke, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+      body: new URLSearchParams({
+        token,
+        client_id: env.TEAMSNAP_CLIENT_ID,
+        client_secret: env.TEAMSNAP_CLIENT_SECRET,
+      }),
+    });
+    if (!response.ok) {
+      console.error('Token revocation failed:', response.status);
+    }
+  } catch (error) {
+    console.error('Error revoking token:', error);
+  }
+}
+
+/**
+ * Handle sign-out (POST /logout with the CSRF token).
+ * Revokes the user's TeamSnap tokens, deletes them, ends every session of the user and clears the session cookie.
+ * Their subscriber links keep serving the last copy but stop updating until they sign in again.
+ */
+async function handleLogout(request, env) {
+  if (request.method !== 'POST') {
+    return new Response(JSON.stringify({ error: 'Method not allowed' }), {
+      status: 405,
+      headers: { 'Content-Type': 'application/json', 'Allow': 'POST' }
+    });
+  }
+
+  // An expired TeamSnap token does not stop a sign-out, so only the cookie is checked
+  const session = await readSessionCookie(request, env);
+  if (session) {
+    const csrfError = checkCsrfToken(request, session);
+    if (csrfError) return csrfError;
+
+    for (const name of ['oauth_access_token', 'oauth_refresh_token']) {
+      const token = await env[KV_NAMESPACE].get(oauthKey(name, session.userId));
+      if (token) {
+        await revokeOAuthToken(token, env);
+      }
+    }
+
+    // Without a session version no session cookie is accepted; the next sign-in starts a new one
+    for (const name of ['oauth_access_token', 'oauth_refresh_token', 'oauth_expires_at', 'oauth_user_info', 'session_version']) {
+      await env[KV_NAMESPACE].delete(oauthKey(name, session.userId));
+    }
+    await env[KV_NAMESPACE].delete(`team_ids_${session.userId}`);
+  }
+
+  return new Response(JSON.stringify({ success: true }), {
+    headers: {
+      'Content-Type': 'application/json',
+      'Set-Cookie': serializeCookie(SESSION_COOKIE, '', 0)
+    }
+  });
+}
+
+// =============================================================================
+// API ENDPOINTS
+// =============================================================================
+
+/**
+ * Handle API requests.
+ */
+async function handleApiRequest(request, env) {
+  const url = new URL(request.url);
+  const path = url.pathname;
+
+  // Check authentication for API requests
+  const session = await getSession(request, env);
+  if (!session) {
+    return new Response(JSON.stringify({ error: 'Not authenticated' }), {
+      status: 401,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  // Anything that changes state must carry the session's CSRF token, which only the settings page can read
+  if (request.method !== 'GET' && request.method !== 'HEAD') {
+    const csrfError = checkCsrfToken(request, session);
+    if (csrfError) return csrfError;
+  }
+
+  if (path === '/api/teams') {
+    return handleTeamsApi(request, env, session);
+  }
+
+  if (path === '/api/team-settings') {
+    return handleTeamSettingsApi(request, env, session);
+  }
+
+  if (path === '/api/template-preview') {
+    return handleTemplatePreviewApi(request, env, session);
+  }
+
+  if (path === '/api/opponent-preview') {
+    return handleOpponentPreviewApi(request, env, session);
+  }
+
+  if (path === '/api/combined-calendars') {
+    return handleCombinedCalendarsApi(request, env, session);
+  }
+
+  if (path === '/api/custom-calendars') {
+    return handleCustomCalendarsApi(request, env, session);
+  }
+
+  if (path === '/api/calendar-tokens') {
+    return handleCalendarTokensApi(request, env, session);
+  }
+
+  if (path === '/api/event-overrides') {
+    return handleEventOverridesApi(request, env, session);
+  }
+
+  if (path === '/api/changes') {
+    return handleChangesApi(request, env, session);
+  }
+
+  if (path === '/api/webhooks') {
+    return handleWebhooksApi(request, env, session);
+  }
+
+  return new Response('Not Found', { status: 404 });
+}
+
+/**
+ * Gets the IDs of the teams a user can manage, from the list stored when the settings page loads or from TeamSnap.
+ * @returns {Promise<string[]>}
+ */
+async function getUserTeamIds(userId, env) {
+  const stored = await env[KV_NAMESPACE].get(`team_ids_${userId}`);
+  if (stored) return JSON.parse(stored);
+
+  const teamsData = await fetchTeamSnapData(`/teams/active?user_id=${userId}`, env, userId);
+  const teamIds = (teamsData?.collection?.items || []).map(item => String(flattenItem(item).id));
+  await env[KV_NAMESPACE].put(`team_ids_${userId}`, JSON.stringify(teamIds), { expirationTtl: TEAM_IDS_TTL });
+  return teamIds;
+}
+
+/**
+ * Checks that the signed-in user is on a team before they read or change its settings.
+ * @returns {Promise<Response|null>} A 403 response, or null when the user may manage the team
+ */
+async function checkTeamAccess(teamId, session, env) {
+  const teamIds = await getUserTeamIds(session.userId, env);
+  if (teamIds.includes(String(teamId))) {
+    return null;
+  }
+
+  return new Response(JSON.stringify({ error: 'You are not a member of this team' }), {
+    status: 403,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+/**
+ * Handle teams API endpoint.
+ */
+async function handleTeamsApi(request, env, session) {
+  try {
+    const { userId, email: userEmail } = session;
+
+    // Whether the user's TeamSnap access lapsed while they were away, for the banner on the settings page
+    const storedHealth = JSON.parse(await env[KV_NAMESPACE].get(oauthKey('auth_health', userId)) || 'null');
+    const authHealth = storedHealth && { state: storedHealth.state, since: storedHealth.since, restoredAt: storedHealth.restoredAt || null };
+
+    // Get teams; TeamSnap refusing the user's access sends them to sign in again
+    let teamsResponse = null;
+    try {
+      teamsResponse = await getTeamSnapClient(env, userId).get(`/teams/active?user_id=${userId}`);
+    } catch (error) {
+      console.warn('Teams request failed:', error.message);
+      if (error instanceof TeamSnapAuthError) {
+        return new Response(JSON.stringify({
+          error: 'TeamSnap access has expired. Please sign in again.',
+          signIn: true,
+          authHealth: authHealth || { state: 'lapsed', since: null, restoredAt: null }
+        }), {
+          status: 401,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+    }
+
+    if (!teamsResponse || !teamsResponse.collection) {
+      return new Response(JSON.stringify({ error: 'Teams data not found' }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    const teams = teamsResponse.collection.items || [];
+    const url = new URL(request.url);
+    const workerUrl = url.origin;
+
+    // Remember which teams the user may manage
+    await env[KV_NAMESPACE].put(`team_ids_${userId}`, JSON.stringify(teams.map(team => String(flattenItem(team).id))), {
+      expirationTtl: TEAM_IDS_TTL
+    });
+
+    const teamsWithCalendars = await Promise.all(teams.map(async (team) => {
+      const teamData = {};
+      team.data.forEach(d => {
+        teamData[d.name] = d.value;
+      });
+
+      // Get custom team name, opponent name removal setting and calendar options
+      const customName = await env[KV_NAMESPACE].get(`custom_team_name_${teamData.id}`);
+      const removeOpponentNames = await env[KV_NAMESPACE].get(`remove_opponent_names_${teamData.id}`);
+      const allEventsOptions = await getCalendarOptions(teamData.id, 'all', env);
+      const gamesOnlyOptions = await getCalendarOptions(teamData.id, 'games', env);
+      const alarms = await getAlarmSettings(teamData.id, env);
+      const durations = await getEventDurations(teamData.id, env);
+      const startAtArrival = await env[KV_NAMESPACE].get(`start_at_arrival_${teamData.id}`);
+      const showResults = await env[KV_NAMESPACE].get(`show_results_${teamData.id}`);
+      const locationOptions = await getLocationOptions(teamData.id, env);
+      const availabilityOptions = await getAvailabilityOptions(teamData.id, env);
+      const customCalendars = await Promise.all((await getCustomCalendars(teamData.id, env))
+        .map(calendar => withCustomCalendarUrl(teamData.id, calendar, env, workerUrl, userId)));
+
+      // Subscriber links; the first listing adopts the hashed token subscribers already have
+      const feeds = {};
+      const feedStatus = {};
+      for (const filterType of ['all', 'games']) {
+        const target = { teamId: teamData.id, filterType: filterType, userId: userId };
+        const feedId = getFeedId(target);
+        const legacyToken = await generateCalendarToken(teamData.id, filterType, env, teamData.name);
+        feeds[filterType] = await listFeedTokens(feedId, target, env, workerUrl, legacyToken);
+        const status = await env[KV_NAMESPACE].get(`feed_status:${feedId}`);
+        feedStatus[filterType] = status ? JSON.parse(status) : null;
+      }
+
+      return {
+        id: teamData.id,
+        name: teamData.name,
+        customName: customName,
+        removeOpponentNames: removeOpponentNames === 'true',
+        startAtArrival: startAtArrival === 'true',
+        showResults: showResults === 'true',
+        calendars: {
+          all: feeds.all.url,
+          games: feeds.games.url
+        },
+        feeds: feeds,
+        calendarOptions: {
+          all: allEventsOptions,
+          games: gamesOnlyOptions
+        },
+        feedStatus: feedStatus,
+        customCalendars: customCalendars,
+        alarms: alarms,
+        durations: durations,
+        locationOptions: locationOptions,
+        availabilityOptions: availabilityOptions
+      };
+    }));
+
+    return new Response(JSON.stringify({
+      user: { email: userEmail },
+      csrfToken: session.csrf,
+      authHealth: authHealth,
+      alarmCategories: ALARM_CATEGORIES,
+      durationCategories: DURATION_CATEGORIES,
+      availabilityModes: AVAILABILITY_DISPLAY_MODES,
+      eventTypes: EVENT_TYPES,
+      teams: teamsWithCalendars
+    }), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+
+  } catch (error) {
+    console.error('Teams API error:', error);
+    return new Response(JSON.stringify({ error: 'Failed to fetch teams' }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+}
+
+/**
+ * Handle team settings API endpoint.
+ */
+async function handleTeamSettingsApi(request, env, session) {
+  if (request.method === 'GET') {
+    const url = new URL(request.url);
+    const teamId = url.searchParams.get('teamId');
+
+    if (!teamId) {
+      return new Response(JSON.stringify({ error: 'Missing teamId' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    const denied = await checkTeamAccess(teamId, session, env);
+    if (denied) {
+      return denied;
+    }
+
+    const customName = await env[KV_NAMESPACE].get(`custom_team_name_${teamId}`);
+    const removeOpponentNames = await env[KV_NAMESPACE].get(`remove_opponent_names_${teamId}`);
+    const templates = await getEventTemplates(teamId, env);
+    const alarms = await getAlarmSettings(teamId, env);
+    const durations = await getEventDurations(teamId, env);
+    const startAtArrival = await env[KV_NAMESPACE].get(`start_at_arrival_${teamId}`);
+    const showResults = await env[KV_NAMESPACE].get(`show_results_${teamId}`);
+    const locationOptions = await getLocationOptions(teamId, env);
+    const availabilityOptions = await getAvailabilityOptions(teamId, env);
+    const opponentRules = await getStoredOpponentRules(teamId, env);
+    const globalOpponentRules = await getStoredOpponentRules(null, env, session.userId);
+
+    return new Response(JSON.stringify({
+      customName,
+      removeOpponentNames: removeOpponentNames === 'true',
+      startAtArrival: startAtArrival === 'true',
+      showResults: showResults === 'true',
+      alarms,
+      durations,
+      locationOptions,
+      availabilityOptions,
+      templates,
+      defaultTemplates: DEFAULT_TEMPLATES,
+      templateFields: DERIVED_FIELDS,
+      opponentRules,
+      globalOpponentRules,
+      suggestedStripPatterns: SUGGESTED_STRIP_PATTERNS
+    }), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  if (request.method === 'POST') {
+    const { teamId, customName, removeOpponentNames, startAtArrival, showResults, templates, calendarOptions, alarms, durations, locationOptions, availabilityOptions, opponentRules, globalOpponentRules } = await request.json();
+
+    if (!teamId) {
+      return new Response(JSON.stringify({ error: 'Missing teamId' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    const denied = await checkTeamAccess(teamId, session, env);
+    if (denied) {
+      return denied;
+    }
+
+    // Reject templates that do not parse before saving anything
+    if (templates) {
+      for (const [key, template] of Object.entries(templates)) {
+        const error = template ? validateTemplate(template) : null;
+        if (error) {
+          return new Response(JSON.stringify({ error: `Invalid ${key} template: ${error}` }), {
+            status: 400,
+            headers: { 'Content-Type': 'application/json' }
+          });
+        }
+      }
+    }
+
+    // ...and opponent stripping rules that are too long or too many
+    for (const rules of [opponentRules, globalOpponentRules]) {
+      const error = rules ? validateOpponentRules(rules) : null;
+      if (error) {
+        return new Response(JSON.stringify({ error }), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+    }
+
+    if (customName !== undefined) {
+      if (customName) {
+        await env[KV_NAMESPACE].put(`custom_team_name_${teamId}`, customName);
+      } else {
+        await env[KV_NAMESPACE].delete(`custom_team_name_${teamId}`);
+      }
+    }
+
+    // Handle removeOpponentNames setting
+    if (removeOpponentNames !== undefined) {
+      if (removeOpponentNames) {
+        await env[KV_NAMESPACE].put(`remove_opponent_names_${teamId}`, 'true');
+      } else {
+        await env[KV_NAMESPACE].delete(`remove_opponent_names_${teamId}`);
+      }
+    }
+
+    // Handle event templates; only templates that differ from the defaults are stored
+    if (templates !== undefined) {
+      const customTemplates = {};
+      for (const key of Object.keys(DEFAULT_TEMPLATES)) {
+        const template = templates?.[key];
+        if (template && template !== DEFAULT_TEMPLATES[key]) {
+          customTemplates[key] = template;
+        }
+      }
+      if (Object.keys(customTemplates).length > 0) {
+        await env[KV_NAMESPACE].put(`event_templates_${teamId}`, JSON.stringify(customTemplates));
+      } else {
+        await env[KV_NAMESPACE].delete(`event_templates_${teamId}`);
+      }
+    }
+
+    // Handle startAtArrival setting
+    if (startAtArrival !== undefined) {
+      if (startAtArrival) {
+        await env[KV_NAMESPACE].put(`start_at_arrival_${teamId}`, 'true');
+      } else {
+        await env[KV_NAMESPACE].delete(`start_at_arrival_${teamId}`);
+      }
+    }
+
+    // Handle showResults setting
+    if (showResults !== undefined) {
+      if (showResults) {
+        await env[KV_NAMESPACE].put(`show_results_${teamId}`, 'true');
+      } else {
+        await env[KV_NAMESPACE].delete(`show_results_${teamId}`);
+      }
+    }
+
+    // Handle per-calendar options
+    if (calendarOptions) {
+      for (const filterType of ['all', 'games']) {
+        const options = calendarOptions[filterType];
+        if (!options) continue;
+
+        await env[KV_NAMESPACE].put(`calendar_options_${teamId}_${filterType}`, JSON.stringify(normalizeCalendarOptions(options)));
+      }
+    }
+
+    // Handle reminders
+    if (alarms !== undefined) {
+      const alarmSettings = normalizeAlarmSettings(alarms);
+      if (Object.values(alarmSettings).some(categoryAlarms => categoryAlarms.length > 0)) {
+        await env[KV_NAMESPACE].put(`alarm_settings_${teamId}`, JSON.stringify(alarmSettings));
+      } else {
+        await env[KV_NAMESPACE].delete(`alarm_settings_${teamId}`);
+      }
+    }
+
+    // Handle default event durations
+    if (durations !== undefined) {
+      const eventDurations = normalizeDurations(durations);
+      if (Object.keys(DEFAULT_DURATIONS).some(category => eventDurations[category] !== DEFAULT_DURATIONS[category])) {
+        await env[KV_NAMESPACE].put(`event_durations_${teamId}`, JSON.stringify(eventDurations));
+      } else {
+        await env[KV_NAMESPACE].delete(`event_durations_${teamId}`);
+      }
+    }
+
+    // Handle location output options
+    if (locationOptions) {
+      const storedOptions = {};
+      for (const key of Object.keys(DEFAULT_LOCATION_OPTIONS)) {
+        storedOptions[key] = key in locationOptions ? !!locationOptions[key] : DEFAULT_LOCATION_OPTIONS[key];
+      }
+      await env[KV_NAMESPACE].put(`location_options_${teamId}`, JSON.stringify(storedOptions));
+    }
+
+    // Handle availability output options
+    if (availabilityOptions) {
+      await env[KV_NAMESPACE].put(`availability_options_${teamId}`, JSON.stringify(normalizeAvailabilityOptions(availabilityOptions)));
+    }
+
+    // Handle opponent aliases and stripping rules, for this team and for all of the user's teams
+    for (const [key, rules] of [[`opponent_rules_${teamId}`, opponentRules], [globalOpponentRulesKey(session.userId), globalOpponentRules]]) {
+      if (rules === undefined) continue;
+      const normalized = normalizeOpponentRules(rules);
+      if (normalized.aliases.length > 0 || normalized.stripPatterns.length > 0) {
+        await env[KV_NAMESPACE].put(key, JSON.stringify(normalized));
+      } else {
+        await env[KV_NAMESPACE].delete(key);
+      }
+    }
+
+    // Invalidate cached calendars when settings change; rules for all teams change every calendar of the user's
+    await invalidateTeamFeeds(teamId, env);
+    if (globalOpponentRules !== undefined) {
+      await invalidateUserFeeds(session.userId, env);
+    }
+
+    return new Response(JSON.stringify({ success: true }), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  return new Response('Method Not Allowed', { status: 405 });
+}
+
+/**
+ * Handle template preview API endpoint.
+ * Renders unsaved templates against the team's next upcoming events.
+ */
+async function handleTemplatePreviewApi(request, env, session) {
+  if (request.method !== 'POST') {
+    return new Response('Method Not Allowed', { status: 405 });
+  }
+
+  const { teamId, templates } = await request.json();
+
+  if (!teamId) {
+    return new Response(JSON.stringify({ error: 'Missing teamId' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  const denied = await checkTeamAccess(teamId, session, env);
+  if (denied) {
+    return denied;
+  }
+
+  const mergedTemplates = { ...DEFAULT_TEMPLATES };
+  for (const key of Object.keys(DEFAULT_TEMPLATES)) {
+    if (typeof templates?.[key] === 'string') {
+      const error = validateTemplate(templates[key]);
+      if (error) {
+        return new Response(JSON.stringify({ error: `Invalid ${key} template: ${error}` }), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+      mergedTemplates[key] = templates[key] || DEFAULT_TEMPLATES[key];
+    }
+  }
+
+  const teamData = await fetchTeamSnapData(`/teams/${teamId}`, env, session.userId);
+  const actualTeamName = teamData?.collection?.items?.[0]?.data.find(d => d.name === 'name')?.value || null;
+  const customTeamName = await env[KV_NAMESPACE].get(`custom_team_name_${teamId}`);
+
+  const eventsData = await fetchTeamSnapData(`/events/search?team_id=${teamId}`, env, session.userId);
+  if (!eventsData?.collection) {
+    return new Response(JSON.stringify({ error: 'Events data not found' }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  // Preview the next two upcoming games and the next two other events
+  const now = Date.now();
+  const upcoming = (eventsData.collection.items || [])
+    .map(event => {
+      const eventData = {};
+      event.data.forEach(d => {
+        eventData[d.name] = d.value;
+      });
+      return eventData;
+    })
+    .filter(eventData => !eventData.is_canceled && eventData.start_date && new Date(eventData.start_date).getTime() >= now)
+    .sort((a, b) => new Date(a.start_date) - new Date(b.start_date));
+  const samples = [
+    ...upcoming.filter(eventData => eventData.is_game).slice(0, 2),
+    ...upcoming.filter(eventData => !eventData.is_game).slice(0, 2),
+  ].sort((a, b) => new Date(a.start_date) - new Date(b.start_date));
+
+  const startAtArrival = (await env[KV_NAMESPACE].get(`start_at_arrival_${teamId}`)) === 'true';
+  const removeOpponentNames = (await env[KV_NAMESPACE].get(`remove_opponent_names_${teamId}`)) === 'true';
+  const opponentRules = await getOpponentRules(teamId, env, session.userId);
+  const { locations } = await getTeamLocations(teamId, samples.map(eventData => eventData.location_id), env, session.userId);
+
+  const previews = [];
+  for (const sample of samples) {
+    const eventData = applyOpponentRules(sample, opponentRules);
+    const location = eventData.location_id ? locations[String(eventData.location_id)] || null : null;
+    const arrivalDate = startAtArrival && eventData.is_game ? getArrivalDate(eventData) : null;
+    const startsAtArrival = !!arrivalDate && arrivalDate < new Date(eventData.start_date);
+    const { title, description } = renderEventText(eventData, mergedTemplates, {
+      teamId,
+      teamName: customTeamName || actualTeamName || 'Team',
+      title: generateDefaultTitle(eventData, actualTeamName, customTeamName, removeOpponentNames),
+      location,
+      startsAtArrival,
+    });
+    previews.push({
+      isGame: !!eventData.is_game,
+      start: eventData.start_date,
+      title: startsAtArrival ? `${title} (game ${formatGameTime(eventData.start_date, eventData.time_zone_iana_name)})` : title,
+      description,
+    });
+  }
+
+  return new Response(JSON.stringify({ previews }), {
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+/**
+ * Handle opponent preview API endpoint.
+ * Lists every distinct opponent on the team's schedule with its name under unsaved rules.
+ */
+async function handleOpponentPreviewApi(request, env, session) {
+  if (request.method !== 'POST') {
+    return new Response('Method Not Allowed', { status: 405 });
+  }
+
+  const { teamId, opponentRules, globalOpponentRules } = await request.json();
+
+  if (!teamId) {
+    return new Response(JSON.stringify({ error: 'Missing teamId' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  const denied = await checkTeamAccess(teamId, session, env);
+  if (denied) {
+    return denied;
+  }
+
+  for (const rules of [opponentRules, globalOpponentRules]) {
+    const error = rules ? validateOpponentRules(rules) : null;
+    if (error) {
+      return new Response(JSON.stringify({ error }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+  }
+
+  // Rules not being edited keep their saved values
+  const rules = mergeOpponentRules(
+    globalOpponentRules ? normalizeOpponentRules(globalOpponentRules) : await getStoredOpponentRules(null, env, session.userId),
+    opponentRules ? normalizeOpponentRules(opponentRules) : await getStoredOpponentRules(teamId, env)
+  );
+
+  const eventsData = await fetchTeamSnapData(`/events/search?team_id=${teamId}`, env, session.userId);
+  if (!eventsData?.collection) {
+    return new Response(JSON.stringify({ error: 'Events data not found' }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  const opponents = listOpponents((eventsData.collection.items || []).map(flattenItem), rules);
+
+  return new Response(JSON.stringify({ opponents }), {
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+/**
+ * Handle custom calendars API endpoint.
+ * POST creates or updates one of a team's custom calendars, DELETE removes one (?teamId=&id=).
+ */
+async function handleCustomCalendarsApi(request, env, session) {
+  const url = new URL(request.url);
+
+  if (request.method === 'POST') {
+    const { teamId, id, name, filters, calendarOptions } = await request.json();
+
+    if (!teamId || !name || !String(name).trim()) {
+      return new Response(JSON.stringify({ error: 'A calendar needs a team and a name' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    const denied = await checkTeamAccess(teamId, session, env);
+    if (denied) {
+      return denied;
+    }
+
+    const calendars = await getCustomCalendars(teamId, env);
+    const existing = id ? calendars.find(calendar => calendar.id === id) : null;
+    if (id && !existing) {
+      return new Response(JSON.stringify({ error: 'Calendar not found' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    const calendar = {
+      id: existing ? existing.id : crypto.randomUUID(),
+      name: String(name).trim(),
+      filters: normalizeFilters(filters),
+      calendarOptions: normalizeCalendarOptions(calendarOptions)
+    };
+    if (calendar.filters.types.length === 0) {
+      return new Response(JSON.stringify({ error: 'Choose at least one event type' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    const updated = existing
+      ? calendars.map(other => (other.id === calendar.id ? calendar : other))
+      : [...calendars, calendar];
+    await env[KV_NAMESPACE].put(`custom_calendars_${teamId}`, JSON.stringify(updated));
+
+    // Invalidate the cached calendar; a new calendar gets a random first link
+    const target = { teamId: teamId, customId: calendar.id, userId: session.userId };
+    await invalidateFeed({ teamId: teamId, customId: calendar.id }, env);
+    if (!existing) {
+      await issueFeedToken(getFeedId(target), target, 'Default', env);
+    }
+
+    return new Response(JSON.stringify({ success: true, calendar: await withCustomCalendarUrl(teamId, calendar, env, url.origin, session.userId) }), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
 
-// =============================================================================
-// SIMPLE OAUTH IMPLEMENTATION
-// =============================================================================
+  if (request.method === 'DELETE') {
+    const teamId = url.searchParams.get('teamId');
+    const id = url.searchParams.get('id');
 
-/**
- * Check if user is authenticated.
- */
-async function isAuthenticated(env) {
-  const accessToken = await env[KV_NAMESPACE].get('oauth_access_token');
-  const expiresAt = await env[KV_NAMESPACE].get('oauth_expires_at');
+    const denied = teamId ? await checkTeamAccess(teamId, session, env) : null;
+    if (denied) {
+      return denied;
+    }
 
-  if (!accessToken) {
-    return false;
-  }
+    const calendars = teamId ? await getCustomCalendars(teamId, env) : [];
+    if (!calendars.some(calendar => calendar.id === id)) {
+      return new Response(JSON.stringify({ error: 'Calendar not found' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    await env[KV_NAMESPACE].put(`custom_calendars_${teamId}`, JSON.stringify(calendars.filter(calendar => calendar.id !== id)));
+
+    await deleteFeed({ teamId, customId: id }, env);
+    await env[KV_NAMESPACE].delete(`calendar_token:${await generateCustomCalendarToken(id, env)}`);
+
+    // Its webhooks have nothing left to announce
+    const webhooks = await getWebhooks(teamId, env);
+    if (webhooks.some(webhook => webhook.calendar === id)) {
+      await env[KV_NAMESPACE].put(`webhooks_${teamId}`, JSON.stringify(webhooks.filter(webhook => webhook.calendar !== id)));
+    }
 
-  // Check if token is expired
-  if (expiresAt && Date.now() > parseInt(expiresAt)) {
-    // Try to refresh
-    const newTokens = await refreshAccessToken(env);
-    return !!newTokens;
+    return new Response(JSON.stringify({ success: true }), {
+      headers: { 'Content-Type': 'application/json' }
+    });
   }
 
-  return true;
+  return new Response('Method Not Allowed', { status: 405 });
 }
 
 /**
- * Start OAuth authorization flow.
+ * Describes a TeamSnap event for the overrides list on the settings page.
  */
-function startOAuth(request, env) {
-  const { TEAMSNAP_CLIENT_ID } = env;
-  const workerUrl = new URL(request.url).origin;
-
-  const params = new URLSearchParams({
-    client_id: TEAMSNAP_CLIENT_ID,
-    redirect_uri: `${workerUrl}/auth-callback`,
-    response_type: 'code',
-  });
-
-  const authorizationUrl = `${TEAMSNAP_OAUTH_URL}?${params.toString()}`;
-  return Response.redirect(authorizationUrl, 302);
+function summarizeEvent(eventData) {
+  return {
+    id: String(eventData.id),
+    title: eventData.is_game && eventData.opponent_name
+      ? `vs. ${eventData.opponent_name}`
+      : eventData.formatted_title || eventData.label || eventData.name || 'Event',
+    startDate: eventData.start_date || null,
+    endDate: eventData.end_date || null,
+    locationName: eventData.location_name || null,
+    isGame: !!eventData.is_game,
+    isCanceled: !!eventData.is_canceled,
+    updatedAt: eventData.updated_at || null
+  };
 }
 
 /**
- * Handle OAuth callback.
+ * Handle event overrides API endpoint.
+ * GET lists a team's events and overrides (?teamId=), flagging overrides whose event has since changed in TeamSnap.
+ * POST saves an override ({ teamId, eventId, hidden, title, description, location, startDate, endDate }),
+ * DELETE removes one (?teamId=&eventId=).
  */
-async function handleOAuthCallback(request, env) {
+async function handleEventOverridesApi(request, env, session) {
   const url = new URL(request.url);
-  const code = url.searchParams.get('code');
+  const input = request.method === 'POST' ? await request.json() : Object.fromEntries(url.searchParams);
+  const teamId = input.teamId;
 
-  if (!code) {
-    return new Response('Missing authorization code', { status: 400 });
+  if (!teamId) {
+    return new Response(JSON.stringify({ error: 'Missing teamId' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' }
+    });
   }
 
-  try {
-    const workerUrl = url.origin;
+  const denied = await checkTeamAccess(teamId, session, env);
+  if (denied) {
+    return denied;
+  }
 
-    const response = await fetch(TEAMSNAP_TOKEN_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-      },
-      body: new URLSearchParams({
-        grant_type: 'authorization_code',
-        code: code,
-        redirect_uri: `${workerUrl}/auth-callback`,
-        client_id: env.TEAMSNAP_CLIENT_ID,
-        client_secret: env.TEAMSNAP_CLIENT_SECRET,
-      }),
-    });
+  const overrides = await getEventOverrides(teamId, env);
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('Token exchange failed:', response.status, errorText);
-      return new Response('Authentication failed', { status: 500 });
+  if (request.method === 'DELETE') {
+    if (!overrides[input.eventId]) {
+      return new Response(JSON.stringify({ error: 'Override not found' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
+      });
     }
 
-    const tokenData = await response.json();
+    delete overrides[input.eventId];
+    await env[KV_NAMESPACE].put(`event_overrides_${teamId}`, JSON.stringify(overrides));
+    await invalidateTeamFeeds(teamId, env);
 
-    // Store tokens
-    await env[KV_NAMESPACE].put('oauth_access_token', tokenData.access_token, {
-      expirationTtl: tokenData.expires_in
+    return new Response(JSON.stringify({ success: true }), {
+      headers: { 'Content-Type': 'application/json' }
     });
+  }
 
-    if (tokenData.refresh_token) {
-      await env[KV_NAMESPACE].put('oauth_refresh_token', tokenData.refresh_token);
-    }
-
-    // Store expiry time
-    const expiresAt = Date.now() + (tokenData.expires_in * 1000);
-    await env[KV_NAMESPACE].put('oauth_expires_at', expiresAt.toString());
+  if (request.method !== 'GET' && request.method !== 'POST') {
+    return new Response('Method Not Allowed', { status: 405 });
+  }
 
-    // Get user info
-    const userResponse = await fetch(`${TEAMSNAP_API_URL}/me`, {
-      headers: {
-        Authorization: `Bearer ${tokenData.access_token}`,
-        'Accept': 'application/json',
-      },
+  const eventsData = await fetchTeamSnapData(`/events/search?team_id=${teamId}`, env, session.userId);
+  if (!eventsData?.collection) {
+    return new Response(JSON.stringify({ error: 'Events data not found' }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
     });
+  }
+  const events = new Map((eventsData.collection.items || []).map(item => {
+    const eventData = flattenItem(item);
+    return [String(eventData.id), eventData];
+  }));
+
+  // Overrides whose event has changed in TeamSnap since they were saved are flagged for review
+  const describeOverride = (override) => {
+    const eventData = events.get(override.eventId);
+    return {
+      ...override,
+      event: eventData ? summarizeEvent(eventData) : null,
+      outdated: eventData ? isOverrideOutdated(override, eventData) : false
+    };
+  };
 
-    if (userResponse.ok) {
-      const userData = await userResponse.json();
-      await env[KV_NAMESPACE].put('oauth_user_info', JSON.stringify(userData));
+  if (request.method === 'POST') {
+    const eventId = String(input.eventId || '');
+    const eventData = events.get(eventId);
+    if (!eventData) {
+      return new Response(JSON.stringify({ error: 'Event not found' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
+      });
     }
 
-    console.log('OAuth successful, redirecting to settings');
-    return Response.redirect(`${workerUrl}/settings`, 302);
+    const error = validateOverride(input);
+    if (error) {
+      return new Response(JSON.stringify({ error }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
 
-  } catch (error) {
-    console.error('OAuth callback error:', error);
-    return new Response('Authentication failed', { status: 500 });
+    // Saving again marks the override as reviewed against TeamSnap's current event
+    overrides[eventId] = {
+      eventId,
+      ...normalizeOverride(input),
+      upstreamUpdatedAt: eventData.updated_at || null,
+      updatedAt: Date.now()
+    };
+    await env[KV_NAMESPACE].put(`event_overrides_${teamId}`, JSON.stringify(overrides));
+    await invalidateTeamFeeds(teamId, env);
+
+    return new Response(JSON.stringify({ success: true, override: describeOverride(overrides[eventId]) }), {
+      headers: { 'Content-Type': 'application/json' }
+    });
   }
+
+  const summaries = [...events.values()]
+    .filter(eventData => eventData.start_date)
+    .sort((a, b) => new Date(a.start_date) - new Date(b.start_date))
+    .map(summarizeEvent);
+
+  return new Response(JSON.stringify({
+    events: summaries,
+    overrides: Object.values(overrides).map(describeOverride)
+  }), {
+    headers: { 'Content-Type': 'application/json' }
+  });
 }
 
-// =============================================================================
-// API ENDPOINTS
-// =============================================================================
+/**
+ * Checks that a team has a calendar: 'all', 'games' or the ID of one of its custom calendars.
+ */
+async function isTeamCalendar(teamId, calendar, env) {
+  return calendar === 'all' || calendar === 'games' ||
+    (await getCustomCalendars(teamId, env)).some(custom => custom.id === calendar);
+}
 
 /**
- * Handle API requests.
+ * Handle change log API endpoint.
+ * GET lists what changed in one of the user's team calendars (?teamId=&calendar=, 'all' by default), newest first.
  */
-async function handleApiRequest(request, env) {
+async function handleChangesApi(request, env, session) {
+  if (request.method !== 'GET') {
+    return new Response('Method Not Allowed', { status: 405 });
+  }
+
   const url = new URL(request.url);
-  const path = url.pathname;
+  const teamId = url.searchParams.get('teamId');
+  const calendar = url.searchParams.get('calendar') || 'all';
 
-  // Check authentication for API requests
-  if (!(await isAuthenticated(env))) {
-    return new Response(JSON.stringify({ error: 'Not authenticated' }), {
-      status: 401,
+  if (!teamId) {
+    return new Response(JSON.stringify({ error: 'Missing teamId' }), {
+      status: 400,
       headers: { 'Content-Type': 'application/json' }
     });
   }
 
-  if (path === '/api/teams') {
-    return handleTeamsApi(request, env);
+  const denied = await checkTeamAccess(teamId, session, env);
+  if (denied) {
+    return denied;
   }
 
-  if (path === '/api/team-settings') {
-    return handleTeamSettingsApi(request, env);
+  if (!await isTeamCalendar(teamId, calendar, env)) {
+    return new Response(JSON.stringify({ error: 'Calendar not found' }), {
+      status: 404,
+      headers: { 'Content-Type': 'application/json' }
+    });
   }
 
-  return new Response('Not Found', { status: 404 });
+  const target = calendar === 'all' || calendar === 'games'
+    ? { teamId, filterType: calendar, userId: session.userId }
+    : { teamId, customId: calendar, userId: session.userId };
+  const log = JSON.parse(await env[KV_NAMESPACE].get(`changes:${getFeedId(target)}`) || '[]');
+
+  return new Response(JSON.stringify({
+    changes: log.map(change => ({ ...change, message: describeChange(change) }))
+  }), {
+    headers: { 'Content-Type': 'application/json' }
+  });
 }
 
 /**
- * Handle teams API endpoint.
+ * Handle webhooks API endpoint.
+ * GET lists a team's webhooks (?teamId=), POST adds or updates one ({ teamId, id, url, format, calendar }),
+ * DELETE removes one (?teamId=&id=).
  */
-async function handleTeamsApi(request, env) {
-  try {
-    const userData = await fetchTeamSnapData('/me', env);
+async function handleWebhooksApi(request, env, session) {
+  const url = new URL(request.url);
+  const input = request.method === 'POST' ? await request.json() : Object.fromEntries(url.searchParams);
+  const teamId = input.teamId;
 
-    if (!userData || !userData.collection || !userData.collection.items || !userData.collection.items[0]) {
-      return new Response(JSON.stringify({ error: 'User data not found' }), {
-        status: 500,
-        headers: { 'Content-Type': 'application/json' }
-      });
-    }
+  if (!teamId) {
+    return new Response(JSON.stringify({ error: 'Missing teamId' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
 
-    const user = userData.collection.items[0];
-    const userEmail = user.data.find(d => d.name === 'email')?.value;
-    const userId = user.data.find(d => d.name === 'id')?.value;
+  const denied = await checkTeamAccess(teamId, session, env);
+  if (denied) {
+    return denied;
+  }
 
-    // Validate user email against allowed email
-    if (!env.ALLOWED_USER_EMAIL) {
-      return new Response('Access denied: ALLOWED_USER_EMAIL environment variable is required', { status: 403 });
-    }
-    if (userEmail !== env.ALLOWED_USER_EMAIL) {
-      return new Response(`Access denied: The email '${userEmail}' is not authorized to use this service.`, { status: 403 });
-    }
+  const webhooks = await getWebhooks(teamId, env);
+  const existing = input.id ? webhooks.find(webhook => webhook.id === input.id) : null;
+  if (input.id && !existing) {
+    return new Response(JSON.stringify({ error: 'Webhook not found' }), {
+      status: 404,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
 
-    // Get teams
-    const teamsResponse = await fetchTeamSnapData(`/teams/active?user_id=${userId}`, env);
+  if (request.method === 'GET') {
+    return new Response(JSON.stringify({ webhooks, formats: WEBHOOK_FORMATS }), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
 
-    if (!teamsResponse || !teamsResponse.collection) {
-      return new Response(JSON.stringify({ error: 'Teams data not found' }), {
-        status: 500,
+  if (request.method === 'POST') {
+    const error = validateWebhook(input);
+    if (error) {
+      return new Response(JSON.stringify({ error }), {
+        status: 400,
         headers: { 'Content-Type': 'application/json' }
       });
     }
 
-    const teams = teamsResponse.collection.items || [];
-    const url = new URL(request.url);
-    const workerUrl = url.origin;
-
-    const teamsWithCalendars = await Promise.all(teams.map(async (team) => {
-      const teamData = {};
-      team.data.forEach(d => {
-        teamData[d.name] = d.value;
+    const webhook = { id: existing ? existing.id : crypto.randomUUID(), ...normalizeWebhook(input) };
+    if (!await isTeamCalendar(teamId, webhook.calendar, env)) {
+      return new Response(JSON.stringify({ error: 'Calendar not found' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
       });
+    }
 
-      // Get custom team name and opponent name removal setting
-      const customName = await env[KV_NAMESPACE].get(`custom_team_name_${teamData.id}`);
-      const removeOpponentNames = await env[KV_NAMESPACE].get(`remove_opponent_names_${teamData.id}`);
+    const updated = existing
+      ? webhooks.map(other => (other.id === webhook.id ? webhook : other))
+      : [...webhooks, webhook];
+    await env[KV_NAMESPACE].put(`webhooks_${teamId}`, JSON.stringify(updated));
+
+    return new Response(JSON.stringify({ success: true, webhook }), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  if (request.method === 'DELETE') {
+    if (!existing) {
+      return new Response(JSON.stringify({ error: 'Webhook not found' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
 
-      // Generate calendar tokens
-      const allEventsToken = await generateCalendarToken(teamData.id, 'all', env, teamData.name);
-      const gamesOnlyToken = await generateCalendarToken(teamData.id, 'games', env, teamData.name);
+    const remaining = webhooks.filter(webhook => webhook.id !== existing.id);
+    if (remaining.length > 0) {
+      await env[KV_NAMESPACE].put(`webhooks_${teamId}`, JSON.stringify(remaining));
+    } else {
+      await env[KV_NAMESPACE].delete(`webhooks_${teamId}`);
+    }
 
-      // Store token mappings
-      await env[KV_NAMESPACE].put(`calendar_token:${allEventsToken}`, JSON.stringify({
-        teamId: teamData.id,
-        filterType: 'all'
-      }), { expirationTtl: 31536000 });
+    return new Response(JSON.stringify({ success: true }), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
 
-      await env[KV_NAMESPACE].put(`calendar_token:${gamesOnlyToken}`, JSON.stringify({
-        teamId: teamData.id,
-        filterType: 'games'
-      }), { expirationTtl: 31536000 });
+  return new Response('Method Not Allowed', { status: 405 });
+}
 
-      return {
-        id: teamData.id,
-        name: teamData.name,
-        customName: customName,
-        removeOpponentNames: removeOpponentNames === 'true',
-        calendars: {
-          all: `${workerUrl}/${allEventsToken}.ics`,
-          games: `${workerUrl}/${gamesOnlyToken}.ics`
-        }
-      };
-    }));
+/**
+ * Handle subscriber links API endpoint.
+ * POST issues a link ({ calendar, label }) or rotates one ({ calendar, rotate: token }), DELETE revokes one (?calendar=&token=).
+ * Calendars are identified by feed ID; responses list the calendar's links.
+ */
+async function handleCalendarTokensApi(request, env, session) {
+  const url = new URL(request.url);
+  const input = request.method === 'POST' ? await request.json() : Object.fromEntries(url.searchParams);
+  const feedId = input.calendar;
+  const target = parseFeedId(feedId);
 
-    return new Response(JSON.stringify({
-      user: { email: userEmail },
-      teams: teamsWithCalendars
-    }), {
+  if (!target) {
+    return new Response(JSON.stringify({ error: 'Unknown calendar' }), {
+      status: 400,
       headers: { 'Content-Type': 'application/json' }
     });
+  }
 
-  } catch (error) {
-    console.error('Teams API error:', error);
-    return new Response(JSON.stringify({ error: 'Failed to fetch teams' }), {
-      status: 500,
+  // Users manage the links they issued, for calendars they can still see
+  const combined = target.combinedId ? await getCombinedCalendar(target.combinedId, env) : null;
+  const exists = target.combinedId
+    ? !!combined && await canSeeCombinedCalendar(combined, session, env)
+    : (await getUserTeamIds(session.userId, env)).includes(target.teamId) &&
+      (!target.customId || (await getCustomCalendars(target.teamId, env)).some(calendar => calendar.id === target.customId));
+  if (target.userId !== String(session.userId) || !exists) {
+    return new Response(JSON.stringify({ error: 'Calendar not found' }), {
+      status: 404,
       headers: { 'Content-Type': 'application/json' }
     });
   }
-}
 
-/**
- * Handle team settings API endpoint.
- */
-async function handleTeamSettingsApi(request, env) {
-  if (request.method === 'GET') {
-    const url = new URL(request.url);
-    const teamId = url.searchParams.get('teamId');
+  const tokens = await getFeedTokens(feedId, env) || [];
+  const token = request.method === 'POST' ? input.rotate : input.token;
+  if (token && !tokens.includes(token)) {
+    return new Response(JSON.stringify({ error: 'Link not found' }), {
+      status: 404,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
 
-    if (!teamId) {
-      return new Response(JSON.stringify({ error: 'Missing teamId' }), {
+  if (request.method === 'POST') {
+    if (token) {
+      // The new link keeps the label and place of the one it replaces
+      const mapping = await parseCalendarToken(token, env);
+      await issueFeedToken(feedId, target, mapping?.label || 'Subscriber', env, { replaces: token });
+      await revokeFeedToken(feedId, token, env);
+    } else {
+      const label = String(input.label || '').trim();
+      if (!label) {
+        return new Response(JSON.stringify({ error: 'A link needs a label' }), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+      await issueFeedToken(feedId, target, label, env);
+    }
+  } else if (request.method === 'DELETE') {
+    if (!token) {
+      return new Response(JSON.stringify({ error: 'Missing token' }), {
         status: 400,
         headers: { 'Content-Type': 'application/json' }
       });
     }
+    await revokeFeedToken(feedId, token, env);
+  } else {
+    return new Response('Method Not Allowed', { status: 405 });
+  }
 
-    const customName = await env[KV_NAMESPACE].get(`custom_team_name_${teamId}`);
-    const removeOpponentNames = await env[KV_NAMESPACE].get(`remove_opponent_names_${teamId}`);
+  return new Response(JSON.stringify({ success: true, feed: await listFeedTokens(feedId, target, env, url.origin) }), {
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+/**
+ * Handle combined calendars API endpoint.
+ * GET lists combined calendars, POST creates or updates one, DELETE removes one (?id=).
+ */
+async function handleCombinedCalendarsApi(request, env, session) {
+  const url = new URL(request.url);
+  const calendars = await getCombinedCalendars(env);
+
+  // Subscriber links, like team calendars
+  const withUrl = async (calendar) => {
+    const target = { combinedId: calendar.id, userId: session.userId };
+    const feed = await listFeedTokens(getFeedId(target), target, env, url.origin, await generateCombinedCalendarToken(calendar.id, env));
+    return { ...calendar, url: feed.url, feed: feed };
+  };
+
+  if (request.method === 'GET') {
+    const visible = [];
+    for (const calendar of calendars) {
+      if (await canSeeCombinedCalendar(calendar, session, env)) {
+        visible.push(calendar);
+      }
+    }
 
     return new Response(JSON.stringify({
-      customName,
-      removeOpponentNames: removeOpponentNames === 'true'
+      calendars: await Promise.all(visible.map(withUrl)),
+      labels: COMBINED_LABELS,
+      colors: CALENDAR_COLORS
     }), {
       headers: { 'Content-Type': 'application/json' }
     });
   }
 
   if (request.method === 'POST') {
-    const { teamId, customName, removeOpponentNames } = await request.json();
-
-    if (!teamId) {
-      return new Response(JSON.stringify({ error: 'Missing teamId' }), {
+    const { id, name, label, sources } = await request.json();
+
+    const cleanSources = (Array.isArray(sources) ? sources : [])
+      .filter(source => source && source.teamId && ['all', 'games'].includes(source.filterType))
+      .map(source => ({
+        teamId: source.teamId,
+        filterType: source.filterType,
+        color: CALENDAR_COLORS.includes(source.color) ? source.color : null
+      }));
+
+    if (!name || !String(name).trim() || cleanSources.length === 0) {
+      return new Response(JSON.stringify({ error: 'A combined calendar needs a name and at least one team' }), {
         status: 400,
         headers: { 'Content-Type': 'application/json' }
       });
     }
 
-    if (customName) {
-      await env[KV_NAMESPACE].put(`custom_team_name_${teamId}`, customName);
-    } else {
-      await env[KV_NAMESPACE].delete(`custom_team_name_${teamId}`);
+    const existing = id ? calendars.find(calendar => calendar.id === id) : null;
+    if (id && !(existing && await canSeeCombinedCalendar(existing, session, env))) {
+      return new Response(JSON.stringify({ error: 'Combined calendar not found' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
+      });
     }
 
-    // Handle removeOpponentNames setting
-    if (removeOpponentNames !== undefined) {
-      if (removeOpponentNames) {
-        await env[KV_NAMESPACE].put(`remove_opponent_names_${teamId}`, 'true');
-      } else {
-        await env[KV_NAMESPACE].delete(`remove_opponent_names_${teamId}`);
+    for (const source of cleanSources) {
+      const denied = await checkTeamAccess(source.teamId, session, env);
+      if (denied) {
+        return denied;
       }
     }
 
-    // Invalidate cached calendars when settings change
-    // We need to get the team name to regenerate tokens
-    const teamData = await fetchTeamSnapData(`/teams/${teamId}`, env);
-    let teamName = null;
-    if (teamData && teamData.collection && teamData.collection.items && teamData.collection.items.length > 0) {
-      teamName = teamData.collection.items[0].data.find(d => d.name === 'name').value;
+    const calendar = {
+      id: existing ? existing.id : crypto.randomUUID(),
+      userId: session.userId,
+      name: String(name).trim(),
+      label: label in COMBINED_LABELS ? label : 'prefix',
+      sources: cleanSources
+    };
+    const updated = existing
+      ? calendars.map(other => (other.id === calendar.id ? calendar : other))
+      : [...calendars, calendar];
+    await env[KV_NAMESPACE].put('combined_calendars', JSON.stringify(updated));
+
+    // Invalidate the cached calendar; a new calendar gets a random first link
+    const target = { combinedId: calendar.id, userId: session.userId };
+    await invalidateFeed({ combinedId: calendar.id }, env);
+    if (!existing) {
+      await issueFeedToken(getFeedId(target), target, 'Default', env);
     }
 
-    if (teamName) {
-      const allEventsToken = await generateCalendarToken(teamId, 'all', env, teamName);
-      const gamesOnlyToken = await generateCalendarToken(teamId, 'games', env, teamName);
+    return new Response(JSON.stringify({ success: true, calendar: await withUrl(calendar) }), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
 
-      await env[KV_NAMESPACE].delete(`calendar_${allEventsToken}`);
-      await env[KV_NAMESPACE].delete(`calendar_${allEventsToken}_lastupdate`);
-      await env[KV_NAMESPACE].delete(`calendar_${gamesOnlyToken}`);
-      await env[KV_NAMESPACE].delete(`calendar_${gamesOnlyToken}_lastupdate`);
+  if (request.method === 'DELETE') {
+    const id = url.searchParams.get('id');
+    const calendar = calendars.find(other => other.id === id);
+    if (!calendar || !(await canSeeCombinedCalendar(calendar, session, env))) {
+      return new Response(JSON.stringify({ error: 'Combined calendar not found' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
+      });
     }
 
+    await env[KV_NAMESPACE].put('combined_calendars', JSON.stringify(calendars.filter(calendar => calendar.id !== id)));
+
+    await deleteFeed({ combinedId: id }, env);
+    await env[KV_NAMESPACE].delete(`calendar_token:${await generateCombinedCalendarToken(id, env)}`);
+
     return new Response(JSON.stringify({ success: true }), {
       headers: { 'Content-Type': 'application/json' }
     });
@@ -881,13 +3286,19 @@ export default {
     // Handle iCalendar requests (public, no auth required)
     if (path.endsWith('.ics')) {
       const calendarId = path.substring(1, path.length - 4);
-      return serveCalendar(request, env, calendarId);
+      return serveCalendar(request, env, ctx, calendarId);
     }
 
     // Handle text viewing of calendar (public, no auth required)
     if (path.endsWith('.txt')) {
       const calendarId = path.substring(1, path.length - 4);
-      return serveCalendar(request, env, calendarId, true); // true = format as text
+      return serveCalendar(request, env, ctx, calendarId, 'text');
+    }
+
+    // Handle schedule exports and the schedule page for spreadsheets and websites (public, no auth required)
+    const exportMatch = path.match(/^\/(.+)\.(json|csv|html)$/);
+    if (exportMatch) {
+      return serveCalendar(request, env, ctx, exportMatch[1], exportMatch[2]);
     }
 
     // Handle OAuth callback
@@ -895,34 +3306,45 @@ export default {
       return handleOAuthCallback(request, env);
     }
 
+    // Handle sign-out
+    if (path === '/logout') {
+      return handleLogout(request, env);
+    }
+
+    // Sign in, or again, e.g. from the settings page when TeamSnap access has lapsed. Only this route stores
+    // OAuth state, so other requests from signed-out visitors write nothing
+    if (path === '/login') {
+      return startOAuth(request, env);
+    }
+
     // Handle root page - smart routing
     if (path === '/') {
-      const authenticated = await isAuthenticated(env);
-      if (authenticated) {
-        return Response.redirect(`${url.origin}/settings`, 302);
-      } else {
-        return startOAuth(request, env);
-      }
+      const session = await getSession(request, env);
+      return Response.redirect(`${url.origin}${session ? '/settings' : '/login'}`, 302);
     }
 
     // Handle settings page
     if (path === '/settings') {
-      const authenticated = await isAuthenticated(env);
-      if (!authenticated) {
-        return startOAuth(request, env);
+      const session = await getSession(request, env);
+      if (!session) {
+        return Response.redirect(`${url.origin}/login`, 302);
       }
 
       // Serve settings.html from assets
       return env.ASSETS.fetch(new Request(`${url.origin}/settings.html`, request));
     }
 
-    // Default: serve landing page or redirect to auth
-    const authenticated = await isAuthenticated(env);
-    if (authenticated) {
+    // Default: the settings page when signed in
+    const session = await getSession(request, env);
+    if (session) {
       return Response.redirect(`${url.origin}/settings`, 302);
-    } else {
-      return startOAuth(request, env);
     }
+    return new Response('Not Found', { status: 404 });
+  },
+
+  // Pre-render every calendar on the cron schedule in wrangler.toml
+  async scheduled(controller, env, ctx) {
+    await refreshAllCalendars(env);
   }
 };
 
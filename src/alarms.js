@@ -0,0 +1,131 @@
+/**
+ * CalSnap · Reminders
+ * VALARM components per event type, relative to the event start or arrival time
+ */
+
+import { property, rawProperty } from './ics.js';
+
+// Event types that can have their own reminders, in settings page order
+export const ALARM_CATEGORIES = {
+  game: 'Games',
+  tournament: 'Tournaments',
+  practice: 'Practices',
+  other: 'Other Events',
+};
+
+// Reminders are stored as alarm_settings_{teamId}; no reminders unless configured
+export const DEFAULT_ALARM_SETTINGS = {
+  game: [],
+  tournament: [],
+  practice: [],
+  other: [],
+};
+
+/**
+ * Gets the reminder category of an event.
+ * @param {Object} eventData - Flattened TeamSnap event fields
+ * @returns {string} One of the ALARM_CATEGORIES keys
+ */
+export function getEventCategory(eventData) {
+  const text = [eventData.label, eventData.name, eventData.formatted_title].filter(Boolean).join(' ');
+  if (/tournament/i.test(text)) return 'tournament';
+  if (eventData.is_game) return 'game';
+  if (/practice/i.test(text)) return 'practice';
+  return 'other';
+}
+
+/**
+ * Cleans up reminder settings from the settings page.
+ * @param {Object} input - Reminders keyed by category
+ * @returns {Object} Settings with a list of { minutes, relativeTo } per category
+ */
+export function normalizeAlarmSettings(input) {
+  const settings = {};
+  for (const category of Object.keys(ALARM_CATEGORIES)) {
+    const alarms = Array.isArray(input?.[category]) ? input[category] : [];
+    settings[category] = alarms
+      .map(alarm => ({
+        minutes: parseInt(alarm?.minutes, 10),
+        relativeTo: alarm?.relativeTo === 'arrival' ? 'arrival' : 'start',
+      }))
+      .filter(alarm => Number.isFinite(alarm.minutes) && alarm.minutes >= 0);
+  }
+  return settings;
+}
+
+/**
+ * Formats a number of minutes before an event as a negative DURATION, e.g. -PT1H30M or -P1D.
+ * @param {number} minutes - Minutes before the event start
+ * @returns {string}
+ */
+export function formatTriggerDuration(minutes) {
+  if (minutes === 0) return 'PT0M';
+
+  const sign = minutes < 0 ? '' : '-';
+  let remaining = Math.abs(Math.round(minutes));
+  const days = Math.floor(remaining / 1440);
+  remaining -= days * 1440;
+  const hours = Math.floor(remaining / 60);
+  const mins = remaining - hours * 60;
+
+  let duration = `${sign}P${days ? `${days}D` : ''}`;
+  if (hours || mins) {
+    duration += `T${hours ? `${hours}H` : ''}${mins ? `${mins}M` : ''}`;
+  }
+  return duration;
+}
+
+/**
+ * Gets the event's arrival time, falling back to minutes_to_arrive_early before the start.
+ * @param {Object} eventData - Flattened TeamSnap event fields
+ * @returns {Date|null}
+ */
+export function getArrivalDate(eventData) {
+  if (eventData.arrival_date) return new Date(eventData.arrival_date);
+  if (eventData.start_date && eventData.minutes_to_arrive_early) {
+    return new Date(new Date(eventData.start_date).getTime() - eventData.minutes_to_arrive_early * 60000);
+  }
+  return null;
+}
+
+/**
+ * Builds the VALARM components for an event.
+ * Triggers are written relative to DTSTART, which may be the arrival time rather than the start,
+ * so each reminder is offset by the gap between DTSTART and the time it counts back from.
+ * @param {Object} eventData - Flattened TeamSnap event fields
+ * @param {Object} settings - Normalized reminder settings
+ * @param {Object} options
+ * @param {Date} options.startDate - The event's DTSTART
+ * @param {string} options.title - The event title, used as the reminder text
+ * @returns {string[]} Content lines
+ */
+export function buildAlarms(eventData, settings, { startDate, title }) {
+  if (eventData.is_canceled) return [];
+
+  const alarms = settings[getEventCategory(eventData)] || [];
+  const arrivalDate = getArrivalDate(eventData);
+  const eventStart = eventData.start_date ? new Date(eventData.start_date) : startDate;
+  const lines = [];
+
+  for (const alarm of alarms) {
+    let base = eventStart;
+    let description = title;
+
+    if (alarm.relativeTo === 'arrival' && arrivalDate) {
+      base = arrivalDate;
+      description = `Arrival: ${title}`;
+    }
+
+    const minutes = alarm.minutes + Math.round((startDate.getTime() - base.getTime()) / 60000);
+
+    lines.push(
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      property('DESCRIPTION', description),
+      rawProperty('TRIGGER', formatTriggerDuration(minutes)),
+      'END:VALARM',
+    );
+  }
+
+  return lines;
+}
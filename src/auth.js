@@ -0,0 +1,156 @@
+/**
+ * CalSnap · Sessions
+ * Signed session cookies, OAuth state and PKCE, CSRF tokens, and the allowlist of TeamSnap accounts that may sign in
+ */
+
+export const SESSION_COOKIE = 'calsnap_session';
+
+// Seconds a sign-in lasts
+export const SESSION_MAX_AGE = 2592000;
+
+// Holds the OAuth state between leaving for TeamSnap and returning to /auth-callback
+export const OAUTH_STATE_COOKIE = 'calsnap_oauth_state';
+
+// Seconds to finish signing in at TeamSnap
+export const OAUTH_STATE_MAX_AGE = 600;
+
+const encoder = new TextEncoder();
+
+/**
+ * Encodes bytes as unpadded base64url.
+ */
+function toBase64Url(bytes) {
+  let binary = '';
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decodes unpadded base64url to bytes.
+ */
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+/**
+ * Generates a random base64url string, for OAuth state, PKCE code verifiers and CSRF tokens.
+ * @param {number} [size] - Number of random bytes
+ * @returns {string}
+ */
+export function generateRandomString(size = 32) {
+  return toBase64Url(crypto.getRandomValues(new Uint8Array(size)));
+}
+
+/**
+ * Derives the PKCE code challenge for a code verifier (the S256 method).
+ * @param {string} codeVerifier - The verifier sent with the token request
+ * @returns {Promise<string>}
+ */
+export async function createCodeChallenge(codeVerifier) {
+  const hash = await crypto.subtle.digest('SHA-256', encoder.encode(codeVerifier));
+  return toBase64Url(new Uint8Array(hash));
+}
+
+/**
+ * Compares two strings in time that does not depend on where they differ.
+ * Empty strings never match, so a missing token is never accepted.
+ * @returns {boolean}
+ */
+export function timingSafeEqual(a, b) {
+  const left = encoder.encode(String(a || ''));
+  const right = encoder.encode(String(b || ''));
+  if (left.length === 0 || left.length !== right.length) return false;
+
+  let difference = 0;
+  for (let i = 0; i < left.length; i++) {
+    difference |= left[i] ^ right[i];
+  }
+  return difference === 0;
+}
+
+/**
+ * Imports the session secret as an HMAC-SHA256 key.
+ */
+function importKey(secret) {
+  return crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']);
+}
+
+/**
+ * Signs a session for the session cookie.
+ * @param {Object} session - { userId, email, version, csrf, issuedAt }
+ * @param {string} secret - Signing secret
+ * @returns {Promise<string>} payload.signature, both base64url
+ */
+export async function signSession(session, secret) {
+  const payload = toBase64Url(encoder.encode(JSON.stringify(session)));
+  const signature = await crypto.subtle.sign('HMAC', await importKey(secret), encoder.encode(payload));
+  return `${payload}.${toBase64Url(new Uint8Array(signature))}`;
+}
+
+/**
+ * Checks a session cookie's signature and age.
+ * @param {string} value - The cookie value from signSession
+ * @param {string} secret - Signing secret
+ * @param {number} [now] - The current time, in milliseconds
+ * @returns {Promise<Object|null>} The session, or null when it is forged, malformed or expired
+ */
+export async function verifySession(value, secret, now = Date.now()) {
+  const [payload, signature, extra] = String(value || '').split('.');
+  if (!payload || !signature || extra !== undefined) return null;
+
+  try {
+    const valid = await crypto.subtle.verify('HMAC', await importKey(secret), fromBase64Url(signature), encoder.encode(payload));
+    if (!valid) return null;
+
+    const session = JSON.parse(new TextDecoder().decode(fromBase64Url(payload)));
+    if (!session.userId || !(now - session.issuedAt < SESSION_MAX_AGE * 1000)) return null;
+    return session;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Parses a Cookie request header.
+ * @param {string|null} header - The Cookie header
+ * @returns {Object} Cookie values keyed by name
+ */
+export function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index < 0) continue;
+    const name = part.slice(0, index).trim();
+    if (name && !(name in cookies)) {
+      cookies[name] = part.slice(index + 1).trim();
+    }
+  }
+  return cookies;
+}
+
+/**
+ * Builds a Set-Cookie header value for a secure, HttpOnly cookie on the whole site.
+ * @param {string} name - Cookie name
+ * @param {string} value - Cookie value
+ * @param {number} maxAge - Seconds until the cookie expires; 0 clears it
+ * @returns {string}
+ */
+export function serializeCookie(name, value, maxAge) {
+  return `${name}=${value}; Max-Age=${maxAge}; Path=/; HttpOnly; Secure; SameSite=Lax`;
+}
+
+/**
+ * Checks an email address against the allowlist.
+ * @param {string} email - TeamSnap account email
+ * @param {string} allowlist - Email addresses and @domains, separated by commas or spaces,
+ *   e.g. "coach@example.com, @northtorontoleafs.ca"
+ * @returns {boolean}
+ */
+export function isEmailAllowed(email, allowlist) {
+  const address = String(email || '').trim().toLowerCase();
+  if (!address.includes('@')) return false;
+
+  return String(allowlist || '').split(/[\s,]+/).map(entry => entry.trim().toLowerCase()).filter(Boolean)
+    .some(entry => (entry.startsWith('@') ? address.endsWith(entry) : address === entry));
+}
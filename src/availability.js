@@ -0,0 +1,109 @@
+/**
+ * CalSnap · Availability
+ * The signed-in user's RSVP and a team summary from TeamSnap availabilities
+ */
+
+import { rawProperty } from './ics.js';
+
+// Availability output options, stored as availability_options_{teamId}
+export const DEFAULT_AVAILABILITY_OPTIONS = {
+  own: 'off',      // the signed-in user's reply: 'off', 'title' (prefix) or 'partstat' (ATTENDEE PARTSTAT)
+  summary: false,  // "Going: 12 · Out: 3 · No reply: 2" in the description
+};
+
+// Ways to show the signed-in user's own reply, in settings page order
+export const AVAILABILITY_DISPLAY_MODES = {
+  off: 'Hidden',
+  title: 'Title prefix, e.g. ✓ Leafs vs. Knights',
+  partstat: 'Attendee status (shown by Apple Calendar and Outlook)',
+};
+
+// Replies, keyed by status; TeamSnap reports 1 (yes), 0 (no), 2 (maybe) or null in status_code
+export const AVAILABILITY_STATUSES = {
+  going: { label: 'Going', prefix: '✓', partstat: 'ACCEPTED' },
+  maybe: { label: 'Maybe', prefix: '?', partstat: 'TENTATIVE' },
+  out: { label: 'Not going', prefix: '✗', partstat: 'DECLINED' },
+  noReply: { label: 'No response', prefix: '○', partstat: 'NEEDS-ACTION' },
+};
+
+/**
+ * Gets the reply of an availability record.
+ * @param {Object} availability - Flattened TeamSnap availability fields
+ * @returns {string} One of the AVAILABILITY_STATUSES keys
+ */
+export function getAvailabilityStatus(availability) {
+  switch (availability?.status_code) {
+    case 1: return 'going';
+    case 0: return 'out';
+    case 2: return 'maybe';
+    default: return 'noReply';
+  }
+}
+
+/**
+ * Cleans up availability options from the settings page.
+ * @param {Object} input - Availability options
+ * @returns {Object} Options with a known display mode
+ */
+export function normalizeAvailabilityOptions(input) {
+  return {
+    own: input?.own in AVAILABILITY_DISPLAY_MODES ? input.own : DEFAULT_AVAILABILITY_OPTIONS.own,
+    summary: !!input?.summary,
+  };
+}
+
+/**
+ * Counts the replies to an event.
+ * @param {Object[]} availabilities - The event's availability records
+ * @returns {{going: number, maybe: number, out: number, noReply: number}}
+ */
+export function summarizeAvailability(availabilities) {
+  const counts = { going: 0, maybe: 0, out: 0, noReply: 0 };
+  for (const availability of availabilities) {
+    counts[getAvailabilityStatus(availability)]++;
+  }
+  return counts;
+}
+
+/**
+ * Formats reply counts on one line, e.g. Going: 12 · Out: 3 · No reply: 2.
+ * Maybe is only listed when someone has replied maybe.
+ * @param {Object} counts - Counts from summarizeAvailability
+ * @returns {string}
+ */
+export function formatAvailabilitySummary(counts) {
+  const parts = [`Going: ${counts.going}`];
+  if (counts.maybe) parts.push(`Maybe: ${counts.maybe}`);
+  parts.push(`Out: ${counts.out}`, `No reply: ${counts.noReply}`);
+  return parts.join(' · ');
+}
+
+/**
+ * Gets the signed-in user's reply to an event.
+ * @param {Object[]} availabilities - The event's availability records
+ * @param {Set<string>} memberIds - The user's member IDs on the team
+ * @returns {string|null} An AVAILABILITY_STATUSES key, or null when the user is not on the roster
+ */
+export function getOwnAvailability(availabilities, memberIds) {
+  const own = availabilities.filter(availability => memberIds.has(String(availability.member_id)));
+  if (own.length === 0) return null;
+
+  // With more than one roster spot, any missing reply is the one worth showing
+  const statuses = own.map(getAvailabilityStatus);
+  return statuses.includes('noReply') ? 'noReply' : statuses[0];
+}
+
+/**
+ * Builds the ATTENDEE property carrying the signed-in user's reply.
+ * @param {string} status - An AVAILABILITY_STATUSES key
+ * @param {Object} user - { name, email } of the signed-in user
+ * @returns {string[]} Content lines (empty without an email address)
+ */
+export function buildAttendeeProperties(status, user) {
+  if (!user?.email) return [];
+  return [rawProperty('ATTENDEE', `mailto:${user.email}`, {
+    CN: user.name,
+    ROLE: 'REQ-PARTICIPANT',
+    PARTSTAT: AVAILABILITY_STATUSES[status].partstat,
+  })];
+}
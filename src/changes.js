@@ -0,0 +1,221 @@
+/**
+ * CalSnap · Schedule Changes
+ * Added, removed, rescheduled, relocated and cancelled events between two renders of a calendar,
+ * and the webhook messages that announce them
+ */
+
+import { formatScheduleDate, formatScheduleTime } from './schedule.js';
+
+// Change types, with the label that starts each message
+export const CHANGE_TYPES = {
+  added: 'Added',
+  removed: 'Removed',
+  rescheduled: 'Rescheduled',
+  relocated: 'New location',
+  cancelled: 'Cancelled',
+};
+
+// Webhook payload formats
+export const WEBHOOK_FORMATS = {
+  json: 'JSON',
+  slack: 'Slack',
+  discord: 'Discord',
+};
+
+// Changes kept in a calendar's change log
+export const MAX_CHANGE_LOG = 100;
+
+// Longest message Discord accepts
+const DISCORD_MAX_LENGTH = 2000;
+
+/**
+ * Builds a change from a schedule event, and the event as it was for reschedules and new locations.
+ */
+function toChange(type, event, previous = null) {
+  return {
+    type,
+    eventId: event.id,
+    title: event.title,
+    start: event.start,
+    end: event.end,
+    allDay: !!event.allDay,
+    location: event.location,
+    previous: previous ? { start: previous.start, end: previous.end, allDay: !!previous.allDay, location: previous.location } : null,
+  };
+}
+
+/**
+ * Compares two renders of a calendar's schedule. Events that are over on both sides are ignored, so
+ * events leaving a date-range filter are not reported as removed.
+ * @param {Object[]} previousEvents - Schedule events from the previous render
+ * @param {Object[]} events - Schedule events from this render
+ * @param {Object} [options]
+ * @param {string[]} [options.cancelledIds] - Cancelled events the calendar leaves out, reported as cancelled
+ *   rather than removed
+ * @param {number} [options.now] - Current time in milliseconds
+ * @returns {Object[]} Changes in schedule order, each with its type, the event and, for reschedules and
+ *   new locations, what it was before
+ */
+export function detectChanges(previousEvents, events, { cancelledIds = [], now = Date.now() } = {}) {
+  const isOver = event => Date.parse(event.end || event.start) < now;
+  const previousById = new Map(previousEvents.map(event => [event.id, event]));
+  const changes = [];
+
+  for (const event of events) {
+    const previous = previousById.get(event.id);
+    previousById.delete(event.id);
+
+    if (!previous) {
+      if (!isOver(event)) changes.push(toChange('added', event));
+      continue;
+    }
+    if (isOver(event) && isOver(previous)) continue;
+
+    if (event.cancelled && !previous.cancelled) {
+      changes.push(toChange('cancelled', event));
+      continue;
+    }
+    if (Date.parse(event.start) !== Date.parse(previous.start) || Date.parse(event.end) !== Date.parse(previous.end)) {
+      changes.push(toChange('rescheduled', event, previous));
+    }
+    if ((event.location || '') !== (previous.location || '') || (event.address || '') !== (previous.address || '')) {
+      changes.push(toChange('relocated', event, previous));
+    }
+  }
+
+  for (const previous of previousById.values()) {
+    if (!isOver(previous)) changes.push(toChange(cancelledIds.includes(previous.id) ? 'cancelled' : 'removed', previous));
+  }
+
+  return changes;
+}
+
+/**
+ * Identifies a change, so each user's copy of a calendar, and each calendar showing the event, announces it only once.
+ * @returns {string}
+ */
+export function getChangeKey(change) {
+  return [change.type, change.eventId, change.start, change.location || ''].join('|');
+}
+
+/**
+ * Adds changes to a calendar's change log, newest first.
+ * @param {Object[]} log - The stored change log
+ * @param {Object[]} changes - Changes from detectChanges
+ * @param {number} detectedAt - When the changes were found, in milliseconds
+ * @returns {Object[]} The log, with at most MAX_CHANGE_LOG changes
+ */
+export function mergeChangeLog(log, changes, detectedAt) {
+  return [...changes.map(change => ({ ...change, detectedAt })), ...log].slice(0, MAX_CHANGE_LOG);
+}
+
+/**
+ * Formats a schedule date-time for a message, e.g. Fri, Sep 20 at 3:00 PM, or Fri, Sep 20 for all-day events.
+ */
+function formatWhen(isoDateTime, allDay = false) {
+  const date = formatScheduleDate(isoDateTime, { weekday: 'short', month: 'short', day: 'numeric' });
+  return allDay ? date : `${date} at ${formatScheduleTime(isoDateTime)}`;
+}
+
+/**
+ * Describes a change in one line, e.g. "Rescheduled: Leafs vs. Knights · now Fri, Sep 20 at 4:00 PM (was 3:00 PM)".
+ * @param {Object} change - A change from detectChanges
+ * @returns {string}
+ */
+export function describeChange(change) {
+  const title = `${CHANGE_TYPES[change.type]}: ${change.title.replace(/^CANCELLED: /, '')}`;
+
+  if (change.type === 'rescheduled') {
+    const sameDay = change.start.slice(0, 10) === change.previous.start.slice(0, 10);
+    const wasTime = change.previous.allDay ? 'all day' : formatScheduleTime(change.previous.start);
+    const was = sameDay ? wasTime : formatWhen(change.previous.start, change.previous.allDay);
+    return `${title} · now ${formatWhen(change.start, change.allDay)} (was ${was})`;
+  }
+  if (change.type === 'relocated') {
+    return `${title} · ${formatWhen(change.start, change.allDay)} at ${change.location || 'no location'} (was ${change.previous.location || 'no location'})`;
+  }
+  return `${title} · ${formatWhen(change.start, change.allDay)}`;
+}
+
+/**
+ * Escapes text for Slack's message formatting.
+ */
+function escapeSlack(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Builds the body posted to a webhook.
+ * @param {string} format - 'json', 'slack' (incoming webhook) or 'discord' (channel webhook)
+ * @param {Object} options
+ * @param {string} options.calendarName - The calendar's name
+ * @param {Object[]} options.changes - Changes from detectChanges
+ * @returns {Object}
+ */
+export function buildWebhookPayload(format, { calendarName, changes }) {
+  const heading = `${calendarName}: ${changes.length} schedule ${changes.length === 1 ? 'change' : 'changes'}`;
+  const lines = changes.map(describeChange);
+
+  if (format === 'slack') {
+    return { text: [`*${escapeSlack(heading)}*`, ...lines.map(line => `• ${escapeSlack(line)}`)].join('\n') };
+  }
+  if (format === 'discord') {
+    const content = [`**${heading}**`, ...lines.map(line => `• ${line}`)].join('\n');
+    return {
+      content: content.length > DISCORD_MAX_LENGTH ? `${content.slice(0, DISCORD_MAX_LENGTH - 1)}…` : content,
+      // Event titles must not ping the channel
+      allowed_mentions: { parse: [] },
+    };
+  }
+  return { calendar: calendarName, changes: changes.map(change => ({ ...change, message: describeChange(change) })) };
+}
+
+/**
+ * Builds the body posted to a webhook about the calendar rather than its events, e.g. that it has stopped updating.
+ * @param {string} format - 'json', 'slack' or 'discord', as for buildWebhookPayload
+ * @param {Object} options
+ * @param {string} options.calendarName - The calendar's name
+ * @param {string} options.message - What subscribers should know
+ * @returns {Object}
+ */
+export function buildAlertPayload(format, { calendarName, message }) {
+  if (format === 'slack') {
+    return { text: `*${escapeSlack(calendarName)}*\n${escapeSlack(message)}` };
+  }
+  if (format === 'discord') {
+    return { content: `**${calendarName}**\n${message}`, allowed_mentions: { parse: [] } };
+  }
+  return { calendar: calendarName, alert: message };
+}
+
+/**
+ * Validates a webhook from the settings page, returning an error message or null.
+ */
+export function validateWebhook(input) {
+  let url;
+  try {
+    url = new URL(input?.url);
+  } catch (error) {
+    return 'Enter the webhook URL';
+  }
+  if (url.protocol !== 'https:') {
+    return 'Webhook URLs must start with https://';
+  }
+  if (input.format && !WEBHOOK_FORMATS[input.format]) {
+    return `Unknown webhook format: ${input.format}`;
+  }
+  return null;
+}
+
+/**
+ * Cleans up a webhook from the settings page.
+ * @param {Object} input - { url, format, calendar }
+ * @returns {Object} { url, format, calendar }; the calendar is 'all', 'games' or a custom calendar ID
+ */
+export function normalizeWebhook(input) {
+  return {
+    url: String(input.url).trim(),
+    format: WEBHOOK_FORMATS[input.format] ? input.format : 'json',
+    calendar: String(input.calendar || 'all'),
+  };
+}
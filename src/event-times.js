@@ -0,0 +1,130 @@
+/**
+ * CalSnap · Event Times
+ * When an event starts and ends: TeamSnap's end time or duration, a default duration per event type, and
+ * all-day dates for events whose time is still to be decided or that fill whole days
+ */
+
+import { ALARM_CATEGORIES, getEventCategory } from './alarms.js';
+import { rawProperty } from './ics.js';
+import { formatDateTimeProperty, formatIsoDateTime, getLocalParts, getTimeZoneOffset } from './timezone.js';
+
+// Event types with their own default duration: the reminder categories, so tournaments can last longer than games
+export const DURATION_CATEGORIES = ALARM_CATEGORIES;
+
+// Minutes an event lasts when TeamSnap has neither an end time nor a duration for it; stored as
+// event_durations_{teamId}
+export const DEFAULT_DURATIONS = {
+  game: 120,
+  tournament: 120,
+  practice: 120,
+  other: 120,
+};
+
+// Longest default duration the settings page accepts, in minutes (two weeks)
+export const MAX_DURATION = 20160;
+
+/**
+ * Cleans up default durations from the settings page.
+ * @param {Object} input - Minutes keyed by category
+ * @returns {Object} Minutes for every category; missing or invalid values get the default
+ */
+export function normalizeDurations(input) {
+  const durations = {};
+  for (const category of Object.keys(DURATION_CATEGORIES)) {
+    const minutes = parseInt(input?.[category], 10);
+    durations[category] = minutes > 0 && minutes <= MAX_DURATION ? minutes : DEFAULT_DURATIONS[category];
+  }
+  return durations;
+}
+
+/**
+ * Formats the wall-clock date of an instant, e.g. 2030-09-20.
+ */
+function formatLocalDate(date, timeZone) {
+  return formatIsoDateTime(date, timeZone).slice(0, 10);
+}
+
+/**
+ * Adds days to a YYYY-MM-DD date.
+ */
+function addDays(day, days) {
+  return new Date(Date.parse(`${day}T00:00:00Z`) + days * 86400000).toISOString().slice(0, 10);
+}
+
+/**
+ * Finds the instant a day starts in a time zone.
+ */
+function getStartOfDay(day, timeZone) {
+  const utcMidnight = Date.parse(`${day}T00:00:00Z`);
+  const guess = utcMidnight - getTimeZoneOffset(new Date(utcMidnight), timeZone) * 60000;
+  return new Date(utcMidnight - getTimeZoneOffset(new Date(guess), timeZone) * 60000);
+}
+
+/**
+ * Works out when an event starts and ends. The end is TeamSnap's end time, else the start plus
+ * duration_in_minutes, else the start plus the team's default duration for the event type.
+ * Events with is_tbd set become all-day events on the days they touch, as do events that run from midnight
+ * to midnight, such as tournaments entered as whole days.
+ * @param {Object} eventData - Flattened TeamSnap event fields, with a start_date
+ * @param {Object} [options]
+ * @param {string|null} [options.timeZone] - Time zone the event's days are counted in (UTC when missing)
+ * @param {Object} [options.durations] - Default durations from normalizeDurations
+ * @returns {{start: Date, end: Date, allDay: boolean, timeTbd: boolean, startDay: string|null, endDay: string|null}}
+ *   For all-day events, start and end are the start of the first day and of the day after the last, and
+ *   startDay and endDay (exclusive, as DTEND) the same days as YYYY-MM-DD
+ */
+export function getEventTimes(eventData, { timeZone = null, durations = DEFAULT_DURATIONS } = {}) {
+  const zone = timeZone || 'UTC';
+  const start = new Date(eventData.start_date);
+  let end = eventData.end_date ? new Date(eventData.end_date) : null;
+  if (!(end > start) && eventData.duration_in_minutes > 0) {
+    end = new Date(start.getTime() + eventData.duration_in_minutes * 60000);
+  }
+  const defaultEnd = !(end > start);
+  if (defaultEnd) {
+    end = new Date(start.getTime() + (durations[getEventCategory(eventData)] || DEFAULT_DURATIONS.other) * 60000);
+  }
+
+  const timeTbd = !!eventData.is_tbd;
+  const startParts = getLocalParts(start, zone);
+  const endParts = getLocalParts(end, zone);
+  const wholeDays = startParts.hour === 0 && startParts.minute === 0 && endParts.hour === 0 && endParts.minute === 0;
+  if (!timeTbd && !wholeDays) {
+    return { start, end, allDay: false, timeTbd, startDay: null, endDay: null };
+  }
+
+  // A TBD event keeps every day TeamSnap has it on, and only its start day when its length is a default
+  const startDay = formatLocalDate(start, zone);
+  const endDay = wholeDays ? formatLocalDate(end, zone)
+    : defaultEnd ? addDays(startDay, 1)
+    : addDays(formatLocalDate(new Date(end.getTime() - 1), zone), 1);
+  return {
+    start: getStartOfDay(startDay, zone),
+    end: getStartOfDay(endDay, zone),
+    allDay: true,
+    timeTbd,
+    startDay,
+    endDay,
+  };
+}
+
+/**
+ * Builds an event's DTSTART and DTEND: dates for all-day events, else times in the event's time zone.
+ * @param {Object} times - From getEventTimes
+ * @param {string|null} timeZone - IANA time zone name
+ * @param {Object} [options]
+ * @param {Date} [options.startDate] - DTSTART when it differs from the event's start, e.g. the arrival time
+ * @returns {string[]} Content lines
+ */
+export function buildTimeProperties(times, timeZone, { startDate = null } = {}) {
+  if (times.allDay) {
+    return [
+      rawProperty('DTSTART', times.startDay.replace(/-/g, ''), { VALUE: 'DATE' }),
+      rawProperty('DTEND', times.endDay.replace(/-/g, ''), { VALUE: 'DATE' }),
+    ];
+  }
+  return [
+    formatDateTimeProperty('DTSTART', startDate || times.start, timeZone),
+    formatDateTimeProperty('DTEND', times.end, timeZone),
+  ];
+}
@@ -0,0 +1,129 @@
+/**
+ * CalSnap · Event Filters
+ * Which events a calendar includes: event type, home/away, keywords, location, league and date range
+ */
+
+// Event types a calendar can include, in settings page order
+export const EVENT_TYPES = {
+  game: 'Games',
+  practice: 'Practices',
+  other: 'Other Events',
+};
+
+// TeamSnap game_type_code values
+const GAME_TYPE_CODES = { 1: 'home', 2: 'away' };
+
+// Filters for a calendar that includes everything
+export const DEFAULT_FILTERS = {
+  types: Object.keys(EVENT_TYPES),
+  homeAway: 'any',        // 'any', 'home' or 'away' (games only)
+  league: 'any',          // 'any', 'league' (league-controlled only) or 'team' (team events only)
+  includeKeywords: [],    // label, name or opponent must contain one of these
+  excludeKeywords: [],    // label, name or opponent must contain none of these
+  locations: [],          // location name or details must contain one of these
+  futureOnly: false,      // leave out events that have ended
+  nextDays: null,         // only events starting within this many days
+};
+
+/**
+ * Gets the filters for one of the built-in calendars.
+ * @param {string} filterType - 'all' or 'games'
+ * @returns {Object} Filters
+ */
+export function getBuiltInFilters(filterType) {
+  return filterType === 'games' ? { ...DEFAULT_FILTERS, types: ['game'] } : { ...DEFAULT_FILTERS };
+}
+
+/**
+ * Gets the filter type of an event.
+ * @param {Object} eventData - Flattened TeamSnap event fields
+ * @returns {string} One of the EVENT_TYPES keys
+ */
+export function getEventType(eventData) {
+  if (eventData.is_game) return 'game';
+  const text = [eventData.label, eventData.name, eventData.formatted_title].filter(Boolean).join(' ');
+  return /practice/i.test(text) ? 'practice' : 'other';
+}
+
+/**
+ * Gets whether a game is at home or away.
+ * @param {Object} eventData - Flattened TeamSnap event fields
+ * @returns {string|null} 'home', 'away', or null when not set
+ */
+export function getHomeAway(eventData) {
+  if (GAME_TYPE_CODES[eventData.game_type_code]) return GAME_TYPE_CODES[eventData.game_type_code];
+  const gameType = String(eventData.game_type || '').toLowerCase();
+  return gameType === 'home' || gameType === 'away' ? gameType : null;
+}
+
+/**
+ * Splits a comma-separated list of keywords, or cleans up an array of them.
+ */
+function toKeywords(value) {
+  const keywords = Array.isArray(value) ? value : String(value || '').split(',');
+  return keywords.map(keyword => String(keyword).trim()).filter(Boolean);
+}
+
+/**
+ * Cleans up filters from the settings page.
+ * @param {Object} input - Filters
+ * @returns {Object} Filters with every option set
+ */
+export function normalizeFilters(input) {
+  const types = Array.isArray(input?.types) ? input.types.filter(type => type in EVENT_TYPES) : DEFAULT_FILTERS.types;
+  const nextDays = parseInt(input?.nextDays, 10);
+
+  return {
+    types,
+    homeAway: ['home', 'away'].includes(input?.homeAway) ? input.homeAway : 'any',
+    league: ['league', 'team'].includes(input?.league) ? input.league : 'any',
+    includeKeywords: toKeywords(input?.includeKeywords),
+    excludeKeywords: toKeywords(input?.excludeKeywords),
+    locations: toKeywords(input?.locations),
+    futureOnly: !!input?.futureOnly,
+    nextDays: nextDays > 0 ? nextDays : null,
+  };
+}
+
+/**
+ * Checks whether text contains any of the keywords, ignoring case.
+ */
+function containsAny(text, keywords) {
+  const lower = text.toLowerCase();
+  return keywords.some(keyword => lower.includes(keyword.toLowerCase()));
+}
+
+/**
+ * Checks whether an event passes a calendar's filters.
+ * @param {Object} eventData - Flattened TeamSnap event fields
+ * @param {Object} filters - Normalized filters
+ * @param {number} [now] - The current time, in milliseconds
+ * @returns {boolean}
+ */
+export function matchesFilters(eventData, filters, now = Date.now()) {
+  if (!filters.types.includes(getEventType(eventData))) return false;
+
+  if (filters.homeAway !== 'any' && eventData.is_game && getHomeAway(eventData) !== filters.homeAway) return false;
+
+  if (filters.league === 'league' && !eventData.is_league_controlled) return false;
+  if (filters.league === 'team' && eventData.is_league_controlled) return false;
+
+  const text = [eventData.label, eventData.name, eventData.formatted_title, eventData.opponent_name].filter(Boolean).join(' ');
+  if (filters.includeKeywords.length > 0 && !containsAny(text, filters.includeKeywords)) return false;
+  if (filters.excludeKeywords.length > 0 && containsAny(text, filters.excludeKeywords)) return false;
+
+  if (filters.locations.length > 0) {
+    const locationText = [eventData.location_name, eventData.additional_location_details].filter(Boolean).join(' ');
+    if (!containsAny(locationText, filters.locations)) return false;
+  }
+
+  if (filters.futureOnly || filters.nextDays) {
+    const start = eventData.start_date ? new Date(eventData.start_date).getTime() : NaN;
+    const end = eventData.end_date ? new Date(eventData.end_date).getTime() : start;
+    if (Number.isNaN(start)) return false;
+    if (end < now) return false;
+    if (filters.nextDays && start > now + filters.nextDays * 24 * 60 * 60 * 1000) return false;
+  }
+
+  return true;
+}
@@ -0,0 +1,18 @@
+/**
+ * CalSnap · Hashing
+ * Short non-cryptographic fingerprints for change detection
+ */
+
+/**
+ * Hashes a string with 32-bit FNV-1a.
+ * @param {string} text - The text to hash
+ * @returns {string} An 8-digit hex hash
+ */
+export function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
@@ -0,0 +1,159 @@
+/**
+ * CalSnap · iCalendar Serializer
+ * RFC 5545 content lines: text and parameter escaping, and line folding
+ */
+
+const encoder = new TextEncoder();
+
+// Content lines are limited to 75 octets, excluding the line break
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escapes a TEXT value: backslashes, semicolons, commas and line breaks.
+ * @param {*} value - The text; null and undefined become empty
+ * @returns {string}
+ */
+export function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r\n|\r|\n/g, '\\n');
+}
+
+/**
+ * Reverses escapeText.
+ * @param {string} value - An escaped TEXT value
+ * @returns {string}
+ */
+export function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (match, character) => (character === 'n' || character === 'N' ? '\n' : character));
+}
+
+/**
+ * Formats a parameter value, quoting it when it contains ':', ';' or ','.
+ * Parameter values cannot contain DQUOTE or control characters, so those are replaced.
+ * @param {*} value - The parameter value
+ * @returns {string}
+ */
+export function formatParameterValue(value) {
+  const cleaned = String(value ?? '')
+    .replace(/"/g, "'")
+    .replace(/[\x00-\x08\x0A-\x1F\x7F]/g, ' ');
+  return /[:;,]/.test(cleaned) ? `"${cleaned}"` : cleaned;
+}
+
+/**
+ * Builds a content line from a name, parameters and an already-formatted value.
+ * Use for DATE-TIME, DURATION, URI and other non-TEXT values.
+ * @param {string} name - Property name, e.g. DTSTART
+ * @param {string} value - The formatted value
+ * @param {Object} [params] - Parameters, e.g. { TZID: 'America/Toronto' }; empty values are skipped
+ * @returns {string} The unfolded content line
+ */
+export function rawProperty(name, value, params = {}) {
+  let line = name;
+  for (const [param, paramValue] of Object.entries(params)) {
+    if (paramValue === undefined || paramValue === null || paramValue === '') continue;
+    line += `;${param}=${formatParameterValue(paramValue)}`;
+  }
+  return `${line}:${value}`;
+}
+
+/**
+ * Builds a content line with an escaped TEXT value.
+ * @param {string} name - Property name, e.g. SUMMARY
+ * @param {*} text - The unescaped text
+ * @param {Object} [params] - Parameters
+ * @returns {string} The unfolded content line
+ */
+export function property(name, text, params = {}) {
+  return rawProperty(name, escapeText(text), params);
+}
+
+/**
+ * Folds a content line to 75 octets without splitting UTF-8 characters.
+ * @param {string} line - The unfolded content line
+ * @returns {string} The folded line, with CRLF + space between segments
+ */
+export function foldLine(line) {
+  if (encoder.encode(line).length <= MAX_LINE_OCTETS) {
+    return line;
+  }
+
+  const segments = [];
+  let segment = '';
+  let octets = 0;
+  // Continuation lines start with a space, which counts towards their limit
+  let limit = MAX_LINE_OCTETS;
+
+  for (const character of line) {
+    const size = encoder.encode(character).length;
+    if (octets + size > limit) {
+      segments.push(segment);
+      segment = '';
+      octets = 0;
+      limit = MAX_LINE_OCTETS - 1;
+    }
+    segment += character;
+    octets += size;
+  }
+  segments.push(segment);
+
+  return segments.join('\r\n ');
+}
+
+/**
+ * Joins content lines into an iCalendar document, folding each line.
+ * @param {string[]} lines - Unfolded content lines
+ * @returns {string} CRLF-terminated iCalendar text
+ */
+export function serializeLines(lines) {
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Unfolds iCalendar text into content lines.
+ * @param {string} text - iCalendar text
+ * @returns {string[]} Unfolded content lines
+ */
+export function unfoldLines(text) {
+  return text
+    .replace(/\r?\n[ \t]/g, '')
+    .split(/\r?\n/)
+    .filter(line => line.length > 0);
+}
+
+/**
+ * Parses an unfolded content line into its name, parameters and raw value.
+ * @param {string} line - The content line
+ * @returns {{name: string, params: Object, value: string}}
+ */
+export function parseContentLine(line) {
+  let index = 0;
+  const readUntil = (stops) => {
+    const start = index;
+    while (index < line.length && !stops.includes(line[index])) index++;
+    return line.slice(start, index);
+  };
+
+  const name = readUntil([';', ':']);
+  const params = {};
+
+  while (line[index] === ';') {
+    index++;
+    const param = readUntil(['=']);
+    index++;
+    let value;
+    if (line[index] === '"') {
+      index++;
+      value = readUntil(['"']);
+      index++;
+    } else {
+      value = readUntil([';', ':']);
+    }
+    params[param] = value;
+  }
+
+  return { name, params, value: line.slice(index + 1) };
+}
@@ -0,0 +1,125 @@
+/**
+ * CalSnap · Locations
+ * GEO, Apple structured location and map links from TeamSnap location fields
+ */
+
+import { formatParameterValue, rawProperty } from './ics.js';
+
+// Location output options, stored as location_options_{teamId}
+export const DEFAULT_LOCATION_OPTIONS = {
+  geo: true,            // GEO property
+  appleLocation: true,  // X-APPLE-STRUCTURED-LOCATION, for a map pin on iOS and macOS
+  mapLinks: false,      // Google Maps and Apple Maps links in the description
+  phone: false,         // venue phone number in the description
+  notes: false,         // location notes in the description
+};
+
+/**
+ * Gets a location's coordinates, if it has valid ones.
+ * @param {Object|null} location - Flattened TeamSnap location fields
+ * @returns {{latitude: number, longitude: number}|null}
+ */
+export function getCoordinates(location) {
+  const latitude = parseFloat(location?.latitude);
+  const longitude = parseFloat(location?.longitude);
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+  if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+  // TeamSnap reports unknown coordinates as 0,0
+  if (latitude === 0 && longitude === 0) return null;
+  return { latitude, longitude };
+}
+
+/**
+ * Formats a location's street address on one line.
+ * @param {Object|null} location - Flattened TeamSnap location fields
+ * @returns {string}
+ */
+export function formatAddress(location) {
+  if (!location) return '';
+  return [location.address, location.city, location.state, location.postal_code].filter(Boolean).join(' ');
+}
+
+/**
+ * Builds Google Maps and Apple Maps links for a location.
+ * @param {Object|null} location - Flattened TeamSnap location fields
+ * @param {string} [name] - Venue name, used when there is no address
+ * @returns {{google: string, apple: string}|null}
+ */
+export function buildMapLinks(location, name) {
+  const coordinates = getCoordinates(location);
+  const query = [name || location?.name, formatAddress(location)].filter(Boolean).join(', ');
+  if (!coordinates && !query) return null;
+
+  const google = new URL('https://www.google.com/maps/search/');
+  google.searchParams.set('api', '1');
+  google.searchParams.set('query', coordinates ? `${coordinates.latitude},${coordinates.longitude}` : query);
+
+  const apple = new URL('https://maps.apple.com/');
+  if (query) apple.searchParams.set('q', query);
+  if (coordinates) apple.searchParams.set('ll', `${coordinates.latitude},${coordinates.longitude}`);
+
+  return { google: google.toString(), apple: apple.toString() };
+}
+
+/**
+ * Builds the GEO and X-APPLE-STRUCTURED-LOCATION properties for an event.
+ * @param {Object|null} location - Flattened TeamSnap location fields
+ * @param {string} name - Venue name, as shown in LOCATION
+ * @param {Object} options - Location options
+ * @returns {string[]} Content lines
+ */
+export function buildLocationProperties(location, name, options) {
+  const coordinates = getCoordinates(location);
+  if (!coordinates) return [];
+
+  const lines = [];
+  const { latitude, longitude } = coordinates;
+
+  if (options.geo) {
+    lines.push(rawProperty('GEO', `${latitude};${longitude}`));
+  }
+
+  if (options.appleLocation) {
+    // Apple clients expect X-ADDRESS and X-TITLE to be quoted even without special characters
+    const quote = (value) => {
+      const formatted = formatParameterValue(value);
+      return formatted.startsWith('"') ? formatted : `"${formatted}"`;
+    };
+    let line = 'X-APPLE-STRUCTURED-LOCATION;VALUE=URI';
+    const address = formatAddress(location);
+    if (address) line += `;X-ADDRESS=${quote(address)}`;
+    line += ';X-APPLE-RADIUS=72';
+    line += `;X-TITLE=${quote(name || location.name || '')}`;
+    lines.push(`${line}:geo:${latitude},${longitude}`);
+  }
+
+  return lines;
+}
+
+/**
+ * Builds the description lines for a location: map links, phone and notes.
+ * @param {Object|null} location - Flattened TeamSnap location fields
+ * @param {string} name - Venue name
+ * @param {Object} options - Location options
+ * @returns {string} Text to append to the description (may be empty)
+ */
+export function buildLocationDescription(location, name, options) {
+  if (!location) return '';
+
+  const lines = [];
+  if (options.phone && location.phone) {
+    lines.push(`Phone: ${location.phone}`);
+  }
+  if (options.notes && location.notes) {
+    lines.push(location.notes);
+  }
+  if (options.mapLinks) {
+    const links = buildMapLinks(location, name);
+    if (links) {
+      lines.push(`Google Maps: ${links.google}`);
+      lines.push(`Apple Maps: ${links.apple}`);
+    }
+  }
+
+  return lines.join('\n');
+}
@@ -0,0 +1,205 @@
+/**
+ * CalSnap · Opponent Names
+ * Aliases and stripping rules that shorten league-entered opponent names, e.g.
+ * "Forest Hill Knights 2014 U12 AAA Black" → "Forest Hill Knights"
+ */
+
+// Rules that change nothing
+export const DEFAULT_OPPONENT_RULES = {
+  aliases: [],         // { from, to }: an opponent name (ignoring case) and what to show instead
+  stripPatterns: [],   // regular expressions removed from opponent names, ignoring case
+};
+
+// Stripping rules offered on the settings page
+export const SUGGESTED_STRIP_PATTERNS = {
+  '\\b(19|20)\\d{2}\\b': 'Birth years, e.g. 2014',
+  '\\bU\\d{1,2}\\b': 'Age groups, e.g. U12',
+  '\\b(AAA|AA|A|BB|B|HL|MD|LL)\\b': 'Levels, e.g. AAA or HL',
+  '\\b(Black|White|Red|Blue|Gold|Green|Silver|Orange)\\b': 'Team colours, e.g. Black',
+};
+
+// Longest stripping rule, and most stripping rules, accepted for each set of rules
+const MAX_PATTERN_LENGTH = 200;
+const MAX_STRIP_PATTERNS = 50;
+
+/**
+ * Compares names ignoring case and extra spaces.
+ */
+function toKey(name) {
+  return String(name || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Splits stripping rules entered one per line, or cleans up an array of them.
+ */
+function toPatterns(value) {
+  const patterns = Array.isArray(value) ? value : String(value || '').split('\n');
+  return patterns.map(pattern => String(pattern).trim()).filter(Boolean);
+}
+
+/**
+ * Finds what could make a stripping rule slow on a long name: a repeated group with a repeat inside it,
+ * e.g. (\w+)+, or a backreference.
+ * @returns {string|null} The problem, or null
+ */
+function findSlowConstruct(pattern) {
+  const groups = []; // Whether each open group repeats anything inside it
+  const markRepeat = () => {
+    if (groups.length > 0) groups[groups.length - 1] = true;
+  };
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\') {
+      if (/[1-9k]/.test(pattern[i + 1] || '')) return 'backreferences are not allowed';
+      i++;
+    } else if (char === '[') {
+      // Skip the character class; ] right after [ or [^ is part of it
+      i += pattern[i + 1] === '^' ? 2 : 1;
+      if (pattern[i] === ']') i++;
+      while (i < pattern.length && pattern[i] !== ']') {
+        if (pattern[i] === '\\') i++;
+        i++;
+      }
+    } else if (char === '(') {
+      groups.push(false);
+      if (pattern[i + 1] === '?') i++;
+    } else if (char === ')') {
+      const repeatsInside = groups.pop();
+      const repeated = /^(\*|\+|\{\d*,?\d*\})/.test(pattern.slice(i + 1));
+      if (repeatsInside && repeated) return 'a repeated group can\'t repeat inside too';
+      if (repeatsInside || repeated) markRepeat();
+    } else if ('*+?{'.includes(char)) {
+      markRepeat();
+    }
+  }
+  return null;
+}
+
+/**
+ * Compiles a stripping rule, or returns null for one that is invalid or could be slow. Rules are checked
+ * when saved; this skips any that slipped through.
+ */
+function toStripExpression(pattern) {
+  if (pattern.length > MAX_PATTERN_LENGTH || findSlowConstruct(pattern)) return null;
+  try {
+    return new RegExp(pattern, 'gi');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Validates opponent rules from the settings page, returning an error message or null. Stripping rules must be
+ * valid regular expressions without nested repeats or backreferences, which can make matching take very long.
+ */
+export function validateOpponentRules(input) {
+  const patterns = toPatterns(input?.stripPatterns);
+  if (patterns.length > MAX_STRIP_PATTERNS) {
+    return `Too many stripping rules: at most ${MAX_STRIP_PATTERNS}`;
+  }
+  for (const pattern of patterns) {
+    if (pattern.length > MAX_PATTERN_LENGTH) {
+      return `Stripping rule is too long: ${pattern.slice(0, 40)}…`;
+    }
+    try {
+      new RegExp(pattern, 'gi');
+    } catch (error) {
+      return `Invalid stripping rule ${pattern}: ${error.message}`;
+    }
+    const slow = findSlowConstruct(pattern);
+    if (slow) {
+      return `Stripping rule ${pattern} could be too slow: ${slow}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Cleans up opponent rules from the settings page. Aliases need both names; later duplicates replace earlier ones.
+ * @param {Object} input - { aliases: [{ from, to }], stripPatterns: string[] or one per line }
+ * @returns {Object} Opponent rules
+ */
+export function normalizeOpponentRules(input) {
+  const aliases = new Map();
+  for (const alias of Array.isArray(input?.aliases) ? input.aliases : []) {
+    const from = String(alias?.from || '').replace(/\s+/g, ' ').trim();
+    const to = String(alias?.to || '').trim();
+    if (from && to) aliases.set(toKey(from), { from, to });
+  }
+
+  return {
+    aliases: [...aliases.values()],
+    stripPatterns: toPatterns(input?.stripPatterns),
+  };
+}
+
+/**
+ * Combines the global rules with a team's own; the team's aliases win and both sets of stripping rules apply.
+ * @param {Object} globalRules - Rules for every team
+ * @param {Object} teamRules - The team's rules
+ * @returns {Object} Opponent rules
+ */
+export function mergeOpponentRules(globalRules, teamRules) {
+  return normalizeOpponentRules({
+    aliases: [...(globalRules?.aliases || []), ...(teamRules?.aliases || [])],
+    stripPatterns: [...(globalRules?.stripPatterns || []), ...(teamRules?.stripPatterns || [])],
+  });
+}
+
+/**
+ * Shortens an opponent name. An alias for the full name wins; otherwise the stripping rules apply,
+ * then an alias for what is left. A name stripped to nothing is kept as it was.
+ * @param {string} name - The opponent name from TeamSnap
+ * @param {Object} rules - Normalized opponent rules
+ * @returns {string}
+ */
+export function formatOpponentName(name, rules) {
+  if (!name) return name;
+  const aliases = new Map(rules.aliases.map(alias => [toKey(alias.from), alias.to]));
+  if (aliases.has(toKey(name))) return aliases.get(toKey(name));
+
+  let stripped = name;
+  for (const pattern of rules.stripPatterns) {
+    const expression = toStripExpression(pattern);
+    if (expression) stripped = stripped.replace(expression, ' ');
+  }
+  stripped = stripped.replace(/\s+/g, ' ').replace(/^[\s\-–—·,/]+|[\s\-–—·,/]+$/g, '');
+
+  if (aliases.has(toKey(stripped))) return aliases.get(toKey(stripped));
+  return stripped || name;
+}
+
+/**
+ * Applies opponent rules to an event, keeping TeamSnap's name as opponent_full_name.
+ * @param {Object} eventData - Flattened TeamSnap event fields
+ * @param {Object} rules - Normalized opponent rules
+ * @returns {Object} The event fields with the shortened opponent_name
+ */
+export function applyOpponentRules(eventData, rules) {
+  if (!eventData.opponent_name) return eventData;
+  return {
+    ...eventData,
+    opponent_name: formatOpponentName(eventData.opponent_name, rules),
+    opponent_full_name: eventData.opponent_name,
+  };
+}
+
+/**
+ * Lists every distinct opponent on a schedule with its shortened name.
+ * @param {Object[]} events - Flattened TeamSnap event fields
+ * @param {Object} rules - Normalized opponent rules
+ * @returns {Array<{name: string, formatted: string, count: number}>} Opponents in name order
+ */
+export function listOpponents(events, rules) {
+  const counts = new Map();
+  for (const eventData of events) {
+    if (eventData.opponent_name) {
+      counts.set(eventData.opponent_name, (counts.get(eventData.opponent_name) || 0) + 1);
+    }
+  }
+
+  return [...counts.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([name, count]) => ({ name, formatted: formatOpponentName(name, rules), count }));
+}
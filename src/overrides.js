@@ -0,0 +1,143 @@
+/**
+ * CalSnap · Event Overrides
+ * Corrections to single TeamSnap events: replaced or appended title, description and location, moved times, or hidden events
+ */
+
+// Text fields an override can change, and what joins appended text to TeamSnap's
+const TEXT_FIELDS = {
+  title: ' ',
+  description: '\n\n',
+  location: ', ',
+};
+
+const TEXT_MODES = ['replace', 'append'];
+
+/**
+ * Cleans up a text change from the settings page.
+ * @returns {Object|null} { mode, value }, or null when there is no text
+ */
+function normalizeTextChange(input) {
+  const value = String(input?.value ?? '').trim();
+  if (!value) return null;
+  return { mode: TEXT_MODES.includes(input.mode) ? input.mode : 'replace', value };
+}
+
+/**
+ * Converts a date from the settings page to an ISO string.
+ * @returns {string|null} The date, or null when it is blank or invalid
+ */
+function toIsoDate(value) {
+  if (!value) return null;
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+/**
+ * Validates an override from the settings page, returning an error message or null.
+ */
+export function validateOverride(input) {
+  for (const field of ['startDate', 'endDate']) {
+    if (input?.[field] && !toIsoDate(input[field])) {
+      return `${field === 'startDate' ? 'Start' : 'End'} time is not a valid date`;
+    }
+  }
+
+  const override = normalizeOverride(input);
+  if (override.startDate && override.endDate && Date.parse(override.endDate) <= Date.parse(override.startDate)) {
+    return 'End time must be after the start time';
+  }
+
+  if (!hasOverrideChanges(override)) {
+    return 'Choose at least one change';
+  }
+  return null;
+}
+
+/**
+ * Cleans up an override from the settings page.
+ * @param {Object} input - { hidden, title, description, location, startDate, endDate },
+ *   with each text field as { mode: 'replace'|'append', value }
+ * @returns {Object} The override with every field set; unchanged fields are null
+ */
+export function normalizeOverride(input) {
+  const override = { hidden: !!input?.hidden };
+  for (const field of Object.keys(TEXT_FIELDS)) {
+    override[field] = normalizeTextChange(input?.[field]);
+  }
+  override.startDate = toIsoDate(input?.startDate);
+  override.endDate = toIsoDate(input?.endDate);
+  return override;
+}
+
+/**
+ * Checks whether an override changes anything.
+ * @returns {boolean}
+ */
+export function hasOverrideChanges(override) {
+  return !!(override.hidden || override.startDate || override.endDate || Object.keys(TEXT_FIELDS).some(field => override[field]));
+}
+
+/**
+ * Applies an override's change to one of the event's text fields.
+ * @param {string} field - 'title', 'description' or 'location'
+ * @param {string} text - The text from TeamSnap (or the templates)
+ * @param {Object|null} override - Normalized override
+ * @returns {string}
+ */
+export function applyTextOverride(field, text, override) {
+  const change = override?.[field];
+  if (!change) return text;
+  if (change.mode === 'append' && text) return `${text}${TEXT_FIELDS[field]}${change.value}`;
+  return change.value;
+}
+
+/**
+ * Applies an override's times and location to TeamSnap event fields, before the event is rendered.
+ * Moving only the start keeps the event's length, and the arrival time moves with the start. A new start
+ * also settles a time TeamSnap has as still to be decided.
+ * A replaced location drops TeamSnap's venue, whose address would no longer match.
+ * @param {Object} eventData - Flattened TeamSnap event fields
+ * @param {Object|null} override - Normalized override
+ * @returns {Object} The event fields with the override applied
+ */
+export function applyEventOverride(eventData, override) {
+  if (!override) return eventData;
+  const data = { ...eventData };
+
+  if (override.startDate || override.endDate) {
+    const start = Date.parse(eventData.start_date);
+    const newStart = override.startDate ? Date.parse(override.startDate) : start;
+    const shift = Number.isNaN(start) ? 0 : newStart - start;
+
+    if (override.startDate) {
+      data.start_date = override.startDate;
+      data.is_tbd = false;
+    }
+    if (override.endDate) {
+      data.end_date = override.endDate;
+    } else if (eventData.end_date && shift) {
+      data.end_date = new Date(Date.parse(eventData.end_date) + shift).toISOString();
+    }
+    if (eventData.arrival_date && shift) {
+      data.arrival_date = new Date(Date.parse(eventData.arrival_date) + shift).toISOString();
+    }
+  }
+
+  if (override.location) {
+    data.location_name = applyTextOverride('location', eventData.location_name, override);
+    if (override.location.mode === 'replace') data.location_id = null;
+  }
+
+  return data;
+}
+
+/**
+ * Checks whether TeamSnap has changed the event since the override was saved.
+ * @param {Object} override - Stored override, with the event's updated_at when it was saved
+ * @param {Object} eventData - Flattened TeamSnap event fields
+ * @returns {boolean}
+ */
+export function isOverrideOutdated(override, eventData) {
+  if (!override.upstreamUpdatedAt || !eventData.updated_at) return false;
+  return Date.parse(eventData.updated_at) !== Date.parse(override.upstreamUpdatedAt);
+}
@@ -0,0 +1,127 @@
+/**
+ * CalSnap · Game Results
+ * Scores for played games, in the title and description
+ */
+
+import { fnv1a } from './hash.js';
+
+// Fields that change when a score is entered, for the results fingerprint
+const RESULT_FIELDS = [
+  'points_for_team',
+  'points_for_opponent',
+  'shootout_points_for_team',
+  'shootout_points_for_opponent',
+  'is_overtime',
+  'is_shootout',
+  'formatted_results',
+  'results',
+  'results_url',
+];
+
+const OUTCOME_LABELS = { W: 'Win', L: 'Loss', T: 'Tie' };
+
+const isScore = (value) => value !== null && value !== undefined && value !== '' && Number.isFinite(Number(value));
+
+/**
+ * Gets the result of a played game.
+ * @param {Object} eventData - Flattened TeamSnap event fields
+ * @returns {Object|null} { teamScore, opponentScore, outcome: 'W'|'L'|'T', overtime, shootout, shootoutTeam, shootoutOpponent },
+ *   or null when no score has been entered
+ */
+export function getGameResult(eventData) {
+  if (!eventData.is_game || eventData.is_canceled) return null;
+  if (!isScore(eventData.points_for_team) || !isScore(eventData.points_for_opponent)) return null;
+
+  const teamScore = Number(eventData.points_for_team);
+  const opponentScore = Number(eventData.points_for_opponent);
+  const shootout = !!eventData.is_shootout;
+  const hasShootoutScore = shootout && isScore(eventData.shootout_points_for_team) && isScore(eventData.shootout_points_for_opponent);
+  const shootoutTeam = hasShootoutScore ? Number(eventData.shootout_points_for_team) : null;
+  const shootoutOpponent = hasShootoutScore ? Number(eventData.shootout_points_for_opponent) : null;
+
+  // A game tied after play is decided by the shootout, when there was one
+  let outcome = teamScore > opponentScore ? 'W' : teamScore < opponentScore ? 'L' : 'T';
+  if (outcome === 'T' && hasShootoutScore && shootoutTeam !== shootoutOpponent) {
+    outcome = shootoutTeam > shootoutOpponent ? 'W' : 'L';
+  }
+
+  return {
+    teamScore,
+    opponentScore,
+    outcome,
+    overtime: !!eventData.is_overtime,
+    shootout,
+    shootoutTeam,
+    shootoutOpponent,
+  };
+}
+
+/**
+ * Formats how a game ended beyond regulation, e.g. (OT) or (SO).
+ */
+function formatExtraTime(result) {
+  if (result.shootout) return '(SO)';
+  if (result.overtime) return '(OT)';
+  return '';
+}
+
+/**
+ * Formats a result as an event title, e.g. Leafs 4–2 Knights (OT) W.
+ * @param {Object} result - Result from getGameResult
+ * @param {string} teamName - Custom or TeamSnap team name
+ * @param {string} [opponentName] - Opponent name, left out when empty
+ * @returns {string}
+ */
+export function formatResultTitle(result, teamName, opponentName) {
+  return [
+    teamName,
+    `${result.teamScore}–${result.opponentScore}`,
+    opponentName,
+    formatExtraTime(result),
+    result.outcome,
+  ].filter(Boolean).join(' ');
+}
+
+/**
+ * Formats the score breakdown and results link for the description.
+ * @param {Object} eventData - Flattened TeamSnap event fields
+ * @param {Object} options
+ * @param {string} options.teamName - Custom or TeamSnap team name
+ * @returns {string} Text for the description (empty before a result is entered)
+ */
+export function formatResultDescription(eventData, { teamName }) {
+  const result = getGameResult(eventData);
+  const lines = [];
+
+  if (result) {
+    const extraTime = formatExtraTime(result);
+    lines.push(`Final: ${OUTCOME_LABELS[result.outcome]} ${result.teamScore}–${result.opponentScore}${extraTime ? ` ${extraTime}` : ''}`);
+    lines.push(`${teamName} ${result.teamScore} · ${eventData.opponent_name || 'Opponent'} ${result.opponentScore}`);
+    if (result.shootoutTeam !== null) {
+      lines.push(`Shootout: ${result.shootoutTeam}–${result.shootoutOpponent}`);
+    }
+  } else if (eventData.formatted_results) {
+    lines.push(`Result: ${eventData.formatted_results}`);
+  }
+
+  if (eventData.results && eventData.results !== eventData.formatted_results) {
+    lines.push(eventData.results);
+  }
+  if (eventData.results_url) {
+    lines.push(`Results: ${eventData.results_url}`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Fingerprints the result fields of a list of events, so that entering a score
+ * is noticed even when TeamSnap does not change the event's updated_at.
+ * @param {Object[]} events - Flattened TeamSnap event fields
+ * @returns {string} An 8-digit hex hash
+ */
+export function getResultsFingerprint(events) {
+  return fnv1a(JSON.stringify(events
+    .filter(eventData => eventData.is_game)
+    .map(eventData => [eventData.id, ...RESULT_FIELDS.map(field => eventData[field] ?? null)])));
+}
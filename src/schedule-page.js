@@ -0,0 +1,210 @@
+/**
+ * CalSnap · Schedule Page
+ * A read-only HTML view of a calendar, with upcoming events and a month grid, for families without a calendar app
+ */
+
+import { formatScheduleDate as formatDate, formatScheduleTime as formatTime } from './schedule.js';
+import { formatIsoDateTime } from './timezone.js';
+
+// Events shown in the upcoming list
+const UPCOMING_LIMIT = 10;
+
+const PAGE_VIEWS = ['all', 'list', 'month'];
+
+const PAGE_STYLES = `
+  :root { --blue-40: #006FF5; --blue-95: #EBF4FF; --orange-50: #F56B15; --gray-95: #F2F2F2; --gray-10: #191919; }
+  * { box-sizing: border-box; }
+  body { margin: 0; padding: 1rem; font: 15px/1.4 system-ui, -apple-system, "Segoe UI", Roboto, sans-serif; color: var(--gray-10); background: white; }
+  body.embed { padding: 0.5rem; background: transparent; }
+  header { display: flex; flex-wrap: wrap; align-items: center; justify-content: space-between; gap: 0.5rem; margin-bottom: 1rem; }
+  h1 { font-size: 1.4rem; margin: 0; }
+  h2 { font-size: 1.1rem; margin: 1.5rem 0 0.5rem; }
+  h3 { font-size: 0.9rem; margin: 1rem 0 0.25rem; color: var(--blue-40); }
+  a { color: var(--blue-40); }
+  .subscribe { display: inline-block; padding: 0.4rem 0.9rem; border-radius: 2rem; background: var(--orange-50); color: white; font-weight: 600; text-decoration: none; }
+  .events { list-style: none; margin: 0; padding: 0; }
+  .events li { display: flex; gap: 0.75rem; padding: 0.4rem 0; border-bottom: 1px solid var(--gray-95); }
+  .events time { flex: 0 0 4.5rem; font-variant-numeric: tabular-nums; }
+  .events small { display: block; color: #666; }
+  .cancelled { text-decoration: line-through; color: #999; }
+  .empty { color: #666; }
+  nav { display: flex; justify-content: space-between; align-items: center; }
+  table { width: 100%; border-collapse: collapse; table-layout: fixed; }
+  th { font-size: 0.75rem; font-weight: 600; padding: 0.25rem; color: #666; }
+  td { vertical-align: top; height: 4.5rem; padding: 0.25rem; border: 1px solid var(--gray-95); font-size: 0.75rem; overflow: hidden; }
+  td.today { background: var(--blue-95); }
+  td .date { font-weight: 600; }
+  td ul { list-style: none; margin: 0; padding: 0; }
+  td li { white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+  @media (max-width: 600px) { td { height: 3rem; } td li span { display: none; } }
+`;
+
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Escapes text for HTML content and attribute values.
+ */
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, character => HTML_ENTITIES[character]);
+}
+
+/**
+ * Reads a month from the page's ?month= parameter.
+ * @param {string|null} value - e.g. 2030-09
+ * @returns {{year: number, month: number}|null} The month (1–12), or null when it is missing or invalid
+ */
+export function parseMonth(value) {
+  const match = /^(\d{4})-(\d{2})$/.exec(value || '');
+  if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) return null;
+  return { year: Number(match[1]), month: Number(match[2]) };
+}
+
+/**
+ * Builds the page's query string, keeping the embed options.
+ */
+function buildQuery(params, { embed, view }) {
+  const query = new URLSearchParams(params);
+  if (embed) query.set('embed', '1');
+  if (view !== 'all') query.set('view', view);
+  return `?${query}`;
+}
+
+/**
+ * Formats when an event starts, e.g. 3:00 PM, or All day.
+ */
+function formatEventTime(event) {
+  return event.allDay ? 'All day' : formatTime(event.start);
+}
+
+/**
+ * Checks whether an event is on a date: the day it starts, or any day an all-day event spans.
+ */
+function isOnDate(event, date) {
+  const startDate = event.start.slice(0, 10);
+  return event.allDay && event.end ? startDate <= date && date < event.end.slice(0, 10) : startDate === date;
+}
+
+/**
+ * Renders one event of the upcoming list.
+ */
+function renderListEvent(event) {
+  const details = [event.location, event.homeAway && `${event.homeAway[0].toUpperCase()}${event.homeAway.slice(1)}`, event.uniform && `Uniform: ${event.uniform}`]
+    .filter(Boolean)
+    .join(' · ');
+  const arrival = event.arrival ? `Arrive ${formatTime(event.arrival)}` : '';
+  return `
+      <li${event.cancelled ? ' class="cancelled"' : ''}>
+        <time datetime="${escapeHtml(event.start)}">${formatEventTime(event)}</time>
+        <div>${escapeHtml(event.title)}${details || arrival ? `<small>${escapeHtml([arrival, details].filter(Boolean).join(' · '))}</small>` : ''}</div>
+      </li>`;
+}
+
+/**
+ * Renders the next events, grouped by day.
+ */
+function renderUpcoming(events, now) {
+  const upcoming = events.filter(event => Date.parse(event.end || event.start) >= now).slice(0, UPCOMING_LIMIT);
+  if (!upcoming.length) {
+    return '<h2>Upcoming</h2>\n    <p class="empty">No upcoming events.</p>';
+  }
+
+  const days = new Map();
+  for (const event of upcoming) {
+    const date = event.start.slice(0, 10);
+    days.set(date, [...(days.get(date) || []), event]);
+  }
+
+  return `<h2>Upcoming</h2>${[...days.entries()].map(([date, dayEvents]) => `
+    <h3>${formatDate(date, { weekday: 'long', month: 'long', day: 'numeric' })}</h3>
+    <ul class="events">${dayEvents.map(renderListEvent).join('')}
+    </ul>`).join('')}`;
+}
+
+/**
+ * Renders one event of the month grid; narrow screens show only its time.
+ */
+function renderGridEvent(event) {
+  const time = formatEventTime(event);
+  return `<li${event.cancelled ? ' class="cancelled"' : ''} title="${escapeHtml(`${time} ${event.title}`)}">${time.replace(':00', '')} <span>${escapeHtml(event.title)}</span></li>`;
+}
+
+/**
+ * Renders a month as a grid of weeks starting on Sunday, with each event on the day it starts and all-day
+ * events on every day they span.
+ */
+function renderMonth(events, { year, month }, today, options) {
+  const key = `${year}-${String(month).padStart(2, '0')}`;
+  const firstWeekday = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  const previous = new Date(Date.UTC(year, month - 2, 1)).toISOString().slice(0, 7);
+  const next = new Date(Date.UTC(year, month, 1)).toISOString().slice(0, 7);
+
+  const cells = Array.from({ length: firstWeekday }, () => '<td></td>');
+  for (let day = 1; day <= daysInMonth; day++) {
+    const date = `${key}-${String(day).padStart(2, '0')}`;
+    const dayEvents = events.filter(event => isOnDate(event, date));
+    const list = dayEvents.length ? `<ul>${dayEvents.map(renderGridEvent).join('')}</ul>` : '';
+    cells.push(`<td${date === today ? ' class="today"' : ''}><div class="date">${day}</div>${list}</td>`);
+  }
+  while (cells.length % 7) cells.push('<td></td>');
+
+  const weeks = [];
+  for (let index = 0; index < cells.length; index += 7) {
+    weeks.push(`<tr>${cells.slice(index, index + 7).join('')}</tr>`);
+  }
+
+  return `<nav>
+      <a href="${escapeHtml(buildQuery({ month: previous }, options))}" aria-label="Previous month">&larr;</a>
+      <h2>${formatDate(`${key}-01`, { month: 'long', year: 'numeric' })}</h2>
+      <a href="${escapeHtml(buildQuery({ month: next }, options))}" aria-label="Next month">&rarr;</a>
+    </nav>
+    <table>
+      <thead><tr>${['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].map(day => `<th>${day}</th>`).join('')}</tr></thead>
+      <tbody>${weeks.join('')}</tbody>
+    </table>`;
+}
+
+/**
+ * Renders a calendar's schedule as a standalone HTML page.
+ * @param {Object} schedule - { name, timeZone, events } from generateCalendar
+ * @param {Object} options
+ * @param {string} options.subscribeUrl - webcal:// link to the calendar
+ * @param {string|null} [options.month] - Month shown in the grid, e.g. 2030-09; defaults to the current month
+ * @param {string} [options.view] - 'all', 'list' (upcoming events only) or 'month' (the grid only)
+ * @param {boolean} [options.embed] - Compact layout for an iframe on another site
+ * @param {number} [options.now] - Current time in milliseconds
+ * @returns {string}
+ */
+export function renderSchedulePage(schedule, { subscribeUrl, month = null, view = 'all', embed = false, now = Date.now() }) {
+  const name = schedule.name || 'Team Schedule';
+  const today = formatIsoDateTime(new Date(now), schedule.timeZone).slice(0, 10);
+  const shownMonth = parseMonth(month) || parseMonth(today.slice(0, 7));
+  const options = { embed, view: PAGE_VIEWS.includes(view) ? view : 'all' };
+
+  const sections = [];
+  if (options.view !== 'month') sections.push(renderUpcoming(schedule.events, now));
+  if (options.view !== 'list') sections.push(renderMonth(schedule.events, shownMonth, today, options));
+
+  // Links leave the iframe when embedded
+  const target = embed ? ' target="_top"' : '';
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta name="robots" content="noindex">
+  <title>${escapeHtml(name)}</title>
+  <style>${PAGE_STYLES}</style>
+</head>
+<body${embed ? ' class="embed"' : ''}>
+  <header>
+    ${embed ? `<strong>${escapeHtml(name)}</strong>` : `<h1>${escapeHtml(name)}</h1>`}
+    <a class="subscribe" href="${escapeHtml(subscribeUrl)}"${target}>Add to calendar</a>
+  </header>
+  <main>
+    ${sections.join('\n    ')}
+  </main>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,77 @@
+/**
+ * CalSnap · Schedule Export
+ * The events of a calendar as JSON and CSV, for spreadsheets and team website widgets
+ */
+
+// CSV columns: header and how to read each from a schedule event; all-day events have no start or end time
+export const SCHEDULE_CSV_COLUMNS = [
+  ['Date', event => event.start.slice(0, 10)],
+  ['Start', event => (event.allDay ? '' : event.start.slice(11, 16))],
+  ['End', event => (event.end && !event.allDay ? event.end.slice(11, 16) : '')],
+  ['Arrival', event => (event.arrival ? event.arrival.slice(11, 16) : '')],
+  ['Title', event => event.title],
+  ['Type', event => event.type],
+  ['Team', event => event.team],
+  ['Opponent', event => event.opponent],
+  ['Home/Away', event => event.homeAway],
+  ['Location', event => event.location],
+  ['Address', event => event.address],
+  ['Uniform', event => event.uniform],
+  ['Notes', event => event.notes],
+  ['Status', event => (event.cancelled ? 'Cancelled' : '')],
+  ['Time Zone', event => event.timeZone],
+  ['URL', event => event.url],
+];
+
+/**
+ * Formats the local time of a schedule date-time, e.g. 2030-09-20T15:00:00-04:00 → 3:00 PM.
+ */
+export function formatScheduleTime(isoDateTime) {
+  const [hour, minute] = isoDateTime.slice(11, 16).split(':').map(Number);
+  return `${hour % 12 || 12}:${String(minute).padStart(2, '0')} ${hour < 12 ? 'AM' : 'PM'}`;
+}
+
+/**
+ * Formats the local date of a schedule date-time (or a YYYY-MM-DD date) with Intl options.
+ */
+export function formatScheduleDate(isoDateTime, options) {
+  return new Intl.DateTimeFormat('en-US', { ...options, timeZone: 'UTC' }).format(new Date(`${isoDateTime.slice(0, 10)}T00:00:00Z`));
+}
+
+/**
+ * Quotes a CSV field when needed (RFC 4180). Text that a spreadsheet would run as a formula is prefixed with '.
+ */
+export function toCsvField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats a schedule as CSV, one row per event, with a byte order mark so spreadsheets read it as UTF-8.
+ * @param {Object} schedule - { name, timeZone, events } from generateCalendar
+ * @returns {string}
+ */
+export function formatScheduleCsv(schedule) {
+  const rows = [SCHEDULE_CSV_COLUMNS.map(([header]) => header)];
+  for (const event of schedule.events) {
+    rows.push(SCHEDULE_CSV_COLUMNS.map(([, read]) => read(event)));
+  }
+  return `\uFEFF${rows.map(row => row.map(toCsvField).join(',')).join('\r\n')}\r\n`;
+}
+
+/**
+ * Formats a schedule as JSON.
+ * @param {Object} schedule - { name, timeZone, events } from generateCalendar
+ * @param {Object} [options]
+ * @param {number} [options.updatedAt] - When the schedule last changed, in milliseconds
+ * @returns {string}
+ */
+export function formatScheduleJson(schedule, { updatedAt = null } = {}) {
+  return JSON.stringify({
+    name: schedule.name || null,
+    timeZone: schedule.timeZone || null,
+    updatedAt: updatedAt ? new Date(updatedAt).toISOString() : null,
+    events: schedule.events,
+  });
+}
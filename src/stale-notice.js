@@ -0,0 +1,71 @@
+/**
+ * CalSnap · Stale Calendar Notice
+ * Marks a calendar CalSnap could not update: a note in the calendar description, and an all-day event on
+ * today's date where subscribers will see it
+ */
+
+import { property, rawProperty, serializeLines, unfoldLines } from './ics.js';
+import { formatScheduleDate, formatScheduleTime } from './schedule.js';
+import { formatIsoDateTime, formatUtcDateTime, isValidTimeZone } from './timezone.js';
+
+/**
+ * Explains why a calendar is out of date, e.g. "CalSnap can't reach TeamSnap right now. Events may be out of
+ * date; last updated Oct 3 at 9:00 PM."
+ * @param {Object} options
+ * @param {boolean} options.signInNeeded - The TeamSnap access behind the calendar has lapsed
+ * @param {number} options.lastUpdated - When TeamSnap last confirmed the calendar, in milliseconds
+ * @param {string} options.timeZone - IANA time zone the time is shown in
+ * @returns {string}
+ */
+export function describeStaleCalendar({ signInNeeded, lastUpdated, timeZone }) {
+  const updated = formatIsoDateTime(new Date(lastUpdated), timeZone);
+  const when = `${formatScheduleDate(updated, { month: 'short', day: 'numeric' })} at ${formatScheduleTime(updated)}`;
+  const reason = signInNeeded
+    ? "CalSnap can't update this calendar until its owner signs in to CalSnap again."
+    : "CalSnap can't reach TeamSnap right now.";
+  return `${reason} Events may be out of date; last updated ${when}.`;
+}
+
+/**
+ * Adds the stale notice to a calendar. The notice event moves to the current day in the calendar's time zone
+ * and keeps its UID, so calendar apps show one notice however long the calendar is stale; the text only changes
+ * once a day, so conditional requests still work.
+ * @param {string} icsContent - The calendar
+ * @param {Object} options
+ * @param {string} options.uid - UID of the notice event
+ * @param {boolean} [options.signInNeeded] - The TeamSnap access behind the calendar has lapsed
+ * @param {number} options.lastUpdated - When TeamSnap last confirmed the calendar, in milliseconds
+ * @param {number} [options.now] - Current time in milliseconds
+ * @returns {string} The calendar with the notice
+ */
+export function addStaleNotice(icsContent, { uid, signInNeeded = false, lastUpdated, now = Date.now() }) {
+  const lines = unfoldLines(icsContent).filter(line => !line.startsWith('X-WR-CALDESC'));
+  const calendarTimeZone = lines.find(line => line.startsWith('X-WR-TIMEZONE:'))?.slice('X-WR-TIMEZONE:'.length);
+  const timeZone = isValidTimeZone(calendarTimeZone) ? calendarTimeZone : 'UTC';
+  const message = describeStaleCalendar({ signInNeeded, lastUpdated, timeZone });
+
+  const today = formatIsoDateTime(new Date(now), timeZone).slice(0, 10);
+  const tomorrow = new Date(Date.parse(`${today}T00:00:00Z`) + 86400000).toISOString().slice(0, 10);
+  const noticeEvent = [
+    'BEGIN:VEVENT',
+    property('UID', uid),
+    rawProperty('DTSTART', today.replace(/-/g, ''), { VALUE: 'DATE' }),
+    rawProperty('DTEND', tomorrow.replace(/-/g, ''), { VALUE: 'DATE' }),
+    property('SUMMARY', signInNeeded ? 'CalSnap: schedule may be out of date (sign-in needed)' : 'CalSnap: schedule may be out of date'),
+    property('DESCRIPTION', message),
+    'TRANSP:TRANSPARENT',
+    rawProperty('DTSTAMP', formatUtcDateTime(new Date(`${today}T00:00:00Z`))),
+    'END:VEVENT',
+  ];
+
+  // The description goes with the calendar's own properties, before its first component
+  const firstComponent = lines.findIndex(line => line.startsWith('BEGIN:') && line !== 'BEGIN:VCALENDAR');
+  const end = lines.lastIndexOf('END:VCALENDAR');
+  return serializeLines([
+    ...lines.slice(0, firstComponent === -1 ? end : firstComponent),
+    property('X-WR-CALDESC', message),
+    ...lines.slice(firstComponent === -1 ? end : firstComponent, end),
+    ...noticeEvent,
+    ...lines.slice(end),
+  ]);
+}
@@ -0,0 +1,247 @@
+/**
+ * CalSnap · TeamSnap API
+ * A client for TeamSnap's collection+json API: access token refresh, retries with backoff, Retry-After,
+ * timeouts, paging links, and typed errors
+ */
+
+// Retries after the first attempt, for 429s, 5xx responses, timeouts and network errors
+export const DEFAULT_RETRIES = 2;
+
+// Milliseconds before the first retry, doubled for each one after it
+export const BASE_RETRY_DELAY = 500;
+
+// Longest Retry-After waited for, in milliseconds; TeamSnap asking for longer fails the request straight away
+export const MAX_RETRY_DELAY = 10000;
+
+// Milliseconds each attempt gets to respond
+export const DEFAULT_TIMEOUT = 10000;
+
+// Pages followed for one request, in case paging links loop
+export const MAX_PAGES = 50;
+
+const RETRY_STATUSES = [429, 500, 502, 503, 504];
+
+/**
+ * A failed TeamSnap request, with TeamSnap's HTTP status when it responded.
+ */
+export class TeamSnapError extends Error {
+  constructor(message, { status = null, retryAfter = null } = {}) {
+    super(message);
+    this.name = 'TeamSnapError';
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * TeamSnap refused the user's access, even after refreshing it; they need to sign in again.
+ */
+export class TeamSnapAuthError extends TeamSnapError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'TeamSnapAuthError';
+  }
+}
+
+/**
+ * TeamSnap refused the user access to a team or item, usually one they have left; their sign-in is still valid.
+ */
+export class TeamSnapAccessError extends TeamSnapError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'TeamSnapAccessError';
+  }
+}
+
+/**
+ * TeamSnap is still rate limiting after the retries; retryAfter is the wait it asked for, in seconds.
+ */
+export class TeamSnapRateLimitError extends TeamSnapError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'TeamSnapRateLimitError';
+  }
+}
+
+/**
+ * TeamSnap timed out, could not be reached or kept failing with 5xx responses.
+ */
+export class TeamSnapUnavailableError extends TeamSnapError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'TeamSnapUnavailableError';
+  }
+}
+
+/**
+ * Reads a Retry-After header: a number of seconds or an HTTP date.
+ * @param {string|null} value
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {number|null} Milliseconds to wait, or null when the header is missing or invalid
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) return Number(value) * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Builds the error for a TeamSnap response that was not OK, with TeamSnap's message when it sent one.
+ */
+async function toTeamSnapError(response) {
+  const { status } = response;
+  const text = await response.text().catch(() => '');
+  let detail = text;
+  try {
+    detail = JSON.parse(text)?.collection?.error?.message || text;
+  } catch (error) {
+    // Not JSON
+  }
+  const message = `TeamSnap responded ${status}${detail ? `: ${detail.slice(0, 200)}` : ''}`;
+
+  if (status === 401) {
+    return new TeamSnapAuthError(message, { status });
+  }
+  if (status === 403) {
+    return new TeamSnapAccessError(message, { status });
+  }
+  if (status === 429) {
+    const retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+    return new TeamSnapRateLimitError(message, { status, retryAfter: retryAfter === null ? null : Math.ceil(retryAfter / 1000) });
+  }
+  if (status >= 500) {
+    return new TeamSnapUnavailableError(message, { status });
+  }
+  return new TeamSnapError(message, { status });
+}
+
+/**
+ * Finds the next page of a collection+json response. The access token is sent with it, so links to another
+ * origin than the API's are not followed.
+ * @param {Object} body - The page
+ * @param {string} baseUrl - The API's base URL
+ * @returns {string|null}
+ */
+function getNextPageUrl(body, baseUrl) {
+  const href = body?.collection?.links?.find(link => link.rel === 'next')?.href;
+  if (!href) return null;
+  try {
+    const next = new URL(href, baseUrl);
+    return next.origin === new URL(baseUrl).origin ? next.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Creates a TeamSnap API client.
+ * @param {Object} options
+ * @param {string} options.baseUrl - e.g. https://api.teamsnap.com/v3
+ * @param {function(): Promise<string|null>} options.getAccessToken - The access token to send
+ * @param {function(): Promise<string|null>} [options.refreshAccessToken] - Gets a new access token when TeamSnap
+ *   rejects the current one, or null when access has lapsed
+ * @param {Function} [options.fetch] - fetch implementation
+ * @param {number} [options.retries] - Retries after the first attempt
+ * @param {number} [options.timeout] - Milliseconds each attempt gets
+ * @param {function(number): Promise} [options.sleep] - Waits a number of milliseconds between retries
+ * @returns {{get: function(string): Promise<Object>}}
+ */
+export function createTeamSnapClient({
+  baseUrl,
+  getAccessToken,
+  refreshAccessToken = null,
+  fetch: fetchImpl = (...args) => fetch(...args),
+  retries = DEFAULT_RETRIES,
+  timeout = DEFAULT_TIMEOUT,
+  sleep = milliseconds => new Promise(resolve => setTimeout(resolve, milliseconds)),
+}) {
+  /**
+   * Sends one request, retrying 429s, 5xx responses, timeouts and network errors with exponential backoff,
+   * or after the wait TeamSnap asks for.
+   */
+  async function send(url, accessToken) {
+    for (let attempt = 0; ; attempt++) {
+      const backoff = BASE_RETRY_DELAY * 2 ** attempt;
+
+      let response;
+      try {
+        response = await fetchImpl(url, {
+          headers: {
+            Authorization: `Bearer ${accessToken}`,
+            'Accept': 'application/json',
+          },
+          signal: AbortSignal.timeout(timeout),
+        });
+      } catch (error) {
+        if (attempt < retries) {
+          await sleep(backoff);
+          continue;
+        }
+        throw new TeamSnapUnavailableError(error.name === 'TimeoutError'
+          ? `TeamSnap did not respond within ${timeout / 1000} seconds`
+          : `Could not reach TeamSnap: ${error.message}`);
+      }
+
+      if (!RETRY_STATUSES.includes(response.status) || attempt >= retries) {
+        return response;
+      }
+      const retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+      if (retryAfter !== null && retryAfter > MAX_RETRY_DELAY) {
+        return response;
+      }
+      await response.body?.cancel();
+      await sleep(retryAfter ?? backoff);
+    }
+  }
+
+  return {
+    /**
+     * Gets an API path, following paging links and gathering the items of every page.
+     * @param {string} endpoint - e.g. /events/search?team_id=123
+     * @returns {Promise<Object>} The first page's response, with the items of all pages
+     * @throws {TeamSnapError} TeamSnapAuthError, TeamSnapAccessError, TeamSnapRateLimitError,
+     *   TeamSnapUnavailableError, or TeamSnapError for other responses that are not OK
+     */
+    async get(endpoint) {
+      let accessToken = await getAccessToken();
+      if (!accessToken) {
+        throw new TeamSnapAuthError('TeamSnap access has expired. Please sign in again.', { status: 401 });
+      }
+      let refreshed = false;
+
+      const getPage = async (url) => {
+        let response = await send(url, accessToken);
+        if (response.status === 401 && refreshAccessToken && !refreshed) {
+          refreshed = true;
+          const newToken = await refreshAccessToken();
+          if (newToken) {
+            await response.body?.cancel();
+            accessToken = newToken;
+            response = await send(url, accessToken);
+          }
+        }
+        if (!response.ok) {
+          throw await toTeamSnapError(response);
+        }
+        return response.json();
+      };
+
+      const url = `${baseUrl}${endpoint}`;
+      const first = await getPage(url);
+      if (!first?.collection) return first;
+
+      const items = [...(first.collection.items || [])];
+      const visited = new Set([url]);
+      let next = getNextPageUrl(first, baseUrl);
+      while (next && !visited.has(next) && visited.size < MAX_PAGES) {
+        visited.add(next);
+        const page = await getPage(next);
+        items.push(...(page?.collection?.items || []));
+        next = getNextPageUrl(page, baseUrl);
+      }
+
+      return { ...first, collection: { ...first.collection, items } };
+    },
+  };
+}
@@ -0,0 +1,280 @@
+/**
+ * CalSnap · Event Templates
+ * Placeholder templates for event titles and descriptions
+ *
+ * Syntax:
+ *   {field}                 value of any TeamSnap event field, e.g. {uniform}
+ *   {location.address}      value of a location field
+ *   {#field}...{/field}     section shown only when the field has a value
+ *   {^field}...{/field}     section shown only when the field is empty
+ *   {#field=Value}...{/field}  section shown only when the field equals Value
+ *
+ * A section tag on a line by itself does not produce a line break.
+ */
+
+import { buildMapLinks, formatAddress } from './locations.js';
+import { getGameResult } from './results.js';
+import { isValidTimeZone } from './timezone.js';
+
+// Built-in templates, used when a team has not saved its own
+export const DEFAULT_TEMPLATES = {
+  // Blank title templates fall back to the built-in title logic
+  gameTitle: '',
+  eventTitle: '',
+  gameDescription: [
+    '{#matchup}',
+    '{matchup}',
+    '{/matchup}',
+    '{#uniform}',
+    'Uniform: {uniform}',
+    '{/uniform}',
+    '{#location_name}',
+    '',
+    '{location_name}',
+    '{#venue_details}',
+    '{venue_details}',
+    '{/venue_details}',
+    '{/location_name}',
+    '{#arrival_time}',
+    '{#minutes_to_arrive_early}',
+    'Arrival: {arrival_time} · {minutes_to_arrive_early} min. early',
+    '{/minutes_to_arrive_early}',
+    '{/arrival_time}',
+    '{#starts_at_arrival}',
+    'Game: {start_time}',
+    '{/starts_at_arrival}',
+    '{#notes}',
+    '',
+    '{notes}',
+    '{/notes}',
+    '',
+  ].join('\n'),
+  eventDescription: [
+    '{#uniform}',
+    'Uniform: {uniform}',
+    '{/uniform}',
+    '{#location_name}',
+    '',
+    '{location_name}',
+    '{#venue_details}',
+    '{venue_details}',
+    '{/venue_details}',
+    '{/location_name}',
+    '{#notes}',
+    '',
+    '{notes}',
+    '{/notes}',
+    '',
+  ].join('\n'),
+};
+
+// Placeholders computed by CalSnap in addition to the raw TeamSnap fields
+export const DERIVED_FIELDS = {
+  title: 'Built-in event title',
+  team_name: 'Custom team name (or TeamSnap team name)',
+  matchup: 'Home vs. Opponent / Away at Opponent (games only)',
+  opponent_full_name: 'Opponent name as entered in TeamSnap, before aliases and stripping rules',
+  start_day: 'Event date, e.g. Sat, Sep 20',
+  start_time: 'Event start time, e.g. 7:00 PM',
+  end_time: 'Event end time',
+  arrival_time: 'Arrival time (when arrival_date is set)',
+  starts_at_arrival: 'Set when the calendar event starts at arrival time',
+  game_time: 'Game start time without AM/PM, e.g. 7:00',
+  venue_details: 'additional_location_details, unless TBD',
+  event_url: 'TeamSnap event page',
+  score: 'Final score of a played game, e.g. 4–2',
+  outcome: 'W, L or T for a played game',
+  my_availability: 'Your reply: Going, Maybe, Not going or No response (when shown)',
+  availability_summary: 'Team replies, e.g. Going: 12 · Out: 3 · No reply: 2 (when shown)',
+  'location.full_address': 'Address, city, state and postal code',
+  'location.google_maps_url': 'Google Maps link',
+  'location.apple_maps_url': 'Apple Maps link',
+};
+
+const TAG_PATTERN = /\{([#^/]?)([A-Za-z_][A-Za-z0-9_.]*)(?:=([^{}]*))?\}/g;
+
+/**
+ * Looks up a (possibly dotted) field name in the render context.
+ */
+function lookup(context, name) {
+  return name.split('.').reduce((value, key) => (value == null ? undefined : value[key]), context);
+}
+
+/**
+ * Checks whether a value counts as present for a section.
+ */
+function isPresent(value) {
+  return value !== undefined && value !== null && value !== false && value !== '';
+}
+
+/**
+ * Parses a template into a tree of text, field and section nodes.
+ * @param {string} template - The template source
+ * @returns {Array} Parsed nodes
+ */
+export function parseTemplate(template) {
+  // Section tags alone on a line swallow their line break
+  const source = String(template || '').replace(/^[ \t]*(\{[#^/][^{}\n]*\})[ \t]*\r?\n/gm, '$1');
+
+  const root = { children: [] };
+  const stack = [root];
+  let lastIndex = 0;
+
+  for (const match of source.matchAll(TAG_PATTERN)) {
+    const [tag, type, name, equals] = match;
+    const parent = stack[stack.length - 1];
+
+    if (match.index > lastIndex) {
+      parent.children.push({ type: 'text', value: source.slice(lastIndex, match.index) });
+    }
+    lastIndex = match.index + tag.length;
+
+    if (type === '#' || type === '^') {
+      const section = { type: 'section', name, equals, inverted: type === '^', children: [] };
+      parent.children.push(section);
+      stack.push(section);
+    } else if (type === '/') {
+      if (stack.length === 1 || parent.name !== name) {
+        throw new Error(`Unexpected closing tag {/${name}}`);
+      }
+      stack.pop();
+    } else {
+      parent.children.push({ type: 'field', name });
+    }
+  }
+
+  if (lastIndex < source.length) {
+    stack[stack.length - 1].children.push({ type: 'text', value: source.slice(lastIndex) });
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Missing closing tag {/${stack[stack.length - 1].name}}`);
+  }
+
+  return root.children;
+}
+
+/**
+ * Renders parsed template nodes against a context object.
+ */
+function renderNodes(nodes, context) {
+  let output = '';
+
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      output += node.value;
+    } else if (node.type === 'field') {
+      const value = lookup(context, node.name);
+      output += isPresent(value) ? String(value) : '';
+    } else {
+      const value = lookup(context, node.name);
+      let matches = node.equals !== undefined
+        ? isPresent(value) && String(value).toLowerCase() === node.equals.trim().toLowerCase()
+        : isPresent(value);
+      if (node.inverted) matches = !matches;
+      if (matches) output += renderNodes(node.children, context);
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Renders a template string against a context object.
+ * @param {string} template - The template source
+ * @param {Object} context - Values for placeholders (see buildTemplateContext)
+ * @returns {string} The rendered text
+ */
+export function renderTemplate(template, context) {
+  return renderNodes(parseTemplate(template), context);
+}
+
+/**
+ * Validates a template, returning an error message or null.
+ */
+export function validateTemplate(template) {
+  try {
+    parseTemplate(template);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Formats a date in the event's time zone. A time zone the runtime does not know falls back to the runtime's,
+ * rather than failing the whole calendar.
+ */
+function formatLocal(date, timeZone, options) {
+  const formatOptions = { ...options };
+  if (isValidTimeZone(timeZone)) formatOptions.timeZone = timeZone;
+  return new Date(date).toLocaleString('en-US', formatOptions);
+}
+
+/**
+ * Formats a start time without the day period, e.g. 7:00, for title suffixes.
+ * @param {string|Date} date - The start time
+ * @param {string} timeZone - IANA time zone name
+ * @returns {string}
+ */
+export function formatGameTime(date, timeZone) {
+  return formatLocal(date, timeZone, { hour: 'numeric', minute: '2-digit', hour12: true })
+    .replace(/\s*[AP]M$/i, '');
+}
+
+/**
+ * Builds the placeholder context for an event.
+ * @param {Object} eventData - Flattened TeamSnap event fields
+ * @param {Object} options
+ * @param {string} options.teamId - The team ID
+ * @param {string} options.teamName - Custom or TeamSnap team name
+ * @param {string} options.title - Built-in event title
+ * @param {Object|null} options.location - Flattened TeamSnap location fields
+ * @param {boolean} [options.startsAtArrival] - Whether the calendar event starts at arrival time
+ * @param {Object} [options.availability] - { own, summary }: the user's reply label and the team summary
+ * @returns {Object} The render context
+ */
+export function buildTemplateContext(eventData, { teamId, teamName, title, location, startsAtArrival = false, availability = {} }) {
+  const timeZone = eventData.time_zone_iana_name;
+  const timeFormat = { hour: 'numeric', minute: '2-digit' };
+
+  let matchup = '';
+  if (eventData.is_game && eventData.opponent_name) {
+    if (eventData.game_type === 'Home') {
+      matchup = `Home vs. ${eventData.opponent_name}`;
+    } else if (eventData.game_type === 'Away') {
+      matchup = `Away at ${eventData.opponent_name}`;
+    } else {
+      matchup = `${eventData.label || 'TBD'} vs. ${eventData.opponent_name}`;
+    }
+  }
+
+  const result = getGameResult(eventData);
+  const mapLinks = buildMapLinks(location, eventData.location_name);
+  const locationData = {
+    ...(location || {}),
+    full_address: formatAddress(location),
+    google_maps_url: mapLinks?.google || '',
+    apple_maps_url: mapLinks?.apple || '',
+  };
+
+  return {
+    ...eventData,
+    title,
+    team_name: teamName,
+    matchup,
+    start_day: eventData.start_date ? formatLocal(eventData.start_date, timeZone, { weekday: 'short', month: 'short', day: 'numeric' }) : '',
+    start_time: eventData.is_tbd ? 'TBD' : eventData.start_date ? formatLocal(eventData.start_date, timeZone, timeFormat) : '',
+    end_time: !eventData.is_tbd && eventData.end_date ? formatLocal(eventData.end_date, timeZone, timeFormat) : '',
+    arrival_time: eventData.arrival_date ? formatLocal(eventData.arrival_date, timeZone, timeFormat) : '',
+    starts_at_arrival: startsAtArrival,
+    game_time: eventData.start_date ? formatGameTime(eventData.start_date, timeZone) : '',
+    score: result ? `${result.teamScore}–${result.opponentScore}` : '',
+    outcome: result ? result.outcome : '',
+    my_availability: availability.own || '',
+    availability_summary: availability.summary || '',
+    venue_details: eventData.additional_location_details !== 'TBD' ? eventData.additional_location_details : '',
+    event_url: `https://go.teamsnap.com/${teamId}/schedule/view_event/${eventData.id}`,
+    location: locationData,
+  };
+}
@@ -0,0 +1,281 @@
+/**
+ * CalSnap · Time Zones
+ * Local DTSTART/DTEND values and VTIMEZONE blocks built from the IANA data in Intl
+ */
+
+import { property, rawProperty } from './ics.js';
+
+const formatters = new Map();
+
+/**
+ * Gets a cached Intl formatter that reports wall-clock parts in a time zone.
+ */
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Checks whether a string names a time zone known to the runtime.
+ * @param {string} timeZone - IANA time zone name, e.g. America/Toronto
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone) return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Gets the wall-clock date and time of an instant in a time zone.
+ * @param {Date} date - The instant
+ * @param {string} timeZone - IANA time zone name
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+ */
+export function getLocalParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    if (type !== 'literal') parts[type] = parseInt(value, 10);
+  }
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+  };
+}
+
+/**
+ * Gets a time zone's UTC offset at an instant.
+ * @param {Date} date - The instant
+ * @param {string} timeZone - IANA time zone name
+ * @returns {number} Offset in minutes east of UTC (e.g. -240 for EDT)
+ */
+export function getTimeZoneOffset(date, timeZone) {
+  const local = getLocalParts(date, timeZone);
+  const localAsUtc = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second);
+  const instant = Math.floor(date.getTime() / 1000) * 1000;
+  return Math.round((localAsUtc - instant) / 60000);
+}
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+/**
+ * Formats wall-clock parts as an iCalendar DATE-TIME (no Z).
+ */
+function formatParts({ year, month, day, hour, minute, second }) {
+  return `${pad(year, 4)}${pad(month)}${pad(day)}T${pad(hour)}${pad(minute)}${pad(second)}`;
+}
+
+/**
+ * Formats an instant as a UTC iCalendar DATE-TIME, e.g. 20250920T190000Z.
+ * @param {Date} date - The instant
+ * @returns {string}
+ */
+export function formatUtcDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Formats an instant as a local iCalendar DATE-TIME in a time zone, e.g. 20250920T150000.
+ * @param {Date} date - The instant
+ * @param {string} timeZone - IANA time zone name
+ * @returns {string}
+ */
+export function formatLocalDateTime(date, timeZone) {
+  return formatParts(getLocalParts(date, timeZone));
+}
+
+/**
+ * Formats an instant as an ISO 8601 date-time with the time zone's offset, e.g. 2025-09-20T15:00:00-04:00,
+ * or in UTC when no valid time zone is given.
+ * @param {Date} date - The instant
+ * @param {string|null} timeZone - IANA time zone name
+ * @returns {string}
+ */
+export function formatIsoDateTime(date, timeZone) {
+  if (!isValidTimeZone(timeZone)) {
+    return date.toISOString().replace(/\.\d{3}/, '');
+  }
+  const { year, month, day, hour, minute, second } = getLocalParts(date, timeZone);
+  const offset = formatOffset(getTimeZoneOffset(date, timeZone));
+  return `${pad(year, 4)}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}:${pad(second)}${offset.slice(0, 3)}:${offset.slice(3)}`;
+}
+
+/**
+ * Formats a date-time property, with a TZID when a valid time zone is given and in UTC otherwise.
+ * @param {string} name - Property name, e.g. DTSTART
+ * @param {Date} date - The instant
+ * @param {string|null} timeZone - IANA time zone name
+ * @returns {string} The content line, e.g. DTSTART;TZID=America/New_York:20250920T150000
+ */
+export function formatDateTimeProperty(name, date, timeZone) {
+  if (isValidTimeZone(timeZone)) {
+    return rawProperty(name, formatLocalDateTime(date, timeZone), { TZID: timeZone });
+  }
+  return rawProperty(name, formatUtcDateTime(date));
+}
+
+/**
+ * Formats a UTC offset in minutes as +HHMM / -HHMM.
+ */
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const absolute = Math.abs(minutes);
+  return `${sign}${pad(Math.floor(absolute / 60))}${pad(absolute % 60)}`;
+}
+
+/**
+ * Gets the short name of a time zone at an instant, e.g. EDT.
+ */
+function getAbbreviation(date, timeZone) {
+  const part = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' })
+    .formatToParts(date)
+    .find(({ type }) => type === 'timeZoneName');
+  return part ? part.value : formatOffset(getTimeZoneOffset(date, timeZone));
+}
+
+/**
+ * Finds the UTC offset changes of a time zone within a calendar year.
+ * @param {string} timeZone - IANA time zone name
+ * @param {number} year - The year to scan
+ * @returns {Array<{at: Date, offsetFrom: number, offsetTo: number}>} Transitions in order
+ */
+export function findTransitions(timeZone, year) {
+  const transitions = [];
+  const day = 24 * 60 * 60 * 1000;
+  const end = Date.UTC(year + 1, 0, 1);
+
+  let previous = Date.UTC(year, 0, 1);
+  let previousOffset = getTimeZoneOffset(new Date(previous), timeZone);
+
+  for (let time = previous + day; time <= end; time += day) {
+    const offset = getTimeZoneOffset(new Date(time), timeZone);
+    if (offset !== previousOffset) {
+      // Narrow the change down to the minute
+      let low = previous;
+      let high = time;
+      while (high - low > 60000) {
+        const middle = low + Math.floor((high - low) / 120000) * 60000;
+        if (getTimeZoneOffset(new Date(middle), timeZone) === previousOffset) {
+          low = middle;
+        } else {
+          high = middle;
+        }
+      }
+      transitions.push({ at: new Date(high), offsetFrom: previousOffset, offsetTo: offset });
+    }
+    previous = time;
+    previousOffset = offset;
+  }
+
+  return transitions;
+}
+
+/**
+ * Describes a transition as a yearly rule: month, weekday position and local time.
+ */
+function describeTransition(transition) {
+  const local = getLocalParts(new Date(transition.at.getTime() + transition.offsetFrom * 60000), 'UTC');
+  const weekday = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'][new Date(Date.UTC(local.year, local.month - 1, local.day)).getUTCDay()];
+  const daysInMonth = new Date(Date.UTC(local.year, local.month, 0)).getUTCDate();
+  const position = local.day + 7 > daysInMonth ? -1 : Math.ceil(local.day / 7);
+
+  return {
+    local,
+    rule: `BYMONTH=${local.month};BYDAY=${position}${weekday}`,
+    time: `${pad(local.hour)}${pad(local.minute)}${pad(local.second)}`,
+  };
+}
+
+/**
+ * Generates a VTIMEZONE component covering a range of years.
+ * Transitions that follow the same yearly rule across the whole range are written
+ * as one observance with an RRULE; anything irregular gets one observance per change.
+ * @param {string} timeZone - IANA time zone name
+ * @param {number} fromYear - First year events fall in
+ * @param {number} toYear - Last year events fall in
+ * @returns {string[]} Content lines, BEGIN:VTIMEZONE through END:VTIMEZONE
+ */
+export function generateVTimezone(timeZone, fromYear, toYear) {
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+
+  // Start a year early so events before the first change of fromYear are covered
+  const transitions = [];
+  for (let year = fromYear - 1; year <= toYear; year++) {
+    transitions.push(...findTransitions(timeZone, year));
+  }
+
+  if (transitions.length === 0) {
+    const date = new Date(Date.UTC(fromYear, 0, 1));
+    const offset = formatOffset(getTimeZoneOffset(date, timeZone));
+    lines.push(
+      'BEGIN:STANDARD',
+      'DTSTART:19700101T000000',
+      `TZOFFSETFROM:${offset}`,
+      `TZOFFSETTO:${offset}`,
+      property('TZNAME', getAbbreviation(date, timeZone)),
+      'END:STANDARD',
+    );
+    lines.push('END:VTIMEZONE');
+    return lines;
+  }
+
+  const observance = (transition, described, rrule) => {
+    const type = transition.offsetTo > transition.offsetFrom ? 'DAYLIGHT' : 'STANDARD';
+    const observanceLines = [
+      `BEGIN:${type}`,
+      `DTSTART:${formatParts(described.local)}`,
+      `TZOFFSETFROM:${formatOffset(transition.offsetFrom)}`,
+      `TZOFFSETTO:${formatOffset(transition.offsetTo)}`,
+      property('TZNAME', getAbbreviation(transition.at, timeZone)),
+    ];
+    if (rrule) observanceLines.push(rrule);
+    observanceLines.push(`END:${type}`);
+    return observanceLines;
+  };
+
+  // Group transitions that share offsets, then check whether each group follows one yearly rule
+  const groups = new Map();
+  for (const transition of transitions) {
+    const key = `${transition.offsetFrom}/${transition.offsetTo}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push({ transition, described: describeTransition(transition) });
+  }
+
+  const yearCount = toYear - fromYear + 2;
+  for (const group of groups.values()) {
+    const [first] = group;
+    const regular = group.length === yearCount && group.every(({ described }) =>
+      described.rule === first.described.rule && described.time === first.described.time
+    );
+
+    if (regular) {
+      lines.push(...observance(first.transition, first.described, `RRULE:FREQ=YEARLY;${first.described.rule}`));
+    } else {
+      for (const { transition, described } of group) {
+        lines.push(...observance(transition, described));
+      }
+    }
+  }
+
+  lines.push('END:VTIMEZONE');
+  return lines;
+}
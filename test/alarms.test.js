@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildAlarms, formatTriggerDuration, getEventCategory, normalizeAlarmSettings } from '../src/alarms.js';
+
+const game = {
+  is_game: true,
+  label: 'Exhibition',
+  start_date: '2025-09-20T19:00:00Z',
+  arrival_date: '2025-09-20T18:30:00Z',
+  minutes_to_arrive_early: 30,
+};
+
+test('categorizes events', () => {
+  assert.equal(getEventCategory(game), 'game');
+  assert.equal(getEventCategory({ is_game: true, label: 'Tournament' }), 'tournament');
+  assert.equal(getEventCategory({ is_game: false, label: 'Practice' }), 'practice');
+  assert.equal(getEventCategory({ is_game: false, formatted_title: 'Team Party' }), 'other');
+});
+
+test('formats trigger durations', () => {
+  assert.equal(formatTriggerDuration(0), 'PT0M');
+  assert.equal(formatTriggerDuration(30), '-PT30M');
+  assert.equal(formatTriggerDuration(90), '-PT1H30M');
+  assert.equal(formatTriggerDuration(1440), '-P1D');
+  assert.equal(formatTriggerDuration(1530), '-P1DT1H30M');
+});
+
+test('normalizes settings from the settings page', () => {
+  assert.deepEqual(normalizeAlarmSettings({
+    game: [{ minutes: '30', relativeTo: 'arrival' }, { minutes: 'soon' }],
+    practice: 'none',
+  }), {
+    game: [{ minutes: 30, relativeTo: 'arrival' }],
+    tournament: [],
+    practice: [],
+    other: [],
+  });
+});
+
+test('offsets arrival reminders from the event start', () => {
+  const settings = normalizeAlarmSettings({ game: [{ minutes: 30, relativeTo: 'arrival' }, { minutes: 1440 }] });
+  const lines = buildAlarms(game, settings, { startDate: new Date(game.start_date), title: 'Leafs vs. Knights' });
+
+  assert.deepEqual(lines, [
+    'BEGIN:VALARM',
+    'ACTION:DISPLAY',
+    'DESCRIPTION:Arrival: Leafs vs. Knights',
+    'TRIGGER:-PT1H',
+    'END:VALARM',
+    'BEGIN:VALARM',
+    'ACTION:DISPLAY',
+    'DESCRIPTION:Leafs vs. Knights',
+    'TRIGGER:-P1D',
+    'END:VALARM',
+  ]);
+});
+
+test('uses minutes_to_arrive_early when arrival_date is missing', () => {
+  const settings = normalizeAlarmSettings({ game: [{ minutes: 15, relativeTo: 'arrival' }] });
+  const event = { ...game, arrival_date: null, minutes_to_arrive_early: 45 };
+  const lines = buildAlarms(event, settings, { startDate: new Date(event.start_date), title: 'Game' });
+
+  assert.ok(lines.includes('TRIGGER:-PT1H'));
+});
+
+test('counts back from the real start when DTSTART is the arrival time', () => {
+  const settings = normalizeAlarmSettings({ game: [{ minutes: 30 }, { minutes: 15, relativeTo: 'arrival' }] });
+  const lines = buildAlarms(game, settings, { startDate: new Date(game.arrival_date), title: 'Game' });
+
+  assert.deepEqual(lines.filter(line => line.startsWith('TRIGGER')), ['TRIGGER:PT0M', 'TRIGGER:-PT15M']);
+});
+
+test('skips practices without reminders and cancelled events', () => {
+  const settings = normalizeAlarmSettings({ game: [{ minutes: 30 }] });
+
+  assert.deepEqual(buildAlarms({ label: 'Practice' }, settings, { startDate: new Date(), title: 'Practice' }), []);
+  assert.deepEqual(buildAlarms({ ...game, is_canceled: true }, settings, { startDate: new Date(), title: 'Game' }), []);
+});
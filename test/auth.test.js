@@ -0,0 +1,243 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import worker from '../index.js';
+import { SESSION_MAX_AGE, createCodeChallenge, isEmailAllowed, parseCookies, signSession, timingSafeEqual, verifySession } from '../src/auth.js';
+import { createKV, mockTeamSnap, signIn, startSignIn } from './helpers/mock-env.js';
+
+test('verifies signed sessions and rejects tampered or expired ones', async () => {
+  const session = { userId: 1, email: 'coach@example.com', issuedAt: Date.now() };
+  const cookie = await signSession(session, 'secret');
+
+  assert.deepEqual(await verifySession(cookie, 'secret'), session);
+  assert.equal(await verifySession(cookie, 'other-secret'), null);
+  assert.equal(await verifySession(`${cookie.split('.')[0]}x.${cookie.split('.')[1]}`, 'secret'), null);
+  assert.equal(await verifySession('not-a-session', 'secret'), null);
+  assert.equal(await verifySession(cookie, 'secret', session.issuedAt + SESSION_MAX_AGE * 1000 + 1), null);
+});
+
+test('matches emails and @domains on the allowlist', () => {
+  const allowlist = 'coach@example.com, @Leafs.example  manager@tigers.example';
+  assert.ok(isEmailAllowed('Coach@Example.com', allowlist));
+  assert.ok(isEmailAllowed('anyone@leafs.example', allowlist));
+  assert.ok(isEmailAllowed('manager@tigers.example', allowlist));
+  assert.ok(!isEmailAllowed('someone@notleafs.example', allowlist));
+  assert.ok(!isEmailAllowed('other@example.com', allowlist));
+  assert.ok(!isEmailAllowed('coach@example.com', ''));
+});
+
+test('compares tokens and derives PKCE challenges', async () => {
+  assert.equal(timingSafeEqual('abc', 'abc'), true);
+  assert.equal(timingSafeEqual('abc', 'abd'), false);
+  assert.equal(timingSafeEqual('abc', 'abcd'), false);
+  assert.equal(timingSafeEqual('', ''), false);
+  assert.equal(timingSafeEqual(null, undefined), false);
+
+  // RFC 7636 appendix B
+  assert.equal(await createCodeChallenge('dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk'), 'E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM');
+});
+
+test('parses cookie headers', () => {
+  assert.deepEqual(parseCookies('a=1; calsnap_session=abc.def; b=x=y'), { a: '1', calsnap_session: 'abc.def', b: 'x=y' });
+  assert.deepEqual(parseCookies(null), {});
+});
+
+let kv;
+let env;
+let teamSnap;
+
+beforeEach(() => {
+  kv = createKV();
+  env = { CALSNAP_CALENDAR_STORE: kv, TEAMSNAP_CLIENT_SECRET: 'client-secret', ALLOWED_USER_EMAIL: 'coach@example.com, @leafs.example' };
+
+  teamSnap = mockTeamSnap({
+    user: { id: 1, email: 'coach@example.com' },
+    teams: [
+      { id: 10, name: 'North Toronto Leafs', time_zone_iana_name: 'America/Toronto', user_ids: [1, 2] },
+      { id: 20, name: 'East York Tigers', time_zone_iana_name: 'America/Toronto', user_ids: [2] },
+    ],
+    events: [
+      { id: 1, team_id: 10, is_game: true, opponent_name: 'Knights', start_date: '2030-09-20T19:00:00Z', time_zone_iana_name: 'America/Toronto', updated_at: '2030-08-01T12:00:00Z' },
+    ],
+  });
+});
+
+afterEach(() => {
+  teamSnap.restore();
+});
+
+const api = (session, method, path, body) => worker.fetch(new Request(`https://calsnap.test${path}`, {
+  method,
+  headers: { 'Content-Type': 'application/json', ...(session ? { Cookie: session.cookie, 'X-CSRF-Token': session.csrfToken } : {}) },
+  body: body ? JSON.stringify(body) : undefined,
+}), env, {});
+
+const signInAs = async (user) => {
+  teamSnap.user = user;
+  return signIn(worker, env);
+};
+
+const callback = (query, cookie) => worker.fetch(
+  new Request(`https://calsnap.test/auth-callback?${query}`, { headers: cookie ? { Cookie: cookie } : {} }),
+  env,
+  {}
+);
+
+test('signs in several allowlisted users with their own tokens', async () => {
+  const coach = await signInAs({ id: 1, email: 'coach@example.com' });
+  const manager = await signInAs({ id: 2, email: 'manager@leafs.example' });
+
+  assert.ok(await kv.get('oauth_access_token_1'));
+  assert.ok(await kv.get('oauth_refresh_token_2'));
+  assert.equal(await kv.get('oauth_access_token'), null);
+
+  const coachTeams = (await (await api(coach, 'GET', '/api/teams')).json()).teams;
+  const managerTeams = (await (await api(manager, 'GET', '/api/teams')).json()).teams;
+  assert.deepEqual(coachTeams.map(team => team.id), [10]);
+  assert.deepEqual(managerTeams.map(team => team.id), [10, 20]);
+  assert.notEqual(coachTeams[0].calendars.all, managerTeams[0].calendars.all);
+});
+
+test('refuses accounts that are not on the allowlist', async () => {
+  teamSnap.user = { id: 3, email: 'parent@example.org' };
+  const { state, cookie } = await startSignIn(worker, env);
+  const response = await callback(`code=test-code&state=${state}`, cookie);
+
+  assert.equal(response.status, 403);
+  assert.equal(response.headers.get('Set-Cookie'), null);
+  assert.equal(await kv.get('oauth_access_token_3'), null);
+});
+
+test('requires a valid session for the API', async () => {
+  const coach = await signInAs({ id: 1, email: 'coach@example.com' });
+  const [payload, signature] = coach.cookie.split('=')[1].split('.');
+
+  assert.equal((await api(null, 'GET', '/api/teams')).status, 401);
+  assert.equal((await api({ cookie: `calsnap_session=${payload}x.${signature}` }, 'GET', '/api/teams')).status, 401);
+
+  // Removing someone from the allowlist ends their session
+  env.ALLOWED_USER_EMAIL = '@leafs.example';
+  assert.equal((await api(coach, 'GET', '/api/teams')).status, 401);
+});
+
+test('only lets users manage their own teams and links', async () => {
+  const coach = await signInAs({ id: 1, email: 'coach@example.com' });
+  const manager = await signInAs({ id: 2, email: 'manager@leafs.example' });
+
+  assert.equal((await api(coach, 'GET', '/api/team-settings?teamId=20')).status, 403);
+  assert.equal((await api(coach, 'POST', '/api/team-settings', { teamId: 20, customName: 'Mine' })).status, 403);
+  assert.equal((await api(manager, 'GET', '/api/team-settings?teamId=20')).status, 200);
+
+  const { feeds } = (await (await api(coach, 'GET', '/api/teams')).json()).teams[0];
+  const token = JSON.parse(await kv.get(`calendar_token:${feeds.all.tokens[0].token}`));
+  assert.equal(token.userId, 1);
+
+  const response = await api(manager, 'POST', '/api/calendar-tokens', { calendar: feeds.all.id, label: 'Not mine' });
+  assert.equal(response.status, 404);
+});
+
+test('generates each link with the TeamSnap access of the user who issued it', async () => {
+  const coach = await signInAs({ id: 1, email: 'coach@example.com' });
+  const manager = await signInAs({ id: 2, email: 'manager@leafs.example' });
+  const coachUrl = (await (await api(coach, 'GET', '/api/teams')).json()).teams[0].calendars.all;
+  const managerUrl = (await (await api(manager, 'GET', '/api/teams')).json()).teams[0].calendars.all;
+
+  // The manager's TeamSnap access lapses
+  await kv.delete('oauth_access_token_2');
+  await kv.delete('oauth_refresh_token_2');
+
+  assert.equal((await worker.fetch(new Request(coachUrl), env, {})).status, 200);
+  assert.equal((await worker.fetch(new Request(managerUrl), env, {})).status, 401);
+});
+
+test('previews templates with the TeamSnap access of the signed-in user', async () => {
+  teamSnap.locations.push({ id: 500, name: 'Canlan', address: '989 Lawrence Ave E', city: 'Toronto', updated_at: '2030-08-01T12:00:00Z' });
+  teamSnap.events[0].location_id = 500;
+  teamSnap.events[0].location_name = 'Canlan';
+  const coach = await signInAs({ id: 1, email: 'coach@example.com' });
+  assert.equal(await kv.get('oauth_access_token'), null);
+
+  const response = await api(coach, 'POST', '/api/template-preview', { teamId: 10, templates: { gameDescription: 'At {location.full_address}' } });
+  assert.equal(response.status, 200);
+  const { previews } = await response.json();
+  assert.equal(previews[0].description, 'At 989 Lawrence Ave E Toronto');
+});
+
+test('sends OAuth state and a PKCE challenge, and checks both on the callback', async () => {
+  const { location, state, cookie } = await startSignIn(worker, env);
+  assert.equal(location.searchParams.get('code_challenge_method'), 'S256');
+  assert.match(state, /^[\w-]{43}$/);
+  assert.match(cookie, /^calsnap_oauth_state=/);
+
+  // No state, a state from another browser, or no state cookie
+  assert.equal((await callback('code=test-code', cookie)).status, 400);
+  assert.equal((await callback('code=test-code&state=forged', 'calsnap_oauth_state=forged')).status, 400);
+  assert.equal((await callback(`code=test-code&state=${state}`)).status, 400);
+  assert.deepEqual(teamSnap.tokenRequests, []);
+
+  const response = await callback(`code=test-code&state=${state}`, cookie);
+  assert.equal(response.status, 302);
+  const [request] = teamSnap.tokenRequests;
+  assert.equal(await createCodeChallenge(request.code_verifier), location.searchParams.get('code_challenge'));
+  assert.ok(response.headers.getSetCookie().some(value => value.startsWith('calsnap_oauth_state=; Max-Age=0')));
+
+  // Each state works once
+  assert.equal((await callback(`code=test-code&state=${state}`, cookie)).status, 400);
+});
+
+test('requires the CSRF token for changes', async () => {
+  const coach = await signInAs({ id: 1, email: 'coach@example.com' });
+  const { csrfToken } = await (await api(coach, 'GET', '/api/teams')).json();
+  assert.equal(csrfToken, coach.csrfToken);
+
+  const settings = { teamId: 10, customName: 'Leafs' };
+  assert.equal((await api({ cookie: coach.cookie }, 'POST', '/api/team-settings', settings)).status, 403);
+  assert.equal((await api({ ...coach, csrfToken: 'wrong' }, 'POST', '/api/team-settings', settings)).status, 403);
+  assert.equal((await api({ cookie: coach.cookie }, 'GET', '/api/team-settings?teamId=10')).status, 200);
+  assert.equal((await api(coach, 'POST', '/api/team-settings', settings)).status, 200);
+
+  // Another user's token does not work either
+  const manager = await signInAs({ id: 2, email: 'manager@leafs.example' });
+  assert.equal((await api({ ...coach, csrfToken: manager.csrfToken }, 'POST', '/api/team-settings', settings)).status, 403);
+});
+
+test('signs out by revoking and deleting the stored tokens', async () => {
+  const coach = await signInAs({ id: 1, email: 'coach@example.com' });
+  const manager = await signInAs({ id: 2, email: 'manager@leafs.example' });
+  const accessToken = await kv.get('oauth_access_token_1');
+  const refreshToken = await kv.get('oauth_refresh_token_1');
+
+  assert.equal((await api({ cookie: coach.cookie }, 'POST', '/logout')).status, 403);
+  assert.equal((await api(coach, 'GET', '/logout')).status, 405);
+  assert.deepEqual(teamSnap.revoked, []);
+
+  const response = await api(coach, 'POST', '/logout');
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('Set-Cookie'), /^calsnap_session=; Max-Age=0/);
+  assert.deepEqual(teamSnap.revoked, [accessToken, refreshToken]);
+  for (const key of ['oauth_access_token_1', 'oauth_refresh_token_1', 'oauth_expires_at_1', 'oauth_user_info_1', 'team_ids_1']) {
+    assert.equal(await kv.get(key), null);
+  }
+
+  assert.equal((await api(coach, 'GET', '/api/teams')).status, 401);
+  assert.equal((await api(manager, 'GET', '/api/teams')).status, 200);
+
+  // A copy of the old cookie stays signed out after signing in again
+  const again = await signInAs({ id: 1, email: 'coach@example.com' });
+  assert.equal((await api(again, 'GET', '/api/teams')).status, 200);
+  assert.equal((await api(coach, 'GET', '/api/teams')).status, 401);
+});
+
+test('only stores OAuth state when sign-in starts', async () => {
+  const oauthStates = () => [...kv.entries.keys()].filter(key => key.startsWith('oauth_state:'));
+
+  const root = await worker.fetch(new Request('https://calsnap.test/'), env, {});
+  assert.equal(root.status, 302);
+  assert.equal(root.headers.get('Location'), 'https://calsnap.test/login');
+  assert.equal((await worker.fetch(new Request('https://calsnap.test/settings'), env, {})).headers.get('Location'), 'https://calsnap.test/login');
+  assert.equal((await worker.fetch(new Request('https://calsnap.test/wp-login.php'), env, {})).status, 404);
+  assert.deepEqual(oauthStates(), []);
+
+  await startSignIn(worker, env);
+  assert.equal(oauthStates().length, 1);
+});
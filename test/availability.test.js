@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import worker from '../index.js';
+import {
+  buildAttendeeProperties,
+  formatAvailabilitySummary,
+  getAvailabilityStatus,
+  getOwnAvailability,
+  normalizeAvailabilityOptions,
+  summarizeAvailability,
+} from '../src/availability.js';
+import { createKV, mockTeamSnap } from './helpers/mock-env.js';
+import { unfoldLines } from '../src/ics.js';
+
+const replies = [
+  { event_id: 1, member_id: 101, status_code: 1 },
+  { event_id: 1, member_id: 102, status_code: 1 },
+  { event_id: 1, member_id: 103, status_code: 0 },
+  { event_id: 1, member_id: 104, status_code: null },
+  { event_id: 1, member_id: 105, status_code: 2 },
+];
+
+test('maps TeamSnap status codes to replies', () => {
+  assert.equal(getAvailabilityStatus({ status_code: 1 }), 'going');
+  assert.equal(getAvailabilityStatus({ status_code: 0 }), 'out');
+  assert.equal(getAvailabilityStatus({ status_code: 2 }), 'maybe');
+  assert.equal(getAvailabilityStatus({ status_code: null }), 'noReply');
+});
+
+test('summarizes replies, listing maybe only when present', () => {
+  const counts = summarizeAvailability(replies);
+  assert.deepEqual(counts, { going: 2, maybe: 1, out: 1, noReply: 1 });
+  assert.equal(formatAvailabilitySummary(counts), 'Going: 2 · Maybe: 1 · Out: 1 · No reply: 1');
+  assert.equal(formatAvailabilitySummary({ going: 12, maybe: 0, out: 3, noReply: 2 }), 'Going: 12 · Out: 3 · No reply: 2');
+});
+
+test('finds the signed-in user\'s reply', () => {
+  assert.equal(getOwnAvailability(replies, new Set(['103'])), 'out');
+  assert.equal(getOwnAvailability(replies, new Set(['101', '104'])), 'noReply');
+  assert.equal(getOwnAvailability(replies, new Set(['999'])), null);
+});
+
+test('builds an ATTENDEE with PARTSTAT', () => {
+  assert.deepEqual(
+    buildAttendeeProperties('maybe', { name: 'Pat Coach', email: 'coach@example.com' }),
+    ['ATTENDEE;CN=Pat Coach;ROLE=REQ-PARTICIPANT;PARTSTAT=TENTATIVE:mailto:coach@example.com']
+  );
+  assert.deepEqual(buildAttendeeProperties('going', { name: 'No Email' }), []);
+});
+
+test('normalizes options from the settings page', () => {
+  assert.deepEqual(normalizeAvailabilityOptions({ own: 'partstat', summary: 'yes' }), { own: 'partstat', summary: true });
+  assert.deepEqual(normalizeAvailabilityOptions({ own: 'everything' }), { own: 'off', summary: false });
+});
+
+test('shows availability in the feed and refreshes when a reply changes', async () => {
+  const kv = createKV();
+  const env = { CALSNAP_CALENDAR_STORE: kv };
+  await kv.put('oauth_access_token', 'access-token');
+  await kv.put('calendar_token:leafs-all', JSON.stringify({ teamId: 10, filterType: 'all' }));
+  await kv.put('availability_options_10', JSON.stringify({ own: 'title', summary: true }));
+
+  const teamSnap = mockTeamSnap({
+    user: { id: 7, email: 'coach@example.com', first_name: 'Pat', last_name: 'Coach' },
+    team: { id: 10, name: 'Leafs' },
+    events: [
+      { id: 1, is_game: false, name: 'Practice', tracks_availability: true, start_date: '2030-09-20T19:00:00Z', updated_at: '2030-08-01T12:00:00Z' },
+      { id: 2, is_game: false, name: 'Team Party', tracks_availability: false, start_date: '2030-09-21T19:00:00Z', updated_at: '2030-08-01T12:00:00Z' },
+    ],
+    availabilities: replies.map(reply => ({ ...reply, updated_at: '2030-08-02T12:00:00Z' })),
+    members: [{ id: 104, user_id: 7 }, { id: 101, user_id: 8 }],
+  });
+
+  try {
+    const fetchFeed = async () => {
+      await worker.scheduled({}, env, {});
+      return unfoldLines(await kv.get('calendar_team_10_all'));
+    };
+
+    let lines = await fetchFeed();
+    assert.ok(lines.includes('SUMMARY:○ Practice'));
+    assert.ok(lines.includes('SUMMARY:Team Party'));
+    assert.ok(lines.some(line => line.startsWith('DESCRIPTION:') && line.includes('Going: 2 · Maybe: 1 · Out: 1 · No reply: 1')));
+
+    teamSnap.availabilities[3] = { ...teamSnap.availabilities[3], status_code: 1, updated_at: '2030-08-03T12:00:00Z' };
+    lines = await fetchFeed();
+    assert.ok(lines.includes('SUMMARY:✓ Practice'));
+  } finally {
+    teamSnap.restore();
+  }
+});
@@ -0,0 +1,234 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import worker from '../index.js';
+import { buildWebhookPayload, describeChange, detectChanges, mergeChangeLog, validateWebhook } from '../src/changes.js';
+import { createKV, mockTeamSnap, signIn } from './helpers/mock-env.js';
+
+const NOW = Date.parse('2030-09-15T12:00:00Z');
+
+const event = (fields) => ({
+  id: '1',
+  title: 'Leafs vs. Knights',
+  start: '2030-09-20T15:00:00-04:00',
+  end: '2030-09-20T16:00:00-04:00',
+  location: 'Canlan',
+  address: null,
+  cancelled: false,
+  ...fields,
+});
+
+test('finds added, removed, rescheduled, relocated and cancelled events', () => {
+  const previous = [
+    event({}),
+    event({ id: '2', title: 'Practice', start: '2030-09-21T10:00:00-04:00', end: '2030-09-21T11:00:00-04:00' }),
+    event({ id: '3', title: 'Leafs vs. Jets', start: '2030-09-27T15:00:00-04:00', end: '2030-09-27T16:00:00-04:00' }),
+    event({ id: '4', title: 'Team Photo', start: '2030-09-28T15:00:00-04:00', end: '2030-09-28T16:00:00-04:00' }),
+  ];
+  const events = [
+    event({ start: '2030-09-20T16:00:00-04:00', end: '2030-09-20T17:00:00-04:00', location: 'Memorial Arena' }),
+    event({ id: '3', title: 'CANCELLED: Leafs vs. Jets', start: '2030-09-27T15:00:00-04:00', end: '2030-09-27T16:00:00-04:00', cancelled: true }),
+    event({ id: '4', title: 'Team Photo', start: '2030-09-28T19:00:00Z', end: '2030-09-28T20:00:00Z' }),
+    event({ id: '5', title: 'Leafs vs. Lynx', start: '2030-10-04T15:00:00-04:00', end: '2030-10-04T16:00:00-04:00' }),
+  ];
+
+  const changes = detectChanges(previous, events, { now: NOW });
+  assert.deepEqual(changes.map(change => [change.type, change.eventId]), [
+    ['rescheduled', '1'],
+    ['relocated', '1'],
+    ['cancelled', '3'],
+    ['added', '5'],
+    ['removed', '2'],
+  ]);
+  assert.deepEqual(changes[0].previous, { start: '2030-09-20T15:00:00-04:00', end: '2030-09-20T16:00:00-04:00', allDay: false, location: 'Canlan' });
+
+  // Calendars that leave cancelled events out report them as cancelled, not removed
+  const [left] = detectChanges(previous.slice(1, 2), [], { cancelledIds: ['2'], now: NOW });
+  assert.equal(left.type, 'cancelled');
+});
+
+test('ignores events that are over', () => {
+  const past = event({ start: '2030-09-01T15:00:00-04:00', end: '2030-09-01T16:00:00-04:00' });
+  assert.deepEqual(detectChanges([past], [], { now: NOW }), []);
+  assert.deepEqual(detectChanges([], [past], { now: NOW }), []);
+  assert.deepEqual(detectChanges([past], [{ ...past, location: 'Rinx' }], { now: NOW }), []);
+});
+
+test('describes changes in one line', () => {
+  const [rescheduled, relocated] = detectChanges([event({})], [event({ start: '2030-09-20T16:00:00-04:00', end: '2030-09-20T17:00:00-04:00', location: 'Memorial Arena' })], { now: NOW });
+  assert.equal(describeChange(rescheduled), 'Rescheduled: Leafs vs. Knights · now Fri, Sep 20 at 4:00 PM (was 3:00 PM)');
+  assert.equal(describeChange(relocated), 'New location: Leafs vs. Knights · Fri, Sep 20 at 4:00 PM at Memorial Arena (was Canlan)');
+
+  const [moved] = detectChanges([event({})], [event({ start: '2030-09-21T15:00:00-04:00' })], { now: NOW });
+  assert.equal(describeChange(moved), 'Rescheduled: Leafs vs. Knights · now Sat, Sep 21 at 3:00 PM (was Fri, Sep 20 at 3:00 PM)');
+
+  const [cancelled] = detectChanges([event({})], [event({ title: 'CANCELLED: Leafs vs. Knights', cancelled: true })], { now: NOW });
+  assert.equal(describeChange(cancelled), 'Cancelled: Leafs vs. Knights · Fri, Sep 20 at 3:00 PM');
+
+  // All-day events have no time to report
+  const tbd = event({ title: 'Leafs vs. Knights (time TBD)', start: '2030-09-20T00:00:00-04:00', end: '2030-09-21T00:00:00-04:00', allDay: true });
+  const [timeSet] = detectChanges([tbd], [event({})], { now: NOW });
+  assert.equal(describeChange(timeSet), 'Rescheduled: Leafs vs. Knights · now Fri, Sep 20 at 3:00 PM (was all day)');
+  const [added] = detectChanges([], [tbd], { now: NOW });
+  assert.equal(describeChange(added), 'Added: Leafs vs. Knights (time TBD) · Fri, Sep 20');
+});
+
+test('keeps the newest changes in the log', () => {
+  const log = mergeChangeLog([{ type: 'added', detectedAt: 1 }], Array.from({ length: 120 }, () => ({ type: 'removed' })), 2);
+  assert.equal(log.length, 100);
+  assert.equal(log[0].detectedAt, 2);
+});
+
+test('builds generic, Slack and Discord payloads', () => {
+  const changes = detectChanges([], [event({ title: 'Leafs vs. <Knights> @everyone' })], { now: NOW });
+
+  const json = buildWebhookPayload('json', { calendarName: 'Leafs', changes });
+  assert.equal(json.calendar, 'Leafs');
+  assert.equal(json.changes[0].type, 'added');
+  assert.equal(json.changes[0].message, 'Added: Leafs vs. <Knights> @everyone · Fri, Sep 20 at 3:00 PM');
+
+  const slack = buildWebhookPayload('slack', { calendarName: 'Leafs', changes });
+  assert.equal(slack.text, '*Leafs: 1 schedule change*\n• Added: Leafs vs. &lt;Knights&gt; @everyone · Fri, Sep 20 at 3:00 PM');
+
+  const discord = buildWebhookPayload('discord', { calendarName: 'Leafs', changes });
+  assert.ok(discord.content.startsWith('**Leafs: 1 schedule change**\n• Added:'));
+  assert.deepEqual(discord.allowed_mentions, { parse: [] });
+});
+
+test('accepts only https webhooks in a known format', () => {
+  assert.equal(validateWebhook({ url: 'https://hooks.slack.com/services/T0/B0/x', format: 'slack' }), null);
+  assert.equal(validateWebhook({ url: 'http://example.com/hook' }), 'Webhook URLs must start with https://');
+  assert.equal(validateWebhook({ url: 'not a url' }), 'Enter the webhook URL');
+  assert.equal(validateWebhook({ url: 'https://example.com/hook', format: 'teams' }), 'Unknown webhook format: teams');
+});
+
+let kv;
+let env;
+let teamSnap;
+let session;
+
+beforeEach(async () => {
+  kv = createKV();
+  env = { CALSNAP_CALENDAR_STORE: kv, TEAMSNAP_CLIENT_SECRET: 'client-secret', ALLOWED_USER_EMAIL: 'coach@example.com' };
+  await kv.put('custom_team_name_10', 'Leafs');
+
+  const teamSnapEvent = (fields) => ({ time_zone_iana_name: 'America/Toronto', updated_at: '2030-08-01T12:00:00Z', ...fields });
+  teamSnap = mockTeamSnap({
+    team: { id: 10, name: 'North Toronto Leafs', time_zone_iana_name: 'America/Toronto' },
+    events: [
+      teamSnapEvent({ id: 1, is_game: true, opponent_name: 'Knights', start_date: '2030-09-20T19:00:00Z', end_date: '2030-09-20T20:00:00Z', location_name: 'Canlan' }),
+      teamSnapEvent({ id: 2, name: 'Practice', start_date: '2030-09-21T14:00:00Z', end_date: '2030-09-21T15:00:00Z' }),
+    ],
+  });
+
+  session = await signIn(worker, env);
+});
+
+afterEach(() => {
+  teamSnap.restore();
+});
+
+const api = (method, path, body) => worker.fetch(new Request(`https://calsnap.test${path}`, {
+  method,
+  headers: { 'Content-Type': 'application/json', Cookie: session.cookie, 'X-CSRF-Token': session.csrfToken },
+  body: body ? JSON.stringify(body) : undefined,
+}), env, {});
+
+test('logs schedule changes and sends them to the team webhooks', async () => {
+  const { teams } = await (await api('GET', '/api/teams')).json();
+  const feedUrl = teams[0].calendars.all;
+  await worker.fetch(new Request(feedUrl), env, {});
+
+  const saved = await api('POST', '/api/webhooks', { teamId: 10, url: 'https://hooks.example.com/slack', format: 'slack', calendar: 'all' });
+  assert.equal(saved.status, 200);
+  await api('POST', '/api/webhooks', { teamId: 10, url: 'https://hooks.example.com/games', calendar: 'games' });
+
+  // A last-minute venue swap in TeamSnap
+  teamSnap.events[0].location_name = 'Memorial Arena';
+  teamSnap.events[0].updated_at = '2030-08-02T12:00:00Z';
+  await worker.fetch(new Request(`${feedUrl}?refresh=true`), env, {});
+
+  const { changes } = await (await api('GET', '/api/changes?teamId=10')).json();
+  assert.equal(changes.length, 1);
+  assert.equal(changes[0].type, 'relocated');
+  assert.match(changes[0].message, /^New location: Leafs vs\. Knights · .* at Memorial Arena \(was Canlan\)$/);
+
+  // Only the webhook for the calendar that changed is called; the games calendar has not been rendered yet
+  assert.equal(teamSnap.webhooks.length, 1);
+  assert.equal(teamSnap.webhooks[0].url, 'https://hooks.example.com/slack');
+  assert.match(teamSnap.webhooks[0].body.text, /^\*Leafs: 1 schedule change\*\n• New location:/);
+});
+
+test('sends each change to a webhook once', async () => {
+  const { teams } = await (await api('GET', '/api/teams')).json();
+  const feedUrl = teams[0].calendars.all;
+  await worker.fetch(new Request(feedUrl), env, {});
+  await api('POST', '/api/webhooks', { teamId: 10, url: 'https://hooks.example.com/json', format: 'json', calendar: 'all' });
+
+  const scheduleKey = [...kv.entries.keys()].find(key => key.startsWith('schedule_'));
+  const before = await kv.get(scheduleKey);
+
+  teamSnap.events[1].is_canceled = true;
+  teamSnap.events[1].updated_at = '2030-08-02T12:00:00Z';
+  await worker.fetch(new Request(`${feedUrl}?refresh=true`), env, {});
+  assert.equal(teamSnap.webhooks.length, 1);
+  assert.equal(teamSnap.webhooks[0].body.changes[0].type, 'cancelled');
+
+  // Another copy of the calendar finding the same change does not announce it again
+  await kv.put(scheduleKey, before);
+  await worker.fetch(new Request(`${feedUrl}?refresh=true`), env, {});
+  assert.equal(teamSnap.webhooks.length, 1);
+});
+
+test('sends a change once to a webhook set up for several of the team\'s calendars', async () => {
+  const { calendar } = await (await api('POST', '/api/custom-calendars', { teamId: 10, name: 'Games', filters: { types: ['game'] } })).json();
+  const { teams } = await (await api('GET', '/api/teams')).json();
+  const feedUrls = [teams[0].calendars.all, teams[0].calendars.games, calendar.url];
+  for (const feedUrl of feedUrls) await worker.fetch(new Request(feedUrl), env, {});
+  await api('POST', '/api/webhooks', { teamId: 10, url: 'https://hooks.example.com/team', calendar: 'all' });
+  await api('POST', '/api/webhooks', { teamId: 10, url: 'https://hooks.example.com/team', calendar: calendar.id });
+  await api('POST', '/api/webhooks', { teamId: 10, url: 'https://hooks.example.com/games', calendar: 'games' });
+
+  teamSnap.events[0].location_name = 'Memorial Arena';
+  teamSnap.events[0].updated_at = '2030-08-02T12:00:00Z';
+  for (const feedUrl of feedUrls) await worker.fetch(new Request(`${feedUrl}?refresh=true`), env, {});
+
+  assert.deepEqual(teamSnap.webhooks.map(webhook => webhook.url).sort(), ['https://hooks.example.com/games', 'https://hooks.example.com/team']);
+});
+
+test('announces nothing when a settings change moves or removes events', async () => {
+  const { calendar } = await (await api('POST', '/api/custom-calendars', { teamId: 10, name: 'Everything', filters: { types: ['game', 'practice'] } })).json();
+  const { teams } = await (await api('GET', '/api/teams')).json();
+  await worker.fetch(new Request(teams[0].calendars.all), env, {});
+  await worker.fetch(new Request(calendar.url), env, {});
+  await api('POST', '/api/webhooks', { teamId: 10, url: 'https://hooks.example.com/all', calendar: 'all' });
+  await api('POST', '/api/webhooks', { teamId: 10, url: 'https://hooks.example.com/custom', calendar: calendar.id });
+
+  // A correction moves the game, and the custom calendar drops practices
+  assert.equal((await api('POST', '/api/event-overrides', { teamId: 10, eventId: 1, startDate: '2030-09-20T20:00:00Z' })).status, 200);
+  assert.equal((await api('POST', '/api/custom-calendars', { teamId: 10, id: calendar.id, name: 'Games', filters: { types: ['game'] } })).status, 200);
+  assert.match(await (await worker.fetch(new Request(teams[0].calendars.all), env, {})).text(), /DTSTART;TZID=America\/Toronto:20300920T160000/);
+  assert.doesNotMatch(await (await worker.fetch(new Request(calendar.url), env, {})).text(), /SUMMARY:Practice/);
+
+  assert.equal(teamSnap.webhooks.length, 0);
+  assert.deepEqual((await (await api('GET', '/api/changes?teamId=10')).json()).changes, []);
+  assert.deepEqual((await (await api('GET', `/api/changes?teamId=10&calendar=${calendar.id}`)).json()).changes, []);
+});
+
+test('manages webhooks and rejects unknown calendars', async () => {
+  assert.equal((await api('POST', '/api/webhooks', { teamId: 10, url: 'http://hooks.example.com/x' })).status, 400);
+  assert.equal((await api('POST', '/api/webhooks', { teamId: 10, url: 'https://hooks.example.com/x', calendar: 'nope' })).status, 404);
+  assert.equal((await api('GET', '/api/changes?teamId=10&calendar=nope')).status, 404);
+  assert.deepEqual((await (await api('GET', '/api/changes?teamId=10')).json()).changes, []);
+
+  const { webhook } = await (await api('POST', '/api/webhooks', { teamId: 10, url: 'https://hooks.example.com/x', format: 'discord' })).json();
+  assert.equal(webhook.calendar, 'all');
+  const updated = await api('POST', '/api/webhooks', { teamId: 10, id: webhook.id, url: 'https://hooks.example.com/y', format: 'discord' });
+  assert.equal((await updated.json()).webhook.url, 'https://hooks.example.com/y');
+
+  const { webhooks } = await (await api('GET', '/api/webhooks?teamId=10')).json();
+  assert.equal(webhooks.length, 1);
+  assert.equal((await api('DELETE', `/api/webhooks?teamId=10&id=${webhook.id}`)).status, 200);
+  assert.equal((await api('DELETE', `/api/webhooks?teamId=10&id=${webhook.id}`)).status, 404);
+  assert.equal(await kv.get('webhooks_10'), null);
+});
@@ -0,0 +1,121 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import worker from '../index.js';
+import { unfoldLines } from '../src/ics.js';
+import { createKV, mockTeamSnap, signIn } from './helpers/mock-env.js';
+
+let kv;
+let env;
+let teamSnap;
+let session;
+
+beforeEach(async () => {
+  kv = createKV();
+  env = { CALSNAP_CALENDAR_STORE: kv, TEAMSNAP_CLIENT_SECRET: 'client-secret', ALLOWED_USER_EMAIL: 'coach@example.com' };
+  await kv.put('oauth_access_token', 'access-token');
+  await kv.put('custom_team_name_10', 'Leafs');
+  await kv.put('custom_team_name_20', 'Tigers');
+
+  const event = (fields) => ({ time_zone_iana_name: 'America/Toronto', updated_at: '2030-08-01T12:00:00Z', ...fields });
+  teamSnap = mockTeamSnap({
+    teams: [
+      { id: 10, name: 'North Toronto Leafs', time_zone_iana_name: 'America/Toronto' },
+      { id: 20, name: 'East York Tigers', time_zone_iana_name: 'America/Toronto' },
+    ],
+    events: [
+      event({ id: 1, team_id: 10, is_game: true, opponent_name: 'Knights', game_type: 'Home', start_date: '2030-09-20T19:00:00Z' }),
+      event({ id: 2, team_id: 10, name: 'Practice', start_date: '2030-09-21T14:00:00Z' }),
+      event({ id: 3, team_id: 20, name: 'Practice', start_date: '2030-09-22T14:00:00Z' }),
+      // The same club skills session on both schedules
+      event({ id: 4, team_id: 10, name: 'Skills Session', repeating_uuid: 'club-skills', location_id: 5, start_date: '2030-09-23T14:00:00Z' }),
+      event({ id: 5, team_id: 20, name: 'Skills Session', repeating_uuid: 'club-skills', location_id: 5, start_date: '2030-09-23T14:00:00Z' }),
+    ],
+  });
+
+  session = await signIn(worker, env);
+});
+
+afterEach(() => {
+  teamSnap.restore();
+});
+
+const api = (method, path, body) => worker.fetch(new Request(`https://calsnap.test${path}`, {
+  method,
+  headers: { 'Content-Type': 'application/json', Cookie: session.cookie, 'X-CSRF-Token': session.csrfToken },
+  body: body ? JSON.stringify(body) : undefined,
+}), env, {});
+
+const createCombined = async (label) => {
+  const response = await api('POST', '/api/combined-calendars', {
+    name: 'Family Hockey',
+    label,
+    sources: [
+      { teamId: 10, filterType: 'all', color: 'royalblue' },
+      { teamId: 20, filterType: 'all', color: 'darkorange' },
+    ],
+  });
+  assert.equal(response.status, 200);
+  return (await response.json()).calendar;
+};
+
+const fetchFeed = async (calendarUrl) => {
+  const response = await worker.fetch(new Request(calendarUrl), env, {});
+  assert.equal(response.status, 200);
+  return unfoldLines(await response.text());
+};
+
+test('merges several teams into one feed with team prefixes', async () => {
+  const calendar = await createCombined('prefix');
+  const lines = await fetchFeed(calendar.url);
+
+  assert.ok(lines.includes('X-WR-CALNAME:Family Hockey'));
+  assert.ok(lines.includes('SUMMARY:Leafs vs. Knights'), 'titles already naming the team are not prefixed');
+  assert.ok(lines.includes('SUMMARY:Leafs: Practice'));
+  assert.ok(lines.includes('SUMMARY:Tigers: Practice'));
+  assert.ok(!lines.some(line => line.startsWith('COLOR:')));
+
+  // The shared session appears once, labelled with both teams
+  assert.deepEqual(lines.filter(line => line.includes('Skills Session')), ['SUMMARY:Leafs / Tigers: Skills Session']);
+  assert.equal(lines.filter(line => line === 'BEGIN:VEVENT').length, 4);
+});
+
+test('colour-codes events by team', async () => {
+  const calendar = await createCombined('color');
+  const lines = await fetchFeed(calendar.url);
+
+  assert.ok(lines.includes('SUMMARY:Practice'));
+  assert.deepEqual(lines.filter(line => line.startsWith('COLOR:')).sort(), [
+    'COLOR:darkorange',
+    'COLOR:royalblue',
+    'COLOR:royalblue',
+    'COLOR:royalblue',
+  ]);
+});
+
+test('gives each combined calendar its own token and cache entry', async () => {
+  const first = await createCombined('prefix');
+  const second = await createCombined('both');
+  assert.notEqual(first.url, second.url);
+
+  await fetchFeed(first.url);
+  assert.match(await kv.get(`calendar_${first.feed.id}`), /Family Hockey/);
+
+  // Saving the calendar invalidates its cached copy
+  await api('POST', '/api/combined-calendars', { ...first, name: 'Hockey' });
+  assert.equal(await kv.get(`calendar_${first.feed.id}`), null);
+  assert.ok((await fetchFeed(first.url)).includes('X-WR-CALNAME:Hockey'));
+
+  // Deleting it revokes the token
+  await api('DELETE', `/api/combined-calendars?id=${first.id}`);
+  const response = await worker.fetch(new Request(first.url), env, {});
+  assert.equal(response.status, 400);
+
+  const { calendars } = await (await api('GET', '/api/combined-calendars')).json();
+  assert.deepEqual(calendars.map(calendar => calendar.id), [second.id]);
+});
+
+test('rejects combined calendars without a name or teams', async () => {
+  const response = await api('POST', '/api/combined-calendars', { name: 'Empty', sources: [] });
+  assert.equal(response.status, 400);
+});
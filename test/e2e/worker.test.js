@@ -0,0 +1,158 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Miniflare } from 'miniflare';
+
+import { startMockTeamSnap } from '../mock-teamsnap/server.js';
+
+// The worker runs in workerd, the Workers runtime, and talks to the mock TeamSnap over HTTP
+let mf;
+let kv;
+let teamSnap;
+
+beforeEach(async () => {
+  teamSnap = await startMockTeamSnap();
+  mf = new Miniflare({
+    scriptPath: 'index.js',
+    modules: true,
+    modulesRules: [{ type: 'ESModule', include: ['**/*.js'] }],
+    compatibilityDate: '2024-03-18',
+    kvNamespaces: ['CALSNAP_CALENDAR_STORE'],
+    bindings: {
+      TEAMSNAP_CLIENT_ID: 'client-id',
+      TEAMSNAP_CLIENT_SECRET: 'client-secret',
+      ALLOWED_USER_EMAIL: 'coach@example.com',
+      TEAMSNAP_AUTH_URL: teamSnap.url,
+      TEAMSNAP_API_URL: `${teamSnap.url}/v3`,
+    },
+  });
+  kv = await mf.getKVNamespace('CALSNAP_CALENDAR_STORE');
+});
+
+afterEach(async () => {
+  await mf.dispose();
+  await teamSnap.close();
+});
+
+const request = (url, init = {}) => mf.dispatchFetch(new URL(url, 'https://calsnap.test').href, { redirect: 'manual', ...init });
+
+/**
+ * Signs in the way a browser does: the mock TeamSnap approves the sign-in and sends it back to the callback.
+ * @returns {Promise<string>} The session's Cookie header
+ */
+async function signIn() {
+  const start = await request('/login');
+  const stateCookie = start.headers.getSetCookie()[0].split(';')[0];
+  const approved = await fetch(start.headers.get('Location'), { redirect: 'manual' });
+  const callback = await request(approved.headers.get('Location'), { headers: { Cookie: stateCookie } });
+  assert.equal(callback.status, 302);
+  return callback.headers.getSetCookie().find(value => value.startsWith('calsnap_session=')).split(';')[0];
+}
+
+const getCalendarUrls = async (cookie) => (await (await request('/api/teams', { headers: { Cookie: cookie } })).json()).teams[0].calendars;
+
+const countEventRequests = () => teamSnap.requests.filter(path => path.startsWith('/v3/events/search')).length;
+
+test('signs in through TeamSnap and serves the team calendar', async () => {
+  const calendars = await getCalendarUrls(await signIn());
+  assert.equal(teamSnap.tokenRequests[0].grant_type, 'authorization_code');
+  assert.ok(teamSnap.tokenRequests[0].code_verifier);
+
+  const response = await request(calendars.all);
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('Content-Type'), 'text/calendar; charset=utf-8');
+  assert.equal(response.headers.get('Content-Disposition'), `attachment; filename="${teamSnap.team.id}_all.ics"`);
+
+  const ics = await response.text();
+  assert.ok(ics.startsWith('BEGIN:VCALENDAR\r\n'));
+  assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+  assert.ok(ics.includes(`X-WR-CALNAME:${teamSnap.team.name}`));
+  assert.ok(ics.includes('TZID:America/New_York'));
+  assert.ok(ics.includes('DTSTART;TZID=America/New_York:20250920T150000'));
+  assert.ok(ics.includes('SUMMARY:North Toronto Leafs 2014 U12 AAA vs. Forest Hill'));
+  assert.ok(ics.includes('LOCATION:Rinx\\n123 Main Street Toronto ON M1M 1M1'));
+  assert.ok(ics.includes('SUMMARY:North Toronto Leafs 2014 U12 AAA: Practice'));
+  assert.equal(ics.match(/BEGIN:VEVENT/g).length, 3, 'the cancelled game is left out');
+  assert.ok(ics.split('\r\n').every(line => new TextEncoder().encode(line).length <= 75));
+
+  const games = await (await request(calendars.games)).text();
+  assert.equal(games.match(/BEGIN:VEVENT/g).length, 2);
+  assert.ok(!games.includes('Practice'));
+});
+
+test('serves the cached copy and answers conditional requests', async () => {
+  const { all } = await getCalendarUrls(await signIn());
+  const first = await request(all);
+  const etag = first.headers.get('ETag');
+  const lastModified = first.headers.get('Last-Modified');
+  assert.match(etag, /^"[0-9a-f]+"$/);
+
+  const cached = await request(all);
+  assert.equal(cached.headers.get('ETag'), etag);
+  assert.equal(await cached.text(), await first.text());
+  assert.equal(countEventRequests(), 1);
+
+  const byEtag = await request(all, { headers: { 'If-None-Match': etag } });
+  assert.equal(byEtag.status, 304);
+  assert.equal(byEtag.headers.get('ETag'), etag);
+  assert.equal(await byEtag.text(), '');
+  assert.equal((await request(all, { headers: { 'If-Modified-Since': lastModified } })).status, 304);
+  assert.equal((await request(all, { headers: { 'If-None-Match': '"other"' } })).status, 200);
+
+  teamSnap.events[0].location_name = 'Forest Hill Memorial Arena';
+  teamSnap.events[0].location_id = null;
+  teamSnap.events[0].updated_at = '2025-09-01T12:00:00Z';
+  const changed = await request(`${all}?refresh=true`, { headers: { 'If-None-Match': etag } });
+  assert.equal(changed.status, 200);
+  assert.notEqual(changed.headers.get('ETag'), etag);
+  assert.ok((await changed.text()).includes('LOCATION:Forest Hill Memorial Arena'));
+});
+
+test('refreshes an access token TeamSnap rejects', async () => {
+  const { all } = await getCalendarUrls(await signIn());
+  const accessToken = await kv.get('oauth_access_token_1');
+  teamSnap.expiredTokens.push(accessToken);
+
+  const response = await request(`${all}?refresh=true`);
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('Warning'), null);
+  assert.ok((await response.text()).includes('Forest Hill'));
+
+  const refreshes = teamSnap.tokenRequests.filter(form => form.grant_type === 'refresh_token');
+  assert.equal(refreshes.length, 1);
+  assert.equal(refreshes[0].refresh_token, 'refresh-token-1');
+  assert.equal(await kv.get('oauth_access_token_1'), 'access-token-2');
+  assert.equal(await kv.get('oauth_refresh_token_1'), 'refresh-token-2');
+});
+
+test('refreshes an access token that has expired', async () => {
+  const { all } = await getCalendarUrls(await signIn());
+  await kv.delete('oauth_access_token_1');
+
+  const response = await request(all);
+  assert.equal(response.status, 200);
+  assert.equal(teamSnap.tokenRequests.at(-1).grant_type, 'refresh_token');
+  assert.equal(await kv.get('oauth_access_token_1'), 'access-token-2');
+});
+
+test('keeps serving the last good copy once TeamSnap access lapses', async () => {
+  const { all, games } = await getCalendarUrls(await signIn());
+  const ics = await (await request(all)).text();
+
+  // The access token expires and the refresh token has been revoked
+  teamSnap.expiredTokens.push(await kv.get('oauth_access_token_1'));
+  teamSnap.revoked.push(await kv.get('oauth_refresh_token_1'));
+
+  // Subscribers see the same events, with a notice that the owner needs to sign in again
+  const stale = await request(`${all}?refresh=true`);
+  assert.equal(stale.status, 200);
+  assert.equal(stale.headers.get('Warning'), '110 - "Response is Stale"');
+  const staleIcs = await stale.text();
+  assert.match(staleIcs, /SUMMARY:CalSnap: schedule may be out of date \(sign-in needed\)/);
+  assert.equal(staleIcs.replace(/X-WR-CALDESC:[\s\S]*?\r\n(?! )|BEGIN:VEVENT\r\nUID:calsnap-notice[\s\S]*?END:VEVENT\r\n/g, ''), ics);
+
+  // A calendar with no copy yet cannot be served
+  const missing = await request(games);
+  assert.equal(missing.status, 401);
+  assert.equal(await missing.text(), 'Error fetching team events: TeamSnap responded 401: Unauthorized');
+});
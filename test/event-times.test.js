@@ -0,0 +1,124 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import worker from '../index.js';
+import { buildTimeProperties, getEventTimes, normalizeDurations } from '../src/event-times.js';
+import { unfoldLines } from '../src/ics.js';
+import { createKV, mockTeamSnap, signIn } from './helpers/mock-env.js';
+
+const TORONTO = 'America/Toronto';
+
+test('normalizes default durations from the settings page', () => {
+  assert.deepEqual(normalizeDurations({ game: '90', tournament: 2880, practice: 0, other: 'long' }), {
+    game: 90,
+    tournament: 2880,
+    practice: 120,
+    other: 120,
+  });
+});
+
+test('ends events at TeamSnap\'s end time, else its duration, else the default for the event type', () => {
+  const start_date = '2030-09-20T19:00:00Z';
+  const durations = normalizeDurations({ practice: 90 });
+
+  const withEnd = getEventTimes({ start_date, end_date: '2030-09-20T20:15:00Z', duration_in_minutes: 60 }, { timeZone: TORONTO, durations });
+  assert.equal(withEnd.end.toISOString(), '2030-09-20T20:15:00.000Z');
+  assert.equal(withEnd.allDay, false);
+
+  const withDuration = getEventTimes({ start_date, duration_in_minutes: 75 }, { timeZone: TORONTO, durations });
+  assert.equal(withDuration.end.toISOString(), '2030-09-20T20:15:00.000Z');
+
+  const practice = getEventTimes({ start_date, is_game: false, name: 'Practice' }, { timeZone: TORONTO, durations });
+  assert.equal(practice.end.toISOString(), '2030-09-20T20:30:00.000Z');
+  const game = getEventTimes({ start_date, is_game: true }, { timeZone: TORONTO, durations });
+  assert.equal(game.end.toISOString(), '2030-09-20T21:00:00.000Z');
+});
+
+test('makes events with the time still to be decided all-day on their date', () => {
+  // 11 PM in Toronto is already the next day in UTC
+  const times = getEventTimes({ start_date: '2030-09-21T03:00:00Z', is_tbd: true, is_game: true }, { timeZone: TORONTO });
+  assert.equal(times.allDay, true);
+  assert.equal(times.timeTbd, true);
+  assert.equal(times.startDay, '2030-09-20');
+  assert.equal(times.endDay, '2030-09-21');
+  assert.equal(times.start.toISOString(), '2030-09-20T04:00:00.000Z');
+  assert.deepEqual(buildTimeProperties(times, TORONTO), ['DTSTART;VALUE=DATE:20300920', 'DTEND;VALUE=DATE:20300921']);
+});
+
+test('spans multi-day events over every day they fill', () => {
+  const tournament = {
+    is_game: true,
+    label: 'Tournament',
+    start_date: '2030-11-01T04:00:00Z',
+    duration_in_minutes: 3 * 1440 + 60,
+  };
+  // Daylight saving time ends during the weekend, so the last day is 25 hours long
+  const times = getEventTimes(tournament, { timeZone: TORONTO });
+  assert.equal(times.allDay, true);
+  assert.equal(times.timeTbd, false);
+  assert.deepEqual(buildTimeProperties(times, TORONTO), ['DTSTART;VALUE=DATE:20301101', 'DTEND;VALUE=DATE:20301104']);
+
+  // A timed event over several days keeps its times
+  const overnight = getEventTimes({ start_date: '2030-09-20T22:00:00Z', end_date: '2030-09-22T14:00:00Z' }, { timeZone: TORONTO });
+  assert.equal(overnight.allDay, false);
+  assert.deepEqual(buildTimeProperties(overnight, TORONTO), [
+    'DTSTART;TZID=America/Toronto:20300920T180000',
+    'DTEND;TZID=America/Toronto:20300922T100000',
+  ]);
+});
+
+test('writes TBD and whole-day events to the feed and uses each team\'s default durations', async () => {
+  const kv = createKV();
+  const env = { CALSNAP_CALENDAR_STORE: kv, TEAMSNAP_CLIENT_SECRET: 'client-secret', ALLOWED_USER_EMAIL: 'coach@example.com' };
+  const teamSnap = mockTeamSnap({
+    team: { id: 10, name: 'North Toronto Leafs', time_zone_iana_name: TORONTO },
+    events: [
+      { id: 1, is_game: true, opponent_name: 'Knights', game_type: 'Home', start_date: '2030-09-20T23:00:00Z', is_tbd: true, minutes_to_arrive_early: 30, time_zone_iana_name: TORONTO, updated_at: '2030-08-01T12:00:00Z' },
+      { id: 2, is_game: true, label: 'Tournament', opponent_name: 'Rangers', start_date: '2030-10-04T04:00:00Z', end_date: '2030-10-06T04:00:00Z', time_zone_iana_name: TORONTO, updated_at: '2030-08-01T12:00:00Z' },
+      { id: 3, is_game: false, name: 'Practice', start_date: '2030-09-22T14:00:00Z', time_zone_iana_name: TORONTO, updated_at: '2030-08-01T12:00:00Z' },
+      { id: 4, is_game: false, name: 'Practice', start_date: '2030-09-24T22:00:00Z', duration_in_minutes: 60, time_zone_iana_name: TORONTO, updated_at: '2030-08-01T12:00:00Z' },
+    ],
+  });
+
+  try {
+    const session = await signIn(worker, env);
+    const api = (method, path, body) => worker.fetch(new Request(`https://calsnap.test${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', Cookie: session.cookie, 'X-CSRF-Token': session.csrfToken },
+      body: body ? JSON.stringify(body) : undefined,
+    }), env, {});
+
+    const saved = await api('POST', '/api/team-settings', { teamId: 10, durations: { game: 120, tournament: 120, practice: 90, other: 120 } });
+    assert.equal(saved.status, 200);
+    assert.deepEqual(JSON.parse(await kv.get('event_durations_10')), { game: 120, tournament: 120, practice: 90, other: 120 });
+
+    const { teams, durationCategories } = await (await api('GET', '/api/teams')).json();
+    assert.equal(teams[0].durations.practice, 90);
+    assert.deepEqual(Object.keys(durationCategories), ['game', 'tournament', 'practice', 'other']);
+
+    const ics = unfoldLines(await (await worker.fetch(new Request(teams[0].calendars.all), env, {})).text()).join('\n');
+    const eventById = id => ics.split('BEGIN:VEVENT').find(event => event.includes(`UID:teamsnap-${id}@teamsnap.com`));
+    const [tbd, tournament, practice, shortPractice] = [1, 2, 3, 4].map(eventById);
+
+    // TBD: the date only, with no arrival time or reminder offsets from it
+    assert.match(tbd, /SUMMARY:.*Knights \(time TBD\)/);
+    assert.match(tbd, /DTSTART;VALUE=DATE:20300920\nDTEND;VALUE=DATE:20300921/);
+    assert.doesNotMatch(tbd, /Arrival/);
+
+    assert.match(practice, /DTSTART;TZID=America\/Toronto:20300922T100000\nDTEND;TZID=America\/Toronto:20300922T113000/);
+    assert.match(shortPractice, /DTEND;TZID=America\/Toronto:20300924T190000/);
+    assert.match(tournament, /DTSTART;VALUE=DATE:20301004\nDTEND;VALUE=DATE:20301006/);
+
+    const schedule = await (await worker.fetch(new Request(teams[0].calendars.all.replace(/\.ics$/, '.json')), env, {})).json();
+    const tbdRecord = schedule.events.find(event => event.id === '1');
+    assert.equal(tbdRecord.allDay, true);
+    assert.equal(tbdRecord.arrival, null);
+    assert.equal(tbdRecord.start, '2030-09-20T00:00:00-04:00');
+
+    // Back to the defaults removes the setting
+    await api('POST', '/api/team-settings', { teamId: 10, durations: { game: 120, tournament: 120, practice: 120, other: 120 } });
+    assert.equal(await kv.get('event_durations_10'), null);
+  } finally {
+    teamSnap.restore();
+  }
+});
@@ -0,0 +1,160 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import worker from '../index.js';
+import { getBuiltInFilters, getEventType, getHomeAway, matchesFilters, normalizeFilters } from '../src/filters.js';
+import { unfoldLines } from '../src/ics.js';
+import { createKV, mockTeamSnap, signIn } from './helpers/mock-env.js';
+
+const NOW = Date.parse('2030-09-15T12:00:00Z');
+const DAY = 24 * 60 * 60 * 1000;
+
+const game = (fields) => ({ is_game: true, start_date: '2030-09-20T19:00:00Z', ...fields });
+
+test('classifies games, practices and other events', () => {
+  assert.equal(getEventType(game({})), 'game');
+  assert.equal(getEventType({ name: 'Morning Practice' }), 'practice');
+  assert.equal(getEventType({ label: 'Team Photo' }), 'other');
+});
+
+test('reads home and away from game_type_code, then game_type', () => {
+  assert.equal(getHomeAway(game({ game_type_code: 1 })), 'home');
+  assert.equal(getHomeAway(game({ game_type_code: 2, game_type: 'Home' })), 'away');
+  assert.equal(getHomeAway(game({ game_type: 'Away' })), 'away');
+  assert.equal(getHomeAway(game({})), null);
+});
+
+test('built-in calendars keep their behaviour', () => {
+  assert.ok(matchesFilters({ name: 'Practice' }, getBuiltInFilters('all'), NOW));
+  assert.ok(!matchesFilters({ name: 'Practice' }, getBuiltInFilters('games'), NOW));
+  assert.ok(matchesFilters(game({}), getBuiltInFilters('games'), NOW));
+});
+
+test('filters by home/away, league and keywords', () => {
+  const homeGames = normalizeFilters({ types: ['game'], homeAway: 'home' });
+  assert.ok(matchesFilters(game({ game_type_code: 1 }), homeGames, NOW));
+  assert.ok(!matchesFilters(game({ game_type_code: 2 }), homeGames, NOW));
+
+  const league = normalizeFilters({ league: 'league' });
+  assert.ok(matchesFilters(game({ is_league_controlled: true }), league, NOW));
+  assert.ok(!matchesFilters(game({}), league, NOW));
+
+  const keywords = normalizeFilters({ includeKeywords: 'tournament, playoff', excludeKeywords: ['exhibition'] });
+  assert.ok(matchesFilters(game({ label: 'Spring Tournament' }), keywords, NOW));
+  assert.ok(!matchesFilters(game({ label: 'Tournament Exhibition' }), keywords, NOW));
+  assert.ok(!matchesFilters(game({ opponent_name: 'Knights' }), keywords, NOW));
+});
+
+test('filters by location and date range', () => {
+  const rinx = normalizeFilters({ locations: 'rinx' });
+  assert.ok(matchesFilters(game({ location_name: 'Rinx Arena' }), rinx, NOW));
+  assert.ok(!matchesFilters(game({ location_name: 'Memorial Arena' }), rinx, NOW));
+
+  const upcoming = normalizeFilters({ futureOnly: true, nextDays: '7' });
+  assert.equal(upcoming.nextDays, 7);
+  assert.ok(matchesFilters(game({}), upcoming, NOW));
+  assert.ok(!matchesFilters(game({ start_date: '2030-09-01T19:00:00Z' }), upcoming, NOW));
+  assert.ok(!matchesFilters(game({ start_date: '2030-10-20T19:00:00Z' }), upcoming, NOW));
+});
+
+let kv;
+let env;
+let teamSnap;
+let session;
+
+beforeEach(async () => {
+  kv = createKV();
+  env = { CALSNAP_CALENDAR_STORE: kv, TEAMSNAP_CLIENT_SECRET: 'client-secret', ALLOWED_USER_EMAIL: 'coach@example.com' };
+  await kv.put('oauth_access_token', 'access-token');
+  await kv.put('custom_team_name_10', 'Leafs');
+
+  const event = (fields) => ({ time_zone_iana_name: 'America/Toronto', updated_at: '2030-08-01T12:00:00Z', ...fields });
+  teamSnap = mockTeamSnap({
+    team: { id: 10, name: 'North Toronto Leafs', time_zone_iana_name: 'America/Toronto' },
+    events: [
+      event({ id: 1, is_game: true, opponent_name: 'Knights', game_type_code: 1, start_date: '2030-09-20T19:00:00Z' }),
+      event({ id: 2, is_game: true, opponent_name: 'Jets', game_type_code: 2, start_date: '2030-09-27T19:00:00Z' }),
+      event({ id: 3, name: 'Practice', start_date: '2030-09-21T14:00:00Z' }),
+      // TeamSnap's updated_at stands in for when an event was cancelled
+      event({ id: 4, is_game: true, opponent_name: 'Rangers', is_canceled: true, start_date: '2030-10-04T19:00:00Z', updated_at: new Date(Date.now() - 2 * DAY).toISOString() }),
+      event({ id: 5, is_game: true, opponent_name: 'Bruins', is_canceled: true, start_date: '2030-10-11T19:00:00Z', updated_at: new Date(Date.now() - 30 * DAY).toISOString() }),
+    ],
+  });
+
+  session = await signIn(worker, env);
+});
+
+afterEach(() => {
+  teamSnap.restore();
+});
+
+const api = (method, path, body) => worker.fetch(new Request(`https://calsnap.test${path}`, {
+  method,
+  headers: { 'Content-Type': 'application/json', Cookie: session.cookie, 'X-CSRF-Token': session.csrfToken },
+  body: body ? JSON.stringify(body) : undefined,
+}), env, {});
+
+test('serves a custom calendar with its own token', async () => {
+  const response = await api('POST', '/api/custom-calendars', {
+    teamId: 10,
+    name: 'Home Games',
+    filters: { types: ['game'], homeAway: 'home' },
+  });
+  assert.equal(response.status, 200);
+  const { calendar } = await response.json();
+
+  const feed = await worker.fetch(new Request(calendar.url), env, {});
+  assert.equal(feed.status, 200);
+  const lines = unfoldLines(await feed.text());
+  assert.ok(lines.includes('X-WR-CALNAME:Leafs · Home Games'));
+  assert.deepEqual(lines.filter(line => line.startsWith('SUMMARY:')), ['SUMMARY:Leafs vs. Knights']);
+
+  // Editing the filters keeps the same URL
+  const edited = await api('POST', '/api/custom-calendars', {
+    teamId: 10,
+    id: calendar.id,
+    name: 'Games',
+    filters: { types: ['game'] },
+  });
+  assert.equal((await edited.json()).calendar.url, calendar.url);
+  const editedLines = unfoldLines(await (await worker.fetch(new Request(calendar.url), env, {})).text());
+  assert.equal(editedLines.filter(line => line.startsWith('SUMMARY:')).length, 2);
+
+  const deleted = await api('DELETE', `/api/custom-calendars?teamId=10&id=${calendar.id}`);
+  assert.equal(deleted.status, 200);
+  assert.equal((await worker.fetch(new Request(calendar.url), env, {})).status, 400);
+});
+
+test('rejects a custom calendar without event types', async () => {
+  const response = await api('POST', '/api/custom-calendars', { teamId: 10, name: 'Nothing', filters: { types: [] } });
+  assert.equal(response.status, 400);
+});
+
+test('keeps cancelled events as cancelled within the retention window', async () => {
+  const { teams } = await (await api('GET', '/api/teams')).json();
+  const summaries = async () => {
+    const lines = unfoldLines(await (await worker.fetch(new Request(teams[0].calendars.all), env, {})).text());
+    return lines.filter(line => line.startsWith('SUMMARY:'));
+  };
+
+  // Left out by default
+  assert.equal((await summaries()).filter(line => line.includes('CANCELLED')).length, 0);
+
+  const saved = await api('POST', '/api/team-settings', { teamId: 10, calendarOptions: { all: { includeCancelled: true, cancelledRetentionDays: 7 } } });
+  assert.equal(saved.status, 200);
+  assert.deepEqual((await summaries()).filter(line => line.includes('CANCELLED')), ['SUMMARY:CANCELLED: Leafs vs. Rangers']);
+
+  const ics = unfoldLines(await (await worker.fetch(new Request(teams[0].calendars.all), env, {})).text()).join('\n');
+  const cancelled = ics.split('BEGIN:VEVENT').find(event => event.includes('UID:teamsnap-4@teamsnap.com'));
+  assert.match(cancelled, /STATUS:CANCELLED\nTRANSP:TRANSPARENT/);
+  const schedule = await (await worker.fetch(new Request(teams[0].calendars.all.replace(/\.ics$/, '.json')), env, {})).json();
+  assert.equal(schedule.events.find(event => event.id === '4').cancelled, true);
+  assert.equal(schedule.events.find(event => event.id === '1').cancelled, false);
+
+  // Without a retention window every cancelled event stays
+  await api('POST', '/api/team-settings', { teamId: 10, calendarOptions: { all: { includeCancelled: true } } });
+  assert.deepEqual((await summaries()).filter(line => line.includes('CANCELLED')), [
+    'SUMMARY:CANCELLED: Leafs vs. Rangers',
+    'SUMMARY:CANCELLED: Leafs vs. Bruins',
+  ]);
+});
@@ -0,0 +1,112 @@
+/**
+ * In-memory KV namespace and a mocked TeamSnap API for worker tests.
+ */
+
+import { createTeamSnapHandler } from '../mock-teamsnap/teamsnap.js';
+
+export { item } from '../mock-teamsnap/teamsnap.js';
+
+/**
+ * Creates an in-memory stand-in for a Workers KV namespace.
+ * Expiration is recorded but not enforced.
+ */
+export function createKV() {
+  const entries = new Map();
+
+  return {
+    entries,
+    async get(key) {
+      return entries.has(key) ? entries.get(key).value : null;
+    },
+    async getWithMetadata(key) {
+      const entry = entries.get(key);
+      return { value: entry ? entry.value : null, metadata: entry?.metadata ?? null };
+    },
+    async put(key, value, options = {}) {
+      entries.set(key, { value: String(value), metadata: options.metadata ?? null });
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    async list({ prefix = '', cursor } = {}) {
+      const keys = [...entries.keys()].filter(key => key.startsWith(prefix)).sort().map(name => ({ name }));
+      return { keys, list_complete: true, cursor: '' };
+    },
+  };
+}
+
+/**
+ * Replaces fetch with the mock TeamSnap in ../mock-teamsnap/teamsnap.js, serving the given user, team (or teams),
+ * events, locations, availabilities and members.
+ * Set `failing` to make every API request fail with a 503, `pageSize` to split lists into pages, and add access
+ * tokens to `expiredTokens` to have the API refuse them.
+ * Requests to https://hooks.example.com are recorded as webhook deliveries.
+ * @returns {Object} The mock: the given data plus { requests, tokenRequests, revoked, expiredTokens, webhooks, failing, pageSize, restore() }
+ */
+export function mockTeamSnap({ user = { id: 1, email: 'coach@example.com' }, team, teams = [team], events = [], locations = [], availabilities = [], members = [] }) {
+  const originalFetch = globalThis.fetch;
+
+  const mock = {
+    user,
+    team,
+    teams,
+    events,
+    locations,
+    availabilities,
+    members,
+    requests: [],
+    tokenRequests: [],
+    revoked: [],
+    expiredTokens: [],
+    webhooks: [],
+    failing: false,
+    pageSize: null,
+    restore() {
+      globalThis.fetch = originalFetch;
+    },
+  };
+  const handleTeamSnapRequest = createTeamSnapHandler(mock);
+
+  globalThis.fetch = async (input, init = {}) => {
+    const url = new URL(String(input));
+    if (url.hostname === 'hooks.example.com') {
+      mock.webhooks.push({ url: url.href, body: JSON.parse(init.body) });
+      return new Response('ok');
+    }
+    return handleTeamSnapRequest(new Request(input, init));
+  };
+
+  return mock;
+}
+
+/**
+ * Starts the OAuth flow the way a signed-out browser does.
+ * @returns {Promise<Object>} { location, state, cookie }, where cookie is the state cookie's Cookie header
+ */
+export async function startSignIn(worker, env) {
+  const response = await worker.fetch(new Request('https://calsnap.test/login'), env, {});
+  const location = new URL(response.headers.get('Location'));
+  const cookie = response.headers.getSetCookie()[0].split(';')[0];
+  return { location, state: location.searchParams.get('state'), cookie };
+}
+
+/**
+ * Signs in through the OAuth flow as the mocked TeamSnap user.
+ * @returns {Promise<Object>} { cookie, csrfToken }: the Cookie header and X-CSRF-Token for signed-in requests
+ */
+export async function signIn(worker, env) {
+  const { state, cookie: stateCookie } = await startSignIn(worker, env);
+  const response = await worker.fetch(
+    new Request(`https://calsnap.test/auth-callback?code=test-code&state=${state}`, { headers: { Cookie: stateCookie } }),
+    env,
+    {}
+  );
+  if (response.status !== 302) {
+    throw new Error(`Sign-in failed with ${response.status}: ${await response.text()}`);
+  }
+
+  const cookie = response.headers.getSetCookie().find(value => value.startsWith('calsnap_session=')).split(';')[0];
+  const payload = cookie.slice('calsnap_session='.length).split('.')[0];
+  const { csrf } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  return { cookie, csrfToken: csrf };
+}
@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  escapeText,
+  foldLine,
+  formatParameterValue,
+  parseContentLine,
+  property,
+  rawProperty,
+  serializeLines,
+  unescapeText,
+  unfoldLines,
+} from '../src/ics.js';
+
+const octets = (text) => new TextEncoder().encode(text).length;
+
+test('escapes backslashes, semicolons, commas and line breaks', () => {
+  assert.equal(escapeText('a\\b;c,d\ne\r\nf'), 'a\\\\b\\;c\\,d\\ne\\nf');
+  assert.equal(escapeText(null), '');
+  assert.equal(escapeText(42), '42');
+});
+
+test('escapes each character exactly once', () => {
+  // Already-escaped text from TeamSnap is escaped again, not passed through
+  assert.equal(escapeText('Rink 1\\nRink 2'), 'Rink 1\\\\nRink 2');
+});
+
+test('round-trips text values', () => {
+  const samples = [
+    'Bring water; no glass bottles, please',
+    'C:\\Users\\coach\\lineup.pdf',
+    'Line one\nLine two\n\nLine four',
+    'Café · Rink B — 🏒',
+  ];
+
+  for (const sample of samples) {
+    assert.equal(unescapeText(escapeText(sample)), sample);
+  }
+});
+
+test('quotes parameter values that need it', () => {
+  assert.equal(formatParameterValue('America/Toronto'), 'America/Toronto');
+  assert.equal(formatParameterValue('Rinx: Rink A; North'), '"Rinx: Rink A; North"');
+  assert.equal(formatParameterValue('The "Barn"'), "The 'Barn'");
+  assert.equal(formatParameterValue('two\nlines'), 'two lines');
+});
+
+test('builds content lines with parameters', () => {
+  assert.equal(rawProperty('DTSTART', '20250920T150000', { TZID: 'America/New_York' }), 'DTSTART;TZID=America/New_York:20250920T150000');
+  assert.equal(rawProperty('URL', 'https://go.teamsnap.com/1/schedule/view_event/2', { VALUE: null }), 'URL:https://go.teamsnap.com/1/schedule/view_event/2');
+  assert.equal(property('SUMMARY', 'Leafs vs. Knights, Game 1'), 'SUMMARY:Leafs vs. Knights\\, Game 1');
+});
+
+test('leaves short lines unfolded', () => {
+  const line = 'SUMMARY:' + 'x'.repeat(67);
+  assert.equal(octets(line), 75);
+  assert.equal(foldLine(line), line);
+});
+
+test('folds long lines at 75 octets', () => {
+  const line = property('DESCRIPTION', 'Arena '.repeat(40));
+  const segments = foldLine(line).split('\r\n');
+
+  assert.ok(segments.length > 1);
+  assert.equal(octets(segments[0]), 75);
+  for (const segment of segments.slice(1)) {
+    assert.ok(segment.startsWith(' '));
+    assert.ok(octets(segment) <= 75);
+  }
+});
+
+test('never splits multi-byte characters when folding', () => {
+  const line = property('LOCATION', 'Aréna · Patinoire 🏒 '.repeat(12));
+  const segments = foldLine(line).split('\r\n');
+
+  for (const segment of segments) {
+    assert.ok(octets(segment) <= 75);
+    assert.ok(!segment.includes('\uFFFD'));
+    // Each segment must be valid UTF-8 on its own
+    assert.equal(new TextDecoder('utf-8', { fatal: true }).decode(new TextEncoder().encode(segment)), segment);
+  }
+});
+
+test('round-trips a serialized calendar', () => {
+  const description = 'Uniform: White; bring both jerseys\n\nArrival: 6:30 PM, 30 min. early\nC:\\path\\' + ' long note'.repeat(20);
+  const location = 'Rinx, Rink A\n123 Main Street Toronto ON M1M 1M1';
+  const text = serializeLines([
+    'BEGIN:VEVENT',
+    rawProperty('DTSTART', '20250920T150000', { TZID: 'America/New_York' }),
+    property('SUMMARY', 'Leafs vs. Knights; Final'),
+    property('DESCRIPTION', description),
+    property('LOCATION', location),
+    property('X-APPLE-TITLE', 'title', { 'X-ADDRESS': 'Rinx: 123 Main; Toronto' }),
+    'END:VEVENT',
+  ]);
+
+  assert.ok(text.endsWith('\r\n'));
+  for (const line of text.split('\r\n').slice(0, -1)) {
+    assert.ok(octets(line) <= 75);
+  }
+
+  const parsed = unfoldLines(text).map(parseContentLine);
+  assert.deepEqual(parsed.map(({ name }) => name), ['BEGIN', 'DTSTART', 'SUMMARY', 'DESCRIPTION', 'LOCATION', 'X-APPLE-TITLE', 'END']);
+  assert.deepEqual(parsed[1].params, { TZID: 'America/New_York' });
+  assert.equal(unescapeText(parsed[2].value), 'Leafs vs. Knights; Final');
+  assert.equal(unescapeText(parsed[3].value), description);
+  assert.equal(unescapeText(parsed[4].value), location);
+  assert.deepEqual(parsed[5].params, { 'X-ADDRESS': 'Rinx: 123 Main; Toronto' });
+});
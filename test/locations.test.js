@@ -0,0 +1,124 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import worker from '../index.js';
+import { unfoldLines } from '../src/ics.js';
+import {
+  DEFAULT_LOCATION_OPTIONS,
+  buildLocationDescription,
+  buildLocationProperties,
+  buildMapLinks,
+  getCoordinates,
+} from '../src/locations.js';
+import { createKV, mockTeamSnap } from './helpers/mock-env.js';
+
+const rinx = {
+  id: 76115439,
+  name: 'Rinx',
+  address: '123 Main Street',
+  city: 'Toronto',
+  state: 'ON',
+  postal_code: 'M1M 1M1',
+  phone: '416-555-0100',
+  latitude: 43.7532,
+  longitude: -79.3832,
+  notes: 'Parking available in rear',
+};
+
+test('ignores missing and placeholder coordinates', () => {
+  assert.deepEqual(getCoordinates(rinx), { latitude: 43.7532, longitude: -79.3832 });
+  assert.equal(getCoordinates({ latitude: null, longitude: null }), null);
+  assert.equal(getCoordinates({ latitude: 0, longitude: 0 }), null);
+  assert.equal(getCoordinates({ latitude: '91', longitude: '10' }), null);
+  assert.equal(getCoordinates(null), null);
+});
+
+test('writes GEO and an Apple structured location', () => {
+  assert.deepEqual(buildLocationProperties(rinx, 'Rinx', DEFAULT_LOCATION_OPTIONS), [
+    'GEO:43.7532;-79.3832',
+    'X-APPLE-STRUCTURED-LOCATION;VALUE=URI;X-ADDRESS="123 Main Street Toronto ON M1M 1M1";X-APPLE-RADIUS=72;X-TITLE="Rinx":geo:43.7532,-79.3832',
+  ]);
+});
+
+test('respects the location options', () => {
+  assert.deepEqual(buildLocationProperties(rinx, 'Rinx', { ...DEFAULT_LOCATION_OPTIONS, appleLocation: false }), ['GEO:43.7532;-79.3832']);
+  assert.deepEqual(buildLocationProperties({ ...rinx, latitude: null }, 'Rinx', DEFAULT_LOCATION_OPTIONS), []);
+  assert.equal(buildLocationDescription(rinx, 'Rinx', DEFAULT_LOCATION_OPTIONS), '');
+});
+
+test('builds map links from coordinates or the address', () => {
+  const links = buildMapLinks(rinx, 'Rinx');
+  assert.equal(links.google, 'https://www.google.com/maps/search/?api=1&query=43.7532%2C-79.3832');
+  assert.equal(links.apple, 'https://maps.apple.com/?q=Rinx%2C+123+Main+Street+Toronto+ON+M1M+1M1&ll=43.7532%2C-79.3832');
+
+  const addressOnly = buildMapLinks({ ...rinx, latitude: null, longitude: null }, 'Rinx');
+  assert.equal(addressOnly.google, 'https://www.google.com/maps/search/?api=1&query=Rinx%2C+123+Main+Street+Toronto+ON+M1M+1M1');
+});
+
+test('adds phone, notes and map links to the description', () => {
+  const description = buildLocationDescription(rinx, 'Rinx', { phone: true, notes: true, mapLinks: true });
+  assert.deepEqual(description.split('\n'), [
+    'Phone: 416-555-0100',
+    'Parking available in rear',
+    `Google Maps: ${buildMapLinks(rinx, 'Rinx').google}`,
+    `Apple Maps: ${buildMapLinks(rinx, 'Rinx').apple}`,
+  ]);
+});
+
+test('fetches a team\'s locations in one batch and refreshes edited venues', async () => {
+  const kv = createKV();
+  const env = { CALSNAP_CALENDAR_STORE: kv };
+  await kv.put('oauth_access_token', 'access-token');
+  await kv.put('calendar_token:leafs-all', JSON.stringify({ teamId: 10, filterType: 'all' }));
+  await kv.put('event_templates_10', JSON.stringify({ gameDescription: 'At {location.full_address}', eventDescription: 'At {location.full_address}' }));
+
+  const event = (id, locationId) => ({ id, is_game: id !== 4, opponent_name: 'Knights', location_id: locationId, start_date: `2030-09-2${id}T19:00:00Z`, updated_at: '2030-08-01T12:00:00Z' });
+  const teamSnap = mockTeamSnap({
+    team: { id: 10, name: 'Leafs', time_zone_iana_name: 'America/Toronto' },
+    events: [event(1, 500), event(2, 500), event(3, 600), event(4, null)],
+    locations: [
+      { id: 500, name: 'Canlan', address: '989 Lawrence Ave E', city: 'Toronto', updated_at: '2030-08-01T12:00:00Z' },
+      { id: 600, name: 'Rinx', address: '65 Orfus Rd', city: 'Toronto', division_id: 3, updated_at: '2030-08-01T12:00:00Z' },
+    ],
+  });
+  const locationRequests = () => teamSnap.requests.filter(path => path.startsWith('/v3/locations'));
+  const locationWrites = [];
+  const put = kv.put;
+  kv.put = async (key, ...rest) => {
+    if (key === 'locations_10') locationWrites.push(key);
+    return put(key, ...rest);
+  };
+  const descriptions = async () => {
+    const response = await worker.fetch(new Request('https://calsnap.test/leafs-all.ics?refresh=true'), env, {});
+    return unfoldLines(await response.text()).filter(line => line.startsWith('DESCRIPTION:'));
+  };
+
+  try {
+    // One request for the team's locations, and one for the league venue it does not list
+    assert.deepEqual(await descriptions(), [
+      'DESCRIPTION:At 989 Lawrence Ave E Toronto',
+      'DESCRIPTION:At 989 Lawrence Ave E Toronto',
+      'DESCRIPTION:At 65 Orfus Rd Toronto',
+      'DESCRIPTION:At',
+    ]);
+    assert.equal(locationRequests().length, 2);
+    assert.match(locationRequests()[0], /^\/v3\/locations\/search\?team_id=10/);
+    assert.match(locationRequests()[1], /^\/v3\/locations\/600/);
+    assert.equal(locationWrites.length, 1);
+
+    // Unchanged locations: the league venue comes from the cache, which is not written again
+    await descriptions();
+    assert.equal(locationRequests().length, 3);
+    assert.match(locationRequests()[2], /^\/v3\/locations\/search/);
+    assert.equal(locationWrites.length, 1);
+
+    // An edited venue is picked up on the next refresh
+    Object.assign(teamSnap.locations[0], { address: '1 Canlan Way', updated_at: '2030-08-05T12:00:00Z' });
+    assert.equal((await descriptions())[0], 'DESCRIPTION:At 1 Canlan Way Toronto');
+    assert.equal(locationWrites.length, 2);
+    assert.equal(JSON.parse(await kv.get('locations_10')).latestUpdate, Date.parse('2030-08-05T12:00:00Z'));
+    assert.equal(locationRequests().filter(path => path.startsWith('/v3/locations/600')).length, 1);
+  } finally {
+    teamSnap.restore();
+  }
+});
@@ -0,0 +1,150 @@
+/**
+ * Mock TeamSnap data built from the field samples in teamsnap-event-fields.csv and teamsnap-location-fields.csv,
+ * so fixtures carry every field TeamSnap sends, with TeamSnap's types.
+ */
+
+import { readFileSync } from 'node:fs';
+
+/**
+ * Parses CSV text into rows of fields. Quoted fields may contain commas, quotes ("") and line breaks.
+ */
+function parseCsv(text) {
+  const rows = [[]];
+  let field = '';
+  let quoted = false;
+
+  for (let index = 0; index < text.length; index++) {
+    const character = text[index];
+    if (quoted) {
+      if (character === '"' && text[index + 1] === '"') {
+        field += '"';
+        index++;
+      } else if (character === '"') {
+        quoted = false;
+      } else {
+        field += character;
+      }
+    } else if (character === '"') {
+      quoted = true;
+    } else if (character === ',') {
+      rows[rows.length - 1].push(field);
+      field = '';
+    } else if (character === '\n') {
+      rows[rows.length - 1].push(field.replace(/\r$/, ''));
+      rows.push([]);
+      field = '';
+    } else {
+      field += character;
+    }
+  }
+  rows[rows.length - 1].push(field);
+
+  return rows.filter(row => row.some(Boolean));
+}
+
+/**
+ * Converts a sample value to the type in the field list: Integer and Float to numbers, Boolean to true or false.
+ * "null" is a null value; other strings are kept, including empty ones.
+ */
+function toFieldValue(value, dataType) {
+  if (value === 'null') return null;
+  if (dataType === 'Integer' || dataType === 'Float') return Number(value);
+  if (dataType === 'Boolean') return value.toUpperCase() === 'TRUE';
+  return value;
+}
+
+/**
+ * Reads the sample object from one of the TeamSnap field lists in the repository root.
+ * @param {string} filename - e.g. teamsnap-event-fields.csv
+ * @param {string} column - The column holding the sample values
+ * @returns {Object} The sample's fields, by field name
+ */
+export function readFieldSample(filename, column) {
+  const [header, ...rows] = parseCsv(readFileSync(new URL(`../../${filename}`, import.meta.url), 'utf8'));
+  const nameIndex = header.indexOf('field_name');
+  const typeIndex = header.indexOf('data_type');
+  const valueIndex = header.indexOf(column);
+  if (valueIndex === -1) {
+    throw new Error(`${filename} has no ${column} column`);
+  }
+  return Object.fromEntries(rows.map(row => [row[nameIndex], toFieldValue(row[valueIndex], row[typeIndex])]));
+}
+
+// The sample event, an away exhibition game on September 20, 2025, and the rink it is played at
+export const SAMPLE_EVENT = readFieldSample('teamsnap-event-fields.csv', 'sample_value_2025_09_20');
+export const SAMPLE_LOCATION = readFieldSample('teamsnap-location-fields.csv', 'sample_value_rinx_location');
+
+/**
+ * Builds an event from the sample event, moved to another start time with the same length.
+ */
+function sampleEvent(offset, start, fields = {}) {
+  const duration = Date.parse(SAMPLE_EVENT.end_date) - Date.parse(SAMPLE_EVENT.start_date);
+  const arrivalLead = Date.parse(SAMPLE_EVENT.start_date) - Date.parse(SAMPLE_EVENT.arrival_date);
+  return {
+    ...SAMPLE_EVENT,
+    id: SAMPLE_EVENT.id + offset,
+    start_date: start,
+    end_date: new Date(Date.parse(start) + duration).toISOString().replace('.000Z', 'Z'),
+    arrival_date: new Date(Date.parse(start) - arrivalLead).toISOString().replace('.000Z', 'Z'),
+    ...fields,
+  };
+}
+
+/**
+ * Creates a fresh copy of the mock TeamSnap data: the sample team's signed-in coach, the team, and the start of
+ * its season at the sample rink. Tests can change it freely.
+ * @returns {Object} { user, team, teams, events, locations, availabilities, members }
+ */
+export function createFixtures() {
+  const team = {
+    id: SAMPLE_EVENT.team_id,
+    name: SAMPLE_EVENT.formatted_title_for_multi_team.replace(/ Exhibition at .*$/, ''),
+    time_zone_iana_name: SAMPLE_EVENT.time_zone_iana_name,
+  };
+
+  const events = [
+    { ...SAMPLE_EVENT },
+    sampleEvent(1, '2025-09-23T22:00:00Z', {
+      is_game: false,
+      name: 'Practice',
+      label: null,
+      game_type: null,
+      game_type_code: null,
+      opponent_id: null,
+      opponent_name: null,
+      formatted_title: 'Practice',
+      formatted_title_for_multi_team: `${team.name} Practice`,
+      tracks_availability: false,
+    }),
+    sampleEvent(2, '2025-09-27T19:00:00Z', {
+      label: 'League',
+      game_type: 'Home',
+      game_type_code: 1,
+      opponent_id: SAMPLE_EVENT.opponent_id + 1,
+      opponent_name: 'Don Mills Flyers',
+      formatted_title: 'vs. Don Mills Flyers',
+      formatted_title_for_multi_team: `${team.name} vs. Don Mills Flyers`,
+      doesnt_count_towards_record: false,
+      uniform: 'Dark',
+    }),
+    sampleEvent(3, '2025-10-04T19:00:00Z', {
+      label: 'League',
+      opponent_id: SAMPLE_EVENT.opponent_id + 2,
+      opponent_name: 'Mississauga Rebels',
+      formatted_title: 'at Mississauga Rebels',
+      formatted_title_for_multi_team: `${team.name} at Mississauga Rebels`,
+      doesnt_count_towards_record: false,
+      is_canceled: true,
+    }),
+  ];
+
+  return {
+    user: { id: 1, email: 'coach@example.com', first_name: 'Casey', last_name: 'Coach' },
+    team,
+    teams: [team],
+    events,
+    locations: [{ ...SAMPLE_LOCATION }],
+    availabilities: [],
+    members: [],
+  };
+}
@@ -0,0 +1,63 @@
+/**
+ * Serves the mock TeamSnap over HTTP, for the end-to-end tests and for trying CalSnap without a TeamSnap account:
+ *
+ *   node test/mock-teamsnap/server.js [port]
+ *
+ * then point `wrangler dev` at it in .dev.vars with TEAMSNAP_AUTH_URL=http://127.0.0.1:8788,
+ * TEAMSNAP_API_URL=http://127.0.0.1:8788/v3 and ALLOWED_USER_EMAIL=coach@example.com.
+ */
+
+import { createServer } from 'node:http';
+import { fileURLToPath } from 'node:url';
+
+import { createFixtures } from './fixtures.js';
+import { createTeamSnapHandler } from './teamsnap.js';
+
+const DEFAULT_PORT = 8788;
+
+/**
+ * Starts a mock TeamSnap server.
+ * @param {Object} [data] - { user, team, teams, events, locations, availabilities, members }; defaults to the fixtures
+ * @param {Object} [options]
+ * @param {number} [options.port] - Port to listen on; by default any free port
+ * @returns {Promise<Object>} The mock: the data plus { url, requests, tokenRequests, revoked, expiredTokens, failing, pageSize, close() }
+ */
+export async function startMockTeamSnap(data = createFixtures(), { port = 0 } = {}) {
+  const mock = {
+    ...data,
+    requests: [],
+    tokenRequests: [],
+    revoked: [],
+    expiredTokens: [],
+    failing: false,
+    pageSize: null,
+  };
+  const handleTeamSnapRequest = createTeamSnapHandler(mock);
+
+  const server = createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+
+    const request = new Request(new URL(req.url, mock.url), {
+      method: req.method,
+      headers: Object.entries(req.headers).filter(([, value]) => typeof value === 'string'),
+      body: req.method === 'GET' || req.method === 'HEAD' ? undefined : Buffer.concat(chunks),
+    });
+    const response = await handleTeamSnapRequest(request);
+    res.writeHead(response.status, Object.fromEntries(response.headers));
+    res.end(Buffer.from(await response.arrayBuffer()));
+  });
+
+  await new Promise(resolve => server.listen(port, '127.0.0.1', resolve));
+  mock.url = `http://127.0.0.1:${server.address().port}`;
+  mock.close = () => new Promise(resolve => server.close(resolve));
+  return mock;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const mock = await startMockTeamSnap(createFixtures(), { port: Number(process.argv[2]) || DEFAULT_PORT });
+  console.log(`Mock TeamSnap listening on ${mock.url}`);
+  console.log(`  TEAMSNAP_AUTH_URL=${mock.url}`);
+  console.log(`  TEAMSNAP_API_URL=${mock.url}/v3`);
+  console.log(`  Signs in as ${mock.user.email}`);
+}
@@ -0,0 +1,113 @@
+/**
+ * A mock TeamSnap: the OAuth2 server and the parts of the collection+json API CalSnap uses, as a fetch-style
+ * handler. The worker tests call it in place of fetch; server.js serves it over HTTP for the end-to-end tests
+ * and `wrangler dev`.
+ */
+
+/**
+ * Builds a collection+json item from a plain object.
+ */
+export function item(fields) {
+  return { data: Object.entries(fields).map(([name, value]) => ({ name, value })) };
+}
+
+/**
+ * Creates the request handler for a mock TeamSnap. The mock is read on every request, so tests can change its
+ * data, make it fail or expire tokens as they go.
+ *
+ * The mock serves its user, teams (teams with user_ids are only listed for those users), events (events with a
+ * team_id are only returned for that team), locations (locations with a division_id are league venues, only served
+ * by ID), availabilities and members. It records API requests and token requests, and issues a new access and
+ * refresh token for every grant. Authorization codes sent without a PKCE verifier, revoked refresh tokens, and API
+ * requests with a revoked or expired access token are refused.
+ * With `failing` set, every request fails with a 503 that asks to be retried straight away. With `pageSize` set,
+ * lists are split into pages linked with rel="next".
+ * @param {Object} mock - { user, teams, events, locations, availabilities, members, requests, tokenRequests,
+ *   revoked, expiredTokens, failing, pageSize }
+ * @returns {function(Request): Promise<Response>}
+ */
+export function createTeamSnapHandler(mock) {
+  let grants = 0;
+
+  const json = (body, status = 200) => new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+  const collection = (url, items) => {
+    const page = Number(url.searchParams.get('page_number')) || 1;
+    const pageItems = mock.pageSize ? items.slice((page - 1) * mock.pageSize, page * mock.pageSize) : items;
+    const links = [];
+    if (mock.pageSize && page * mock.pageSize < items.length) {
+      const next = new URL(url);
+      next.searchParams.set('page_number', page + 1);
+      links.push({ rel: 'next', href: next.href });
+    }
+    return json({ collection: { version: '3.0.0', href: url.href, links, items: pageItems.map(item) } });
+  };
+
+  return async (request) => {
+    const url = new URL(request.url);
+    mock.requests.push(url.pathname + url.search);
+    if (mock.failing) {
+      return new Response('Service Unavailable', { status: 503, headers: { 'Retry-After': '0' } });
+    }
+
+    if (url.pathname === '/oauth/authorize') {
+      // Signs in straight away, as if the user approved CalSnap
+      const redirect = new URL(url.searchParams.get('redirect_uri'));
+      redirect.searchParams.set('code', `authorization-code-${grants + 1}`);
+      redirect.searchParams.set('state', url.searchParams.get('state'));
+      return new Response(null, { status: 302, headers: { Location: redirect.href } });
+    }
+    if (url.pathname === '/oauth/token') {
+      const form = Object.fromEntries(new URLSearchParams(await request.text()));
+      mock.tokenRequests.push(form);
+      if (form.grant_type === 'authorization_code' && !form.code_verifier) {
+        return json({ error: 'invalid_grant' }, 400);
+      }
+      if (form.grant_type === 'refresh_token' && mock.revoked.includes(form.refresh_token)) {
+        return json({ error: 'invalid_grant' }, 400);
+      }
+      grants++;
+      return json({ access_token: `access-token-${grants}`, refresh_token: `refresh-token-${grants}`, token_type: 'bearer', expires_in: 7200 });
+    }
+    if (url.pathname === '/oauth/revoke') {
+      mock.revoked.push(new URLSearchParams(await request.text()).get('token'));
+      return json({});
+    }
+
+    const accessToken = (request.headers.get('Authorization') || '').replace(/^Bearer /, '');
+    if (mock.expiredTokens.includes(accessToken) || mock.revoked.includes(accessToken)) {
+      return json({ collection: { version: '3.0.0', error: { message: 'Unauthorized' } } }, 401);
+    }
+
+    if (url.pathname === '/v3/me') {
+      return collection(url, [mock.user]);
+    }
+    if (url.pathname === '/v3/teams/active') {
+      const userId = url.searchParams.get('user_id');
+      return collection(url, mock.teams.filter(team => !team.user_ids || team.user_ids.map(String).includes(userId)));
+    }
+    const teamMatch = url.pathname.match(/^\/v3\/teams\/(\w+)$/);
+    const team = teamMatch && mock.teams.find(candidate => String(candidate.id) === teamMatch[1]);
+    if (team) {
+      return collection(url, [team]);
+    }
+    if (url.pathname === '/v3/events/search') {
+      const teamId = url.searchParams.get('team_id');
+      return collection(url, mock.events.filter(event => event.team_id === undefined || String(event.team_id) === teamId));
+    }
+    if (url.pathname === '/v3/locations/search') {
+      return collection(url, mock.locations.filter(location => location.division_id === undefined));
+    }
+    const locationMatch = url.pathname.match(/^\/v3\/locations\/(\w+)$/);
+    const location = locationMatch && mock.locations.find(candidate => String(candidate.id) === locationMatch[1]);
+    if (location) {
+      return collection(url, [location]);
+    }
+    if (url.pathname === '/v3/availabilities/search') {
+      return collection(url, mock.availabilities);
+    }
+    if (url.pathname === '/v3/members/search') {
+      return collection(url, mock.members);
+    }
+    return new Response('Not Found', { status: 404 });
+  };
+}
@@ -0,0 +1,176 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import worker from '../index.js';
+import { unfoldLines } from '../src/ics.js';
+import { SUGGESTED_STRIP_PATTERNS, applyOpponentRules, formatOpponentName, listOpponents, mergeOpponentRules, normalizeOpponentRules, validateOpponentRules } from '../src/opponents.js';
+import { createKV, mockTeamSnap, signIn } from './helpers/mock-env.js';
+
+const allSuggestions = normalizeOpponentRules({ stripPatterns: Object.keys(SUGGESTED_STRIP_PATTERNS) });
+
+test('strips birth years, divisions, levels and colours', () => {
+  assert.equal(formatOpponentName('Forest Hill Knights 2014 U12 AAA Black', allSuggestions), 'Forest Hill Knights');
+  assert.equal(formatOpponentName('North York Jets - 2014', allSuggestions), 'North York Jets');
+  assert.equal(formatOpponentName('2014', allSuggestions), '2014');
+  assert.equal(formatOpponentName('Forest Hill Knights 2014', normalizeOpponentRules({})), 'Forest Hill Knights 2014');
+});
+
+test('prefers an alias for the full name, then for the stripped name', () => {
+  const rules = normalizeOpponentRules({
+    aliases: [
+      { from: 'forest hill knights', to: 'Knights' },
+      { from: 'Forest Hill Knights 2014 U12 AAA Red', to: 'Knights (Red)' },
+      { from: 'Jets', to: '' },
+    ],
+    stripPatterns: Object.keys(SUGGESTED_STRIP_PATTERNS),
+  });
+  assert.equal(rules.aliases.length, 2);
+  assert.equal(formatOpponentName('Forest Hill  Knights 2014 U12 AAA Red', rules), 'Knights (Red)');
+  assert.equal(formatOpponentName('Forest Hill Knights 2014 U12 AAA Black', rules), 'Knights');
+});
+
+test('lets team aliases win over global ones', () => {
+  const rules = mergeOpponentRules(
+    { aliases: [{ from: 'Knights', to: 'FHK' }], stripPatterns: ['Black'] },
+    { aliases: [{ from: 'knights', to: 'Forest Hill' }], stripPatterns: ['U12'] }
+  );
+  assert.deepEqual(rules.stripPatterns, ['Black', 'U12']);
+  assert.equal(formatOpponentName('Knights', rules), 'Forest Hill');
+});
+
+test('runs entered stripping rules as regular expressions', () => {
+  const rules = normalizeOpponentRules({ stripPatterns: '\\b20\\d\\d\\b\nU\\d+ (AAA|AA|A)$' });
+  assert.equal(formatOpponentName('Knights 2014 U12 AA', rules), 'Knights');
+  assert.equal(formatOpponentName('Jets U12 AAA Black', rules), 'Jets U12 AAA Black');
+
+  // Rules that slipped past validation are skipped
+  const unsafe = normalizeOpponentRules({ stripPatterns: ['(a+)+$', '[unclosed', 'Jets'] });
+  assert.equal(formatOpponentName(`${'a'.repeat(40)}! Jets`, unsafe), `${'a'.repeat(40)}!`);
+});
+
+test('rejects stripping rules that are invalid, could be slow, too long or too many', () => {
+  assert.equal(validateOpponentRules({ stripPatterns: '\\d{4}\nU\\d+\n(?:AAA|AA)+\n[(+]+\n(Black|White)?' }), null);
+  assert.equal(validateOpponentRules({ stripPatterns: Object.keys(SUGGESTED_STRIP_PATTERNS) }), null);
+  assert.match(validateOpponentRules({ stripPatterns: ['[unclosed'] }), /^Invalid stripping rule \[unclosed/);
+  for (const pattern of ['(a+)+$', '(\\w+\\s?)*', '(?:x|(a*))+', '(\\d{2,})*', '(a)\\1', '(?<x>a)\\k<x>']) {
+    assert.match(validateOpponentRules({ stripPatterns: [pattern] }), /could be too slow/, pattern);
+  }
+  assert.match(validateOpponentRules({ stripPatterns: ['a'.repeat(201)] }), /too long/);
+  assert.match(validateOpponentRules({ stripPatterns: Array.from({ length: 51 }, (value, index) => `Team ${index}`) }), /Too many/);
+});
+
+test('keeps the full name and lists distinct opponents', () => {
+  const eventData = applyOpponentRules({ opponent_name: 'Jets 2014' }, allSuggestions);
+  assert.equal(eventData.opponent_name, 'Jets');
+  assert.equal(eventData.opponent_full_name, 'Jets 2014');
+  assert.deepEqual(applyOpponentRules({ name: 'Practice' }, allSuggestions), { name: 'Practice' });
+
+  assert.deepEqual(listOpponents([{ opponent_name: 'Jets 2014' }, { opponent_name: 'Knights U12' }, { opponent_name: 'Jets 2014' }, {}], allSuggestions), [
+    { name: 'Jets 2014', formatted: 'Jets', count: 2 },
+    { name: 'Knights U12', formatted: 'Knights', count: 1 },
+  ]);
+});
+
+let kv;
+let env;
+let teamSnap;
+let session;
+
+beforeEach(async () => {
+  kv = createKV();
+  env = { CALSNAP_CALENDAR_STORE: kv, TEAMSNAP_CLIENT_SECRET: 'client-secret', ALLOWED_USER_EMAIL: 'coach@example.com' };
+  await kv.put('custom_team_name_10', 'Leafs');
+
+  const game = (fields) => ({ is_game: true, time_zone_iana_name: 'America/Toronto', updated_at: '2030-08-01T12:00:00Z', ...fields });
+  teamSnap = mockTeamSnap({
+    teams: [
+      { id: 10, name: 'North Toronto Leafs', time_zone_iana_name: 'America/Toronto' },
+      { id: 20, name: 'North Toronto Leafs Minor', time_zone_iana_name: 'America/Toronto' },
+    ],
+    events: [
+      game({ id: 1, team_id: 10, opponent_name: 'Forest Hill Knights 2014 U12 AAA Black', game_type: 'Home', start_date: '2030-09-20T19:00:00Z' }),
+      game({ id: 2, team_id: 10, opponent_name: 'North York Jets 2014 U12 AA', game_type: 'Away', start_date: '2030-09-27T19:00:00Z' }),
+      game({ id: 3, team_id: 20, opponent_name: 'East York Lynx 2015', start_date: '2030-09-28T19:00:00Z' }),
+    ],
+  });
+
+  session = await signIn(worker, env);
+});
+
+afterEach(() => {
+  teamSnap.restore();
+});
+
+const api = (method, path, body) => worker.fetch(new Request(`https://calsnap.test${path}`, {
+  method,
+  headers: { 'Content-Type': 'application/json', Cookie: session.cookie, 'X-CSRF-Token': session.csrfToken },
+  body: body ? JSON.stringify(body) : undefined,
+}), env, {});
+
+const readSummaries = async (teamIndex) => {
+  const { teams } = await (await api('GET', '/api/teams')).json();
+  const response = await worker.fetch(new Request(teams[teamIndex].calendars.all), env, {});
+  return unfoldLines(await response.text()).filter(line => line.startsWith('SUMMARY:'));
+};
+
+test('applies team and global rules to titles and descriptions', async () => {
+  assert.deepEqual(await readSummaries(0), [
+    'SUMMARY:Leafs vs. Forest Hill Knights 2014 U12 AAA Black',
+    'SUMMARY:Leafs vs. North York Jets 2014 U12 AA',
+  ]);
+
+  const saved = await api('POST', '/api/team-settings', {
+    teamId: 10,
+    opponentRules: { aliases: [{ from: 'North York Jets', to: 'Jets' }], stripPatterns: '\\bU\\d{1,2}\\b\nAAA\nAA\nBlack' },
+    templates: { gameDescription: '{matchup} ({opponent_full_name})' },
+  });
+  assert.equal(saved.status, 200);
+  assert.equal((await api('POST', '/api/team-settings', { teamId: 10, globalOpponentRules: { stripPatterns: ['\\b(19|20)\\d{2}\\b'] } })).status, 200);
+
+  assert.deepEqual(await readSummaries(0), ['SUMMARY:Leafs vs. Forest Hill Knights', 'SUMMARY:Leafs vs. Jets']);
+  assert.deepEqual(await readSummaries(1), ['SUMMARY:North Toronto Leafs Minor vs. East York Lynx']);
+
+  const { teams } = await (await api('GET', '/api/teams')).json();
+  const lines = unfoldLines(await (await worker.fetch(new Request(teams[0].calendars.all), env, {})).text());
+  assert.ok(lines.includes('DESCRIPTION:Home vs. Forest Hill Knights (Forest Hill Knights 2014 U12 AAA Black)'));
+
+  const settings = await (await api('GET', '/api/team-settings?teamId=10')).json();
+  assert.deepEqual(settings.opponentRules.aliases, [{ from: 'North York Jets', to: 'Jets' }]);
+  assert.deepEqual(settings.globalOpponentRules.stripPatterns, ['\\b(19|20)\\d{2}\\b']);
+  assert.ok(await kv.get('opponent_rules_user_1'));
+  assert.equal(await kv.get('opponent_rules'), null);
+});
+
+test('keeps each user\'s rules for all teams to their own calendars', async () => {
+  const { teams } = await (await api('GET', '/api/teams')).json();
+  const ownUrl = teams[0].calendars.all;
+  await worker.fetch(new Request(ownUrl), env, {});
+
+  // A calendar set up before sign-in was per user, and another manager's link to the same team
+  await kv.put('calendar_token:legacy-all', JSON.stringify({ teamId: 10, filterType: 'all' }));
+  await kv.put('oauth_access_token', 'access-token-1');
+  await kv.put('calendar_token:manager-all', JSON.stringify({ teamId: 10, filterType: 'all', userId: 2 }));
+  await kv.put('oauth_access_token_2', 'access-token-1');
+  const summaries = async (url) => unfoldLines(await (await worker.fetch(new Request(url), env, {})).text()).filter(line => line.startsWith('SUMMARY:'));
+  await summaries('https://calsnap.test/manager-all.ics');
+
+  await api('POST', '/api/team-settings', { teamId: 10, globalOpponentRules: { stripPatterns: ['\\b(19|20)\\d{2}\\b'] } });
+  assert.equal(await kv.get('calendar_team_10_all_2'), null);
+  assert.deepEqual(await summaries(ownUrl), ['SUMMARY:Leafs vs. Forest Hill Knights U12 AAA Black', 'SUMMARY:Leafs vs. North York Jets U12 AA']);
+  assert.deepEqual(await summaries('https://calsnap.test/manager-all.ics'), ['SUMMARY:Leafs vs. Forest Hill Knights 2014 U12 AAA Black', 'SUMMARY:Leafs vs. North York Jets 2014 U12 AA']);
+  assert.deepEqual(await summaries('https://calsnap.test/legacy-all.ics'), ['SUMMARY:Leafs vs. Forest Hill Knights 2014 U12 AAA Black', 'SUMMARY:Leafs vs. North York Jets 2014 U12 AA']);
+});
+
+test('previews every opponent under unsaved rules', async () => {
+  await api('POST', '/api/team-settings', { teamId: 10, globalOpponentRules: { stripPatterns: ['\\b(19|20)\\d{2}\\b'] } });
+
+  const response = await api('POST', '/api/opponent-preview', { teamId: 10, opponentRules: { stripPatterns: ['\\bU\\d{1,2}\\b', '\\b(AAA|AA|A|BB|B|HL|MD|LL)\\b', 'Black'] } });
+  assert.deepEqual((await response.json()).opponents, [
+    { name: 'Forest Hill Knights 2014 U12 AAA Black', formatted: 'Forest Hill Knights', count: 1 },
+    { name: 'North York Jets 2014 U12 AA', formatted: 'North York Jets', count: 1 },
+  ]);
+
+  const invalid = await api('POST', '/api/opponent-preview', { teamId: 10, opponentRules: { stripPatterns: ['a'.repeat(201)] } });
+  assert.equal(invalid.status, 400);
+  assert.equal((await api('POST', '/api/team-settings', { teamId: 10, opponentRules: { stripPatterns: ['a'.repeat(201)] } })).status, 400);
+});
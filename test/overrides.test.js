@@ -0,0 +1,151 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import worker from '../index.js';
+import { unfoldLines } from '../src/ics.js';
+import { applyEventOverride, applyTextOverride, isOverrideOutdated, normalizeOverride, validateOverride } from '../src/overrides.js';
+import { createKV, mockTeamSnap, signIn } from './helpers/mock-env.js';
+
+test('cleans up overrides and rejects empty or backwards ones', () => {
+  assert.deepEqual(normalizeOverride({ title: { mode: 'append', value: ' (Rink 3) ' }, description: { value: '' }, startDate: 'nonsense' }), {
+    hidden: false,
+    title: { mode: 'append', value: '(Rink 3)' },
+    description: null,
+    location: null,
+    startDate: null,
+    endDate: null,
+  });
+  assert.equal(normalizeOverride({ location: { mode: 'other', value: 'Rinx' } }).location.mode, 'replace');
+
+  assert.equal(validateOverride({ hidden: true }), null);
+  assert.equal(validateOverride({ title: { value: '  ' } }), 'Choose at least one change');
+  assert.equal(validateOverride({ startDate: 'nonsense' }), 'Start time is not a valid date');
+  assert.equal(validateOverride({ startDate: '2030-09-20T20:00:00Z', endDate: '2030-09-20T19:00:00Z' }), 'End time must be after the start time');
+});
+
+test('replaces or appends text', () => {
+  const override = normalizeOverride({ title: { value: 'Leafs vs. Knights' }, description: { mode: 'append', value: 'Bring white jerseys' } });
+  assert.equal(applyTextOverride('title', 'Leafs vs. Nights', override), 'Leafs vs. Knights');
+  assert.equal(applyTextOverride('description', 'Arrive early', override), 'Arrive early\n\nBring white jerseys');
+  assert.equal(applyTextOverride('description', '', override), 'Bring white jerseys');
+  assert.equal(applyTextOverride('location', 'Rinx', override), 'Rinx');
+  assert.equal(applyTextOverride('title', 'Practice', null), 'Practice');
+});
+
+test('moves times with the arrival time and drops a replaced venue', () => {
+  const eventData = {
+    start_date: '2030-09-20T19:00:00Z',
+    end_date: '2030-09-20T20:00:00Z',
+    arrival_date: '2030-09-20T18:30:00Z',
+    location_id: 5,
+    location_name: 'Canlan',
+  };
+
+  const moved = applyEventOverride(eventData, normalizeOverride({ startDate: '2030-09-20T21:00:00Z', location: { mode: 'append', value: 'Rink 3' } }));
+  assert.equal(moved.start_date, '2030-09-20T21:00:00.000Z');
+  assert.equal(moved.end_date, '2030-09-20T22:00:00.000Z');
+  assert.equal(moved.arrival_date, '2030-09-20T20:30:00.000Z');
+  assert.equal(moved.location_name, 'Canlan, Rink 3');
+  assert.equal(moved.location_id, 5);
+
+  const replaced = applyEventOverride(eventData, normalizeOverride({ endDate: '2030-09-20T21:00:00Z', location: { value: 'Memorial Arena' } }));
+  assert.equal(replaced.start_date, '2030-09-20T19:00:00Z');
+  assert.equal(replaced.end_date, '2030-09-20T21:00:00.000Z');
+  assert.equal(replaced.location_name, 'Memorial Arena');
+  assert.equal(replaced.location_id, null);
+
+  assert.equal(applyEventOverride(eventData, null), eventData);
+});
+
+test('flags overrides whose event changed after they were saved', () => {
+  const override = { upstreamUpdatedAt: '2030-08-01T12:00:00Z' };
+  assert.equal(isOverrideOutdated(override, { updated_at: '2030-08-01T12:00:00.000Z' }), false);
+  assert.equal(isOverrideOutdated(override, { updated_at: '2030-08-02T12:00:00Z' }), true);
+  assert.equal(isOverrideOutdated({ upstreamUpdatedAt: null }, { updated_at: '2030-08-02T12:00:00Z' }), false);
+});
+
+let kv;
+let env;
+let teamSnap;
+let session;
+
+beforeEach(async () => {
+  kv = createKV();
+  env = { CALSNAP_CALENDAR_STORE: kv, TEAMSNAP_CLIENT_SECRET: 'client-secret', ALLOWED_USER_EMAIL: 'coach@example.com' };
+  await kv.put('custom_team_name_10', 'Leafs');
+
+  const event = (fields) => ({ time_zone_iana_name: 'America/Toronto', updated_at: '2030-08-01T12:00:00Z', ...fields });
+  teamSnap = mockTeamSnap({
+    team: { id: 10, name: 'North Toronto Leafs', time_zone_iana_name: 'America/Toronto' },
+    events: [
+      event({ id: 1, is_game: true, opponent_name: 'Nights', start_date: '2030-09-20T19:00:00Z', end_date: '2030-09-20T20:00:00Z', location_name: 'Canlan' }),
+      event({ id: 2, name: 'Practice', start_date: '2030-09-21T14:00:00Z', end_date: '2030-09-21T15:00:00Z' }),
+    ],
+  });
+
+  session = await signIn(worker, env);
+});
+
+afterEach(() => {
+  teamSnap.restore();
+});
+
+const api = (method, path, body) => worker.fetch(new Request(`https://calsnap.test${path}`, {
+  method,
+  headers: { 'Content-Type': 'application/json', Cookie: session.cookie, 'X-CSRF-Token': session.csrfToken },
+  body: body ? JSON.stringify(body) : undefined,
+}), env, {});
+
+const readFeed = async () => {
+  const { teams } = await (await api('GET', '/api/teams')).json();
+  const response = await worker.fetch(new Request(teams[0].calendars.all), env, {});
+  return unfoldLines(await response.text());
+};
+
+test('applies overrides to every calendar of the team', async () => {
+  assert.ok((await readFeed()).includes('SUMMARY:Leafs vs. Nights'));
+
+  const saved = await api('POST', '/api/event-overrides', {
+    teamId: 10,
+    eventId: 1,
+    title: { mode: 'replace', value: 'Leafs vs. Knights' },
+    location: { mode: 'append', value: 'Rink 3' },
+    startDate: '2030-09-20T20:00:00Z',
+  });
+  assert.equal(saved.status, 200);
+  assert.equal((await saved.json()).override.outdated, false);
+
+  await api('POST', '/api/event-overrides', { teamId: 10, eventId: 2, hidden: true });
+
+  const lines = await readFeed();
+  assert.deepEqual(lines.filter(line => line.startsWith('SUMMARY:')), ['SUMMARY:Leafs vs. Knights']);
+  assert.ok(lines.includes('DTSTART;TZID=America/Toronto:20300920T160000'));
+  assert.ok(lines.includes('DTEND;TZID=America/Toronto:20300920T170000'));
+  assert.ok(lines.includes('LOCATION:Canlan\\, Rink 3'));
+
+  // Removing the override restores TeamSnap's event
+  assert.equal((await api('DELETE', '/api/event-overrides?teamId=10&eventId=2')).status, 200);
+  assert.ok((await readFeed()).includes('SUMMARY:Practice'));
+});
+
+test('flags an override when the event later changes in TeamSnap', async () => {
+  await api('POST', '/api/event-overrides', { teamId: 10, eventId: 1, description: { mode: 'append', value: 'Bring white jerseys' } });
+
+  teamSnap.events[0].updated_at = '2030-08-05T12:00:00Z';
+  const { events, overrides } = await (await api('GET', '/api/event-overrides?teamId=10')).json();
+  assert.deepEqual(events.map(event => event.title), ['vs. Nights', 'Practice']);
+  assert.equal(overrides.length, 1);
+  assert.equal(overrides[0].outdated, true);
+  assert.equal(overrides[0].event.title, 'vs. Nights');
+
+  // Saving it again marks it as reviewed
+  const resaved = await api('POST', '/api/event-overrides', { teamId: 10, eventId: 1, description: { mode: 'append', value: 'Bring white jerseys' } });
+  assert.equal((await resaved.json()).override.outdated, false);
+});
+
+test('rejects unknown events and invalid overrides', async () => {
+  assert.equal((await api('POST', '/api/event-overrides', { teamId: 10, eventId: 99, hidden: true })).status, 404);
+  assert.equal((await api('POST', '/api/event-overrides', { teamId: 10, eventId: 1 })).status, 400);
+  assert.equal((await api('DELETE', '/api/event-overrides?teamId=10&eventId=1')).status, 404);
+  assert.equal((await api('GET', '/api/event-overrides')).status, 400);
+});
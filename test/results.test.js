@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import worker from '../index.js';
+import { unfoldLines } from '../src/ics.js';
+import { formatResultDescription, formatResultTitle, getGameResult, getResultsFingerprint } from '../src/results.js';
+import { createKV, mockTeamSnap } from './helpers/mock-env.js';
+
+const game = {
+  id: 1,
+  is_game: true,
+  opponent_name: 'Knights',
+  points_for_team: 4,
+  points_for_opponent: 2,
+  is_overtime: true,
+  is_shootout: false,
+  results_url: 'https://example.com/results/1',
+};
+
+test('reads the result of a played game', () => {
+  assert.deepEqual(getGameResult(game), {
+    teamScore: 4,
+    opponentScore: 2,
+    outcome: 'W',
+    overtime: true,
+    shootout: false,
+    shootoutTeam: null,
+    shootoutOpponent: null,
+  });
+  assert.equal(getGameResult({ ...game, points_for_team: null }), null);
+  assert.equal(getGameResult({ ...game, is_game: false }), null);
+  assert.equal(getGameResult({ ...game, points_for_team: 0, points_for_opponent: 0, is_overtime: false }).outcome, 'T');
+});
+
+test('decides tied games by the shootout', () => {
+  const result = getGameResult({
+    ...game,
+    points_for_team: 3,
+    points_for_opponent: 3,
+    is_shootout: true,
+    shootout_points_for_team: 1,
+    shootout_points_for_opponent: 2,
+  });
+  assert.equal(result.outcome, 'L');
+  assert.equal(formatResultTitle(result, 'Leafs', 'Knights'), 'Leafs 3–3 Knights (SO) L');
+});
+
+test('formats the result title, without the opponent when names are hidden', () => {
+  const result = getGameResult(game);
+  assert.equal(formatResultTitle(result, 'Leafs', 'Knights'), 'Leafs 4–2 Knights (OT) W');
+  assert.equal(formatResultTitle(result, 'Leafs', ''), 'Leafs 4–2 (OT) W');
+});
+
+test('formats the score breakdown and results link', () => {
+  assert.equal(
+    formatResultDescription(game, { teamName: 'Leafs' }),
+    'Final: Win 4–2 (OT)\nLeafs 4 · Knights 2\nResults: https://example.com/results/1'
+  );
+  assert.equal(
+    formatResultDescription({ is_game: true, formatted_results: 'W 4-2' }, { teamName: 'Leafs' }),
+    'Result: W 4-2'
+  );
+  assert.equal(formatResultDescription({ is_game: true }, { teamName: 'Leafs' }), '');
+});
+
+test('changes the fingerprint when a score is entered', () => {
+  const unplayed = { ...game, points_for_team: null, points_for_opponent: null };
+  assert.equal(getResultsFingerprint([unplayed]), getResultsFingerprint([{ ...unplayed }]));
+  assert.notEqual(getResultsFingerprint([unplayed]), getResultsFingerprint([game]));
+});
+
+test('regenerates the feed when a score is entered without an updated_at change', async () => {
+  const kv = createKV();
+  const env = { CALSNAP_CALENDAR_STORE: kv };
+  await kv.put('oauth_access_token', 'access-token');
+  await kv.put('calendar_token:leafs-games', JSON.stringify({ teamId: 10, filterType: 'games' }));
+  await kv.put('custom_team_name_10', 'Leafs');
+  await kv.put('show_results_10', 'true');
+
+  const teamSnap = mockTeamSnap({
+    team: { id: 10, name: 'North Toronto Leafs' },
+    events: [{
+      ...game,
+      points_for_team: null,
+      points_for_opponent: null,
+      game_type: 'Home',
+      start_date: '2025-01-20T19:00:00Z',
+      updated_at: '2025-01-01T12:00:00Z',
+    }],
+  });
+
+  try {
+    await worker.scheduled({}, env, {});
+    assert.ok(unfoldLines(await kv.get('calendar_team_10_games')).includes('SUMMARY:Leafs vs. Knights'));
+
+    Object.assign(teamSnap.events[0], { points_for_team: 4, points_for_opponent: 2 });
+    await worker.scheduled({}, env, {});
+    const lines = unfoldLines(await kv.get('calendar_team_10_games'));
+    assert.ok(lines.includes('SUMMARY:Leafs 4–2 Knights (OT) W'));
+    assert.ok(lines.some(line => line.startsWith('DESCRIPTION:Final: Win 4–2 (OT)')));
+  } finally {
+    teamSnap.restore();
+  }
+});
@@ -0,0 +1,126 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import worker from '../index.js';
+import { parseMonth, renderSchedulePage } from '../src/schedule-page.js';
+import { createKV, mockTeamSnap, signIn } from './helpers/mock-env.js';
+
+const NOW = Date.parse('2030-09-20T12:00:00Z');
+
+const event = (fields) => ({
+  title: 'Leafs vs. Knights',
+  type: 'game',
+  homeAway: 'home',
+  location: 'Canlan',
+  arrival: null,
+  timeZone: 'America/Toronto',
+  cancelled: false,
+  ...fields,
+});
+
+const schedule = {
+  name: 'Leafs',
+  timeZone: 'America/Toronto',
+  events: [
+    event({ title: 'Leafs vs. Jets', start: '2030-09-13T15:00:00-04:00', end: '2030-09-13T16:00:00-04:00' }),
+    event({ start: '2030-09-20T15:00:00-04:00', end: '2030-09-20T16:00:00-04:00', arrival: '2030-09-20T14:30:00-04:00' }),
+    event({ title: 'Practice <Rink 3>', type: 'practice', homeAway: null, start: '2030-10-02T18:00:00-04:00', end: '2030-10-02T19:00:00-04:00', cancelled: true }),
+  ],
+};
+
+test('reads the month parameter', () => {
+  assert.deepEqual(parseMonth('2030-09'), { year: 2030, month: 9 });
+  assert.equal(parseMonth('2030-13'), null);
+  assert.equal(parseMonth('September'), null);
+  assert.equal(parseMonth(null), null);
+});
+
+test('lists upcoming events by day and escapes titles', () => {
+  const page = renderSchedulePage(schedule, { subscribeUrl: 'webcal://calsnap.test/abc.ics', view: 'list', now: NOW });
+  assert.ok(page.includes('<title>Leafs</title>'));
+  assert.ok(page.includes('href="webcal://calsnap.test/abc.ics"'));
+  assert.ok(!page.includes('Leafs vs. Jets'));
+  assert.ok(page.includes('<h3>Friday, September 20</h3>'));
+  assert.ok(page.includes('<time datetime="2030-09-20T15:00:00-04:00">3:00 PM</time>'));
+  assert.ok(page.includes('Arrive 2:30 PM · Canlan · Home'));
+  assert.ok(page.includes('<li class="cancelled">'));
+  assert.ok(page.includes('Practice &lt;Rink 3&gt;'));
+  assert.ok(!page.includes('<table>'));
+});
+
+test('shows the current month grid with links to the next and previous months', () => {
+  const page = renderSchedulePage(schedule, { subscribeUrl: 'webcal://calsnap.test/abc.ics', view: 'month', embed: true, now: NOW });
+  assert.ok(page.includes('<h2>September 2030</h2>'));
+  assert.ok(page.includes('href="?month=2030-08&amp;embed=1&amp;view=month"'));
+  assert.ok(page.includes('href="?month=2030-10&amp;embed=1&amp;view=month"'));
+  assert.ok(page.includes('<td class="today"><div class="date">20</div>'));
+  assert.ok(page.includes('<span>Leafs vs. Jets</span>'));
+  assert.ok(page.includes('target="_top"'));
+  assert.ok(!page.includes('Upcoming'));
+
+  // Sept 1, 2030 is a Sunday; October 2030 starts on a Tuesday
+  assert.ok(page.includes('<tbody><tr><td><div class="date">1</div>'));
+  const october = renderSchedulePage(schedule, { subscribeUrl: 'webcal://calsnap.test/abc.ics', month: '2030-10', now: NOW });
+  assert.ok(october.includes('<tbody><tr><td></td><td></td><td><div class="date">1</div>'));
+  assert.ok(october.includes('class="cancelled"'));
+});
+
+test('shows all-day events on every day they span', () => {
+  const tournament = event({ title: 'Fall Classic', type: 'tournament', start: '2030-09-27T00:00:00-04:00', end: '2030-09-30T00:00:00-04:00', allDay: true });
+  const page = renderSchedulePage({ ...schedule, events: [tournament] }, { subscribeUrl: 'webcal://calsnap.test/abc.ics', view: 'all', now: NOW });
+  assert.ok(page.includes('<time datetime="2030-09-27T00:00:00-04:00">All day</time>'));
+  const days = page.match(/<div class="date">\d+<\/div><ul><li title="All day Fall Classic">/g) || [];
+  assert.equal(days.length, 3);
+});
+
+let kv;
+let env;
+let teamSnap;
+let session;
+
+beforeEach(async () => {
+  kv = createKV();
+  env = { CALSNAP_CALENDAR_STORE: kv, TEAMSNAP_CLIENT_SECRET: 'client-secret', ALLOWED_USER_EMAIL: 'coach@example.com' };
+  await kv.put('custom_team_name_10', 'Leafs');
+
+  teamSnap = mockTeamSnap({
+    team: { id: 10, name: 'North Toronto Leafs', time_zone_iana_name: 'America/Toronto' },
+    events: [
+      { id: 1, is_game: true, opponent_name: 'Knights', time_zone_iana_name: 'America/Toronto', start_date: '2030-09-20T19:00:00Z', end_date: '2030-09-20T20:00:00Z' },
+    ],
+  });
+
+  session = await signIn(worker, env);
+});
+
+afterEach(() => {
+  teamSnap.restore();
+});
+
+const getCalendarUrl = async () => {
+  const response = await worker.fetch(new Request('https://calsnap.test/api/teams', { headers: { Cookie: session.cookie } }), env, {});
+  return (await response.json()).teams[0].calendars.all;
+};
+
+test('serves the schedule page for a calendar link', async () => {
+  const icsUrl = await getCalendarUrl();
+  const response = await worker.fetch(new Request(`${icsUrl.replace(/\.ics$/, '.html')}?month=2030-09`), env, {});
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('Content-Type'), 'text/html; charset=utf-8');
+  assert.match(response.headers.get('Content-Security-Policy'), /frame-ancestors 'none'/);
+  assert.equal(response.headers.get('Referrer-Policy'), 'no-referrer');
+
+  const page = await response.text();
+  assert.ok(page.includes('<h1>Leafs</h1>'));
+  assert.ok(page.includes(`href="${icsUrl.replace('https://', 'webcal://')}"`));
+  assert.ok(page.includes('<span>Leafs vs. Knights</span>'));
+});
+
+test('lets other sites frame the embed mode', async () => {
+  const icsUrl = await getCalendarUrl();
+  const response = await worker.fetch(new Request(`${icsUrl.replace(/\.ics$/, '.html')}?embed=1`), env, {});
+  assert.match(response.headers.get('Content-Security-Policy'), /frame-ancestors \*/);
+  assert.ok((await response.text()).includes('<body class="embed">'));
+
+  assert.equal((await worker.fetch(new Request('https://calsnap.test/not-a-token.html'), env, {})).status, 400);
+});
@@ -0,0 +1,150 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import worker from '../index.js';
+import { formatScheduleCsv, formatScheduleJson, toCsvField } from '../src/schedule.js';
+import { createKV, mockTeamSnap, signIn } from './helpers/mock-env.js';
+
+test('quotes CSV fields and defuses spreadsheet formulas', () => {
+  assert.equal(toCsvField('Canlan'), 'Canlan');
+  assert.equal(toCsvField('Canlan, Rink 3'), '"Canlan, Rink 3"');
+  assert.equal(toCsvField('Bring "white" jerseys\nand sticks'), '"Bring ""white"" jerseys\nand sticks"');
+  assert.equal(toCsvField('=HYPERLINK("http://evil.test")'), '"\'=HYPERLINK(""http://evil.test"")"');
+  assert.equal(toCsvField('-5'), "'-5");
+  assert.equal(toCsvField(null), '');
+});
+
+const schedule = {
+  name: 'Leafs',
+  timeZone: 'America/Toronto',
+  events: [{
+    id: '1',
+    title: 'Leafs vs. Knights',
+    type: 'game',
+    team: 'Leafs',
+    opponent: 'Knights',
+    homeAway: 'home',
+    start: '2030-09-20T15:00:00-04:00',
+    end: '2030-09-20T16:00:00-04:00',
+    arrival: null,
+    timeZone: 'America/Toronto',
+    location: 'Canlan, Rink 3',
+    address: null,
+    uniform: 'White',
+    notes: null,
+    description: null,
+    cancelled: true,
+    url: 'https://go.teamsnap.com/10/schedule/view_event/1',
+  }],
+};
+
+test('formats a schedule as CSV rows in local time', () => {
+  const rows = formatScheduleCsv(schedule).split('\r\n');
+  assert.ok(rows[0].startsWith('﻿Date,Start,End,Arrival,Title,Type,Team,Opponent'));
+  assert.equal(rows[1], '2030-09-20,15:00,16:00,,Leafs vs. Knights,game,Leafs,Knights,home,"Canlan, Rink 3",,White,,Cancelled,America/Toronto,https://go.teamsnap.com/10/schedule/view_event/1');
+  assert.equal(rows[2], '');
+});
+
+test('formats a schedule as JSON', () => {
+  const json = JSON.parse(formatScheduleJson(schedule, { updatedAt: Date.parse('2030-08-01T12:00:00Z') }));
+  assert.equal(json.name, 'Leafs');
+  assert.equal(json.updatedAt, '2030-08-01T12:00:00.000Z');
+  assert.deepEqual(json.events, schedule.events);
+});
+
+let kv;
+let env;
+let teamSnap;
+let session;
+
+beforeEach(async () => {
+  kv = createKV();
+  env = { CALSNAP_CALENDAR_STORE: kv, TEAMSNAP_CLIENT_SECRET: 'client-secret', ALLOWED_USER_EMAIL: 'coach@example.com' };
+  await kv.put('custom_team_name_10', 'Leafs');
+
+  const event = (fields) => ({ time_zone_iana_name: 'America/Toronto', updated_at: '2030-08-01T12:00:00Z', ...fields });
+  teamSnap = mockTeamSnap({
+    team: { id: 10, name: 'North Toronto Leafs', time_zone_iana_name: 'America/Toronto' },
+    events: [
+      event({ id: 2, is_game: true, opponent_name: 'Jets', game_type_code: 2, start_date: '2030-09-27T19:00:00Z', end_date: '2030-09-27T20:00:00Z' }),
+      event({ id: 1, is_game: true, opponent_name: 'Knights', game_type_code: 1, start_date: '2030-09-20T19:00:00Z', end_date: '2030-09-20T20:00:00Z', location_name: 'Canlan', notes: '=1+1' }),
+      event({ id: 3, name: 'Practice', start_date: '2030-09-21T14:00:00Z', end_date: '2030-09-21T15:00:00Z' }),
+    ],
+  });
+
+  session = await signIn(worker, env);
+});
+
+afterEach(() => {
+  teamSnap.restore();
+});
+
+const api = (method, path, body) => worker.fetch(new Request(`https://calsnap.test${path}`, {
+  method,
+  headers: { 'Content-Type': 'application/json', Cookie: session.cookie, 'X-CSRF-Token': session.csrfToken },
+  body: body ? JSON.stringify(body) : undefined,
+}), env, {});
+
+const getCalendarUrl = async (name) => (await (await api('GET', '/api/teams')).json()).teams[0].calendars[name];
+
+test('exports the same events as the calendar as JSON', async () => {
+  const url = (await getCalendarUrl('games')).replace(/\.ics$/, '.json');
+  const response = await worker.fetch(new Request(url), env, {});
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('Content-Type'), 'application/json; charset=utf-8');
+  assert.equal(response.headers.get('Access-Control-Allow-Origin'), '*');
+
+  const json = await response.json();
+  assert.equal(json.timeZone, 'America/Toronto');
+  assert.deepEqual(json.events.map(event => event.title), ['Leafs vs. Knights', 'Leafs vs. Jets']);
+  assert.equal(json.events[0].start, '2030-09-20T15:00:00-04:00');
+  assert.equal(json.events[0].homeAway, 'home');
+  assert.equal(json.events[0].location, 'Canlan');
+});
+
+test('exports renamed events as CSV', async () => {
+  await api('POST', '/api/event-overrides', { teamId: 10, eventId: 3, title: { mode: 'append', value: '(Rink 3)' } });
+
+  const url = (await getCalendarUrl('all')).replace(/\.ics$/, '.csv');
+  const response = await worker.fetch(new Request(url), env, {});
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('Content-Type'), 'text/csv; charset=utf-8');
+  assert.match(response.headers.get('Content-Disposition'), /^attachment; filename="10_all\.csv"$/);
+
+  const rows = (await response.text()).split('\r\n');
+  assert.equal(rows.length, 5);
+  assert.ok(rows[1].startsWith('2030-09-20,15:00,16:00,'));
+  assert.ok(rows[1].includes(",'=1+1,"));
+  assert.ok(rows[2].startsWith('2030-09-21,10:00,11:00,,Practice (Rink 3),practice,'));
+});
+
+test('answers conditional requests with an ETag per format', async () => {
+  const icsUrl = await getCalendarUrl('all');
+  const jsonUrl = icsUrl.replace(/\.ics$/, '.json');
+  const ics = await worker.fetch(new Request(icsUrl), env, {});
+  const json = await worker.fetch(new Request(jsonUrl), env, {});
+  const etag = json.headers.get('ETag');
+  assert.notEqual(etag, ics.headers.get('ETag'));
+
+  const notModified = await worker.fetch(new Request(jsonUrl, { headers: { 'If-None-Match': etag } }), env, {});
+  assert.equal(notModified.status, 304);
+  const other = await worker.fetch(new Request(jsonUrl, { headers: { 'If-None-Match': ics.headers.get('ETag') } }), env, {});
+  assert.equal(other.status, 200);
+});
+
+test('renders feeds cached before exports existed again', async () => {
+  const icsUrl = await getCalendarUrl('all');
+  await worker.fetch(new Request(icsUrl), env, {});
+  for (const key of kv.entries.keys()) {
+    if (key.startsWith('schedule_')) kv.entries.delete(key);
+  }
+
+  const response = await worker.fetch(new Request(icsUrl.replace(/\.ics$/, '.json')), env, {});
+  assert.equal(response.status, 200);
+  assert.equal((await response.json()).events.length, 3);
+  assert.ok([...kv.entries.keys()].some(key => key.startsWith('schedule_')));
+});
+
+test('rejects unknown export links', async () => {
+  assert.equal((await worker.fetch(new Request('https://calsnap.test/not-a-token.json'), env, {})).status, 400);
+});
@@ -0,0 +1,171 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import worker from '../index.js';
+import { createKV, mockTeamSnap } from './helpers/mock-env.js';
+
+let kv;
+let env;
+let teamSnap;
+
+beforeEach(async () => {
+  kv = createKV();
+  env = { CALSNAP_CALENDAR_STORE: kv, TEAMSNAP_CLIENT_ID: 'client-id', TEAMSNAP_CLIENT_SECRET: 'client-secret' };
+  await kv.put('oauth_access_token', 'access-token');
+  await kv.put('oauth_refresh_token', 'refresh-token');
+  await kv.put('calendar_token:leafs-all', JSON.stringify({ teamId: 10, filterType: 'all' }));
+  await kv.put('calendar_token:leafs-games', JSON.stringify({ teamId: 10, filterType: 'games' }));
+
+  teamSnap = mockTeamSnap({
+    team: { id: 10, name: 'North Toronto Leafs', time_zone_iana_name: 'America/Toronto' },
+    events: [
+      {
+        id: 1,
+        is_game: true,
+        opponent_name: 'Knights',
+        game_type: 'Home',
+        start_date: '2030-09-20T19:00:00Z',
+        end_date: '2030-09-20T20:00:00Z',
+        time_zone_iana_name: 'America/Toronto',
+        updated_at: '2030-08-01T12:00:00Z',
+      },
+      {
+        id: 2,
+        is_game: false,
+        label: 'Practice',
+        start_date: '2030-09-22T14:00:00Z',
+        end_date: '2030-09-22T15:00:00Z',
+        time_zone_iana_name: 'America/Toronto',
+        updated_at: '2030-08-01T12:00:00Z',
+      },
+    ],
+  });
+});
+
+afterEach(() => {
+  teamSnap.restore();
+});
+
+const runScheduled = () => worker.scheduled({ cron: '*/30 * * * *', scheduledTime: Date.now() }, env, { waitUntil() {} });
+const request = (path, headers = {}) => worker.fetch(new Request(`https://calsnap.test${path}`, { headers }), env, { waitUntil() {} });
+const readStatus = async (feedId) => JSON.parse(await kv.get(`feed_status:${feedId}`));
+
+test('pre-renders every calendar with an ETag and status', async () => {
+  await runScheduled();
+
+  for (const feedId of ['team_10_all', 'team_10_games']) {
+    const { value, metadata } = await kv.getWithMetadata(`calendar_${feedId}`);
+    assert.match(value, /^BEGIN:VCALENDAR/);
+    assert.match(metadata.etag, /^"[0-9a-f]{32}"$/);
+    assert.equal(metadata.lastUpdate, Date.parse('2030-08-01T12:00:00Z'));
+
+    const status = await readStatus(feedId);
+    assert.equal(status.state, 'ok');
+    assert.equal(status.error, null);
+  }
+
+  assert.equal((await readStatus('team_10_all')).eventCount, 2);
+  assert.equal((await readStatus('team_10_games')).eventCount, 1);
+});
+
+test('serves the pre-rendered calendar without calling TeamSnap', async () => {
+  await runScheduled();
+  const { metadata } = await kv.getWithMetadata('calendar_team_10_all');
+  teamSnap.requests.length = 0;
+
+  const response = await request('/leafs-all.ics');
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('ETag'), metadata.etag);
+  assert.match(await response.text(), /SUMMARY:Practice/);
+  assert.deepEqual(teamSnap.requests, []);
+
+  const notModified = await request('/leafs-all.ics', { 'If-None-Match': metadata.etag });
+  assert.equal(notModified.status, 304);
+});
+
+test('keeps the ETag when nothing has changed and updates it when an event does', async () => {
+  await runScheduled();
+  const first = (await kv.getWithMetadata('calendar_team_10_all')).metadata;
+
+  await runScheduled();
+  const second = (await kv.getWithMetadata('calendar_team_10_all')).metadata;
+  assert.equal(second.etag, first.etag);
+  assert.ok(second.checkedAt >= first.checkedAt);
+
+  teamSnap.events[0].start_date = '2030-09-20T20:00:00Z';
+  teamSnap.events[0].updated_at = '2030-08-02T12:00:00Z';
+  await runScheduled();
+  const third = (await kv.getWithMetadata('calendar_team_10_all')).metadata;
+  assert.notEqual(third.etag, first.etag);
+});
+
+test('only rewrites the checked time when a refresh finds nothing new', async () => {
+  await runScheduled();
+  const writes = [];
+  const put = kv.put;
+  kv.put = async (key, ...rest) => {
+    writes.push(key);
+    return put(key, ...rest);
+  };
+
+  await runScheduled();
+  assert.deepEqual(writes.sort(), ['calendar_team_10_all', 'calendar_team_10_games']);
+
+  writes.length = 0;
+  teamSnap.events[1].start_date = '2030-09-22T15:00:00Z';
+  teamSnap.events[1].updated_at = '2030-08-02T12:00:00Z';
+  await runScheduled();
+  for (const key of ['calendar_', 'last_good:', 'schedule_', 'feed_status:']) {
+    assert.ok(writes.includes(`${key}team_10_all`), key);
+  }
+  assert.deepEqual(writes.filter(key => key.endsWith('team_10_games')), ['calendar_team_10_games']);
+});
+
+test('keeps the last good copy and records the error when TeamSnap fails', async () => {
+  await runScheduled();
+  const { value: goodCopy } = await kv.getWithMetadata('calendar_team_10_all');
+  const { lastSuccess } = await readStatus('team_10_all');
+
+  teamSnap.failing = true;
+  await runScheduled();
+
+  const status = await readStatus('team_10_all');
+  assert.equal(status.state, 'error');
+  assert.match(status.error, /503/);
+  assert.equal(status.lastSuccess, lastSuccess);
+  assert.equal((await kv.getWithMetadata('calendar_team_10_all')).value, goodCopy);
+
+  const response = await request('/leafs-all.ics?refresh=true');
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('Warning'), /stale/i);
+  assert.equal(await response.text(), goodCopy);
+});
+
+test('regenerates a calendar older than FEED_MAX_AGE in the background', async () => {
+  env.FEED_MAX_AGE = '60';
+  await runScheduled();
+  const entry = kv.entries.get('calendar_team_10_all');
+  entry.metadata = { ...entry.metadata, checkedAt: Date.now() - 120 * 1000 };
+  teamSnap.requests.length = 0;
+
+  const refreshes = [];
+  const response = await worker.fetch(new Request('https://calsnap.test/leafs-all.ics'), env, {
+    waitUntil(promise) {
+      refreshes.push(promise);
+    },
+  });
+  assert.equal(response.status, 200);
+  assert.equal(refreshes.length, 1);
+
+  await Promise.all(refreshes);
+  assert.ok(teamSnap.requests.some(path => path.startsWith('/v3/events/search')));
+  assert.ok(Date.now() - (await kv.getWithMetadata('calendar_team_10_all')).metadata.checkedAt < 60 * 1000);
+});
+
+test('returns an error when there is no copy to fall back on', async () => {
+  teamSnap.failing = true;
+  const response = await request('/leafs-all.ics');
+  assert.equal(response.status, 503);
+  assert.match(await response.text(), /^Error fetching team events: TeamSnap responded 503/);
+  assert.equal((await readStatus('team_10_all')).state, 'error');
+});
@@ -0,0 +1,202 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import worker from '../index.js';
+import { buildAlertPayload } from '../src/changes.js';
+import { unfoldLines } from '../src/ics.js';
+import { addStaleNotice, describeStaleCalendar } from '../src/stale-notice.js';
+import { createKV, mockTeamSnap, signIn } from './helpers/mock-env.js';
+
+const CALENDAR = [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'PRODID:-//TeamSnap Custom Calendar//TeamSnap Events//EN',
+  'X-WR-CALNAME:Leafs',
+  'X-WR-TIMEZONE:America/Toronto',
+  'BEGIN:VEVENT',
+  'UID:teamsnap-1@teamsnap.com',
+  'SUMMARY:Leafs vs. Knights',
+  'END:VEVENT',
+  'END:VCALENDAR',
+  '',
+].join('\r\n');
+
+test('describes why a calendar is out of date', () => {
+  const lastUpdated = Date.parse('2030-10-04T01:00:00Z');
+  assert.equal(
+    describeStaleCalendar({ signInNeeded: false, lastUpdated, timeZone: 'America/Toronto' }),
+    "CalSnap can't reach TeamSnap right now. Events may be out of date; last updated Oct 3 at 9:00 PM."
+  );
+  assert.match(describeStaleCalendar({ signInNeeded: true, lastUpdated, timeZone: 'UTC' }), /until its owner signs in to CalSnap again\. .* Oct 4 at 1:00 AM\.$/);
+});
+
+test('adds the notice to the description and as an all-day event on today', () => {
+  const notice = {
+    uid: 'calsnap-notice-team_10_all@calsnap',
+    signInNeeded: true,
+    lastUpdated: Date.parse('2030-10-01T16:00:00Z'),
+    now: Date.parse('2030-10-05T02:00:00Z'),
+  };
+  const lines = unfoldLines(addStaleNotice(CALENDAR, notice));
+
+  // Description before the first event, notice event after the last
+  assert.equal(lines.indexOf('X-WR-CALDESC:CalSnap can\'t update this calendar until its owner signs in to CalSnap again. Events may be out of date\\; last updated Oct 1 at 12:00 PM.'), 5);
+  assert.equal(lines.indexOf('BEGIN:VEVENT'), 6);
+  const noticeEvent = lines.slice(lines.lastIndexOf('BEGIN:VEVENT'), lines.lastIndexOf('END:VCALENDAR'));
+  assert.ok(noticeEvent.includes('UID:calsnap-notice-team_10_all@calsnap'));
+  assert.ok(noticeEvent.includes('SUMMARY:CalSnap: schedule may be out of date (sign-in needed)'));
+  assert.ok(noticeEvent.includes('TRANSP:TRANSPARENT'));
+
+  // Still Oct 4 in Toronto
+  assert.ok(noticeEvent.includes('DTSTART;VALUE=DATE:20301004'));
+  assert.ok(noticeEvent.includes('DTEND;VALUE=DATE:20301005'));
+
+  // The notice only changes from one day to the next, and replaces an earlier description
+  assert.equal(addStaleNotice(CALENDAR, { ...notice, now: notice.now + 3600000 }), addStaleNotice(CALENDAR, notice));
+  assert.notEqual(addStaleNotice(CALENDAR, { ...notice, now: notice.now + 86400000 }), addStaleNotice(CALENDAR, notice));
+  const again = unfoldLines(addStaleNotice(addStaleNotice(CALENDAR, notice).replace(/\r\nBEGIN:VEVENT\r\nUID:calsnap-notice[\s\S]*?END:VEVENT/, ''), notice));
+  assert.equal(again.filter(line => line.startsWith('X-WR-CALDESC')).length, 1);
+});
+
+test('builds calendar alerts for each webhook format', () => {
+  const options = { calendarName: 'Leafs <U12>', message: 'Stopped updating.' };
+  assert.deepEqual(buildAlertPayload('json', options), { calendar: 'Leafs <U12>', alert: 'Stopped updating.' });
+  assert.equal(buildAlertPayload('slack', options).text, '*Leafs &lt;U12&gt;*\nStopped updating.');
+  assert.deepEqual(buildAlertPayload('discord', options), { content: '**Leafs <U12>**\nStopped updating.', allowed_mentions: { parse: [] } });
+});
+
+let kv;
+let env;
+let teamSnap;
+let session;
+
+beforeEach(async () => {
+  kv = createKV();
+  env = { CALSNAP_CALENDAR_STORE: kv, TEAMSNAP_CLIENT_SECRET: 'client-secret', ALLOWED_USER_EMAIL: 'coach@example.com' };
+
+  teamSnap = mockTeamSnap({
+    team: { id: 10, name: 'North Toronto Leafs', time_zone_iana_name: 'America/Toronto' },
+    events: [
+      { id: 1, name: 'Practice', start_date: '2030-09-21T14:00:00Z', end_date: '2030-09-21T15:00:00Z', time_zone_iana_name: 'America/Toronto', updated_at: '2030-08-01T12:00:00Z' },
+    ],
+  });
+
+  session = await signIn(worker, env);
+});
+
+afterEach(() => {
+  teamSnap.restore();
+});
+
+const api = (method, path, body) => worker.fetch(new Request(`https://calsnap.test${path}`, {
+  method,
+  headers: { 'Content-Type': 'application/json', Cookie: session.cookie, 'X-CSRF-Token': session.csrfToken },
+  body: body ? JSON.stringify(body) : undefined,
+}), env, {});
+
+/**
+ * Makes TeamSnap refuse the signed-in user's tokens, as when they revoke CalSnap's access.
+ */
+function lapseAccess() {
+  teamSnap.expiredTokens.push(...teamSnap.tokenRequests.map((form, index) => `access-token-${index + 1}`));
+  teamSnap.revoked.push(...teamSnap.tokenRequests.map((form, index) => `refresh-token-${index + 1}`));
+}
+
+/**
+ * Makes the pre-rendered feed look as if it was last checked against TeamSnap some hours ago.
+ */
+async function ageFeed(hours) {
+  const key = [...kv.entries.keys()].find(name => name.startsWith('calendar_team_'));
+  const entry = kv.entries.get(key);
+  entry.metadata = { ...entry.metadata, checkedAt: Date.now() - hours * 3600000 };
+}
+
+test('serves the last good copy with a sign-in notice once access lapses, and alerts the team once', async () => {
+  const { teams } = await (await api('GET', '/api/teams')).json();
+  const feedUrl = teams[0].calendars.all;
+  const goodResponse = await worker.fetch(new Request(feedUrl), env, {});
+  const goodCopy = await goodResponse.text();
+  await api('POST', '/api/webhooks', { teamId: 10, url: 'https://hooks.example.com/json', format: 'json', calendar: 'all' });
+
+  // The 30-day copy has expired too; only the last good copy is left
+  for (const key of [...kv.entries.keys()].filter(name => name.startsWith('calendar_team_'))) {
+    await kv.delete(key);
+  }
+  lapseAccess();
+
+  const response = await worker.fetch(new Request(feedUrl), env, {});
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('Warning'), /stale/i);
+  assert.notEqual(response.headers.get('ETag'), goodResponse.headers.get('ETag'));
+  const ics = unfoldLines(await response.text()).join('\n');
+  assert.match(ics, /X-WR-CALDESC:CalSnap can't update this calendar until its owner signs in to CalSnap again\./);
+  assert.match(ics, /SUMMARY:CalSnap: schedule may be out of date \(sign-in needed\)/);
+  assert.ok(ics.includes('SUMMARY:Practice'));
+  assert.equal(ics.match(/BEGIN:VEVENT/g).length, goodCopy.match(/BEGIN:VEVENT/g).length + 1);
+
+  await worker.fetch(new Request(feedUrl), env, {});
+  assert.equal(teamSnap.webhooks.length, 1);
+  assert.deepEqual(teamSnap.webhooks[0].body, {
+    calendar: 'North Toronto Leafs',
+    alert: "CalSnap can't update this calendar until its owner signs in to CalSnap again. Subscribers keep the last copy until then.",
+  });
+
+  // The settings page asks the user to sign in again
+  const lapsed = await api('GET', '/api/teams');
+  assert.equal(lapsed.status, 401);
+  const { signIn: signInNeeded, authHealth } = await lapsed.json();
+  assert.equal(signInNeeded, true);
+  assert.equal(authHealth.state, 'lapsed');
+  const login = await worker.fetch(new Request('https://calsnap.test/login', { headers: { Cookie: session.cookie } }), env, {});
+  assert.equal(new URL(login.headers.get('Location')).pathname, '/oauth/authorize');
+
+  // Signing in again brings the calendar back without the notice
+  session = await signIn(worker, env);
+  const restored = await (await api('GET', '/api/teams')).json();
+  assert.equal(restored.authHealth.state, 'restored');
+  assert.equal(restored.authHealth.since, authHealth.since);
+  const current = await (await worker.fetch(new Request(`${feedUrl}?refresh=true`), env, {})).text();
+  assert.doesNotMatch(current, /X-WR-CALDESC|calsnap-notice/);
+});
+
+test('notes a calendar TeamSnap has not confirmed for a while', async () => {
+  await kv.put('calendar_token:leafs-all', JSON.stringify({ teamId: 10, filterType: 'all', userId: 1 }));
+  const feedUrl = 'https://calsnap.test/leafs-all.ics';
+  await worker.fetch(new Request(feedUrl), env, {});
+  teamSnap.failing = true;
+
+  // A copy two hours old is due a refresh, which fails, but is served as it is
+  await ageFeed(2);
+  const recent = await (await worker.fetch(new Request(feedUrl), env, {})).text();
+  assert.doesNotMatch(recent, /X-WR-CALDESC/);
+  assert.equal(JSON.parse(await kv.get('feed_status:team_10_all_1')).errorStatus, 503);
+
+  await ageFeed(7);
+  const response = await worker.fetch(new Request(feedUrl), env, {});
+  const ics = unfoldLines(await response.text());
+  assert.ok(ics.find(line => line.startsWith('X-WR-CALDESC:')).startsWith("X-WR-CALDESC:CalSnap can't reach TeamSnap right now. Events may be out of date"));
+  assert.ok(ics.includes('SUMMARY:CalSnap: schedule may be out of date'));
+
+  // Conditional requests get the notice's own ETag
+  const again = await worker.fetch(new Request(feedUrl, { headers: { 'If-None-Match': response.headers.get('ETag') } }), env, {});
+  assert.equal(again.status, 304);
+
+  // The exports are left as they are
+  const json = await (await worker.fetch(new Request('https://calsnap.test/leafs-all.json'), env, {})).text();
+  assert.doesNotMatch(json, /CalSnap/);
+});
+
+test('keeps the last good copy through invalidation, and removes it with the calendar', async () => {
+  const { teams } = await (await api('GET', '/api/teams')).json();
+  await worker.fetch(new Request(teams[0].calendars.all), env, {});
+  const { calendar } = await (await api('POST', '/api/custom-calendars', { teamId: 10, name: 'Practices', filters: { types: ['practice'] } })).json();
+  await worker.fetch(new Request(calendar.url), env, {});
+  const lastGood = () => [...kv.entries.keys()].filter(name => name.startsWith('last_good:'));
+  assert.equal(lastGood().length, 2);
+
+  await api('POST', '/api/team-settings', { teamId: 10, customName: 'Leafs' });
+  assert.equal(lastGood().length, 2);
+
+  await api('DELETE', `/api/custom-calendars?teamId=10&id=${calendar.id}`);
+  assert.deepEqual(lastGood(), ['last_good:team_10_all_1']);
+});
@@ -0,0 +1,251 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import worker from '../index.js';
+import {
+  TeamSnapAccessError,
+  TeamSnapAuthError,
+  TeamSnapError,
+  TeamSnapRateLimitError,
+  TeamSnapUnavailableError,
+  createTeamSnapClient,
+  parseRetryAfter,
+} from '../src/teamsnap-api.js';
+import { createKV, item, mockTeamSnap } from './helpers/mock-env.js';
+
+const page = (items, next) => new Response(JSON.stringify({
+  collection: { items: items.map(item), links: next ? [{ rel: 'next', href: next }] : [] },
+}));
+
+/**
+ * Creates a client whose fetch answers with the given responses in turn, recording requests and waits.
+ */
+function createClient(responses, options = {}) {
+  const requests = [];
+  const waits = [];
+  const client = createTeamSnapClient({
+    baseUrl: 'https://api.teamsnap.test/v3',
+    getAccessToken: async () => 'access-token',
+    fetch: async (url, init) => {
+      requests.push({ url, token: init.headers.Authorization });
+      const response = responses.shift();
+      if (response instanceof Error) throw response;
+      return typeof response === 'function' ? response(init) : response;
+    },
+    sleep: async (milliseconds) => {
+      waits.push(milliseconds);
+    },
+    ...options,
+  });
+  return { client, requests, waits };
+}
+
+test('reads Retry-After as seconds or a date', () => {
+  const now = Date.parse('2030-09-20T12:00:00Z');
+  assert.equal(parseRetryAfter('5', now), 5000);
+  assert.equal(parseRetryAfter('Fri, 20 Sep 2030 12:00:30 GMT', now), 30000);
+  assert.equal(parseRetryAfter('Fri, 20 Sep 2030 11:00:00 GMT', now), 0);
+  assert.equal(parseRetryAfter('soon', now), null);
+  assert.equal(parseRetryAfter(null, now), null);
+});
+
+test('retries server errors and network failures with exponential backoff', async () => {
+  const { client, requests, waits } = createClient([
+    new Response('Bad Gateway', { status: 502 }),
+    new TypeError('fetch failed'),
+    page([{ id: 1 }]),
+  ]);
+  const data = await client.get('/teams/10');
+  assert.deepEqual(data.collection.items, [item({ id: 1 })]);
+  assert.equal(requests.length, 3);
+  assert.deepEqual(waits, [500, 1000]);
+});
+
+test('gives up with a typed error once the retries run out', async () => {
+  const { client, requests } = createClient([
+    new Response('Unavailable', { status: 503 }),
+    new Response('Unavailable', { status: 503 }),
+    new Response(JSON.stringify({ collection: { error: { message: 'Down for maintenance' } } }), { status: 503 }),
+  ]);
+  await assert.rejects(client.get('/teams/10'), (error) => {
+    assert.ok(error instanceof TeamSnapUnavailableError);
+    assert.equal(error.status, 503);
+    assert.equal(error.message, 'TeamSnap responded 503: Down for maintenance');
+    return true;
+  });
+  assert.equal(requests.length, 3);
+
+  const notFound = createClient([new Response('Not Found', { status: 404 })]);
+  await assert.rejects(notFound.client.get('/teams/11'), (error) => error instanceof TeamSnapError && error.status === 404);
+  assert.equal(notFound.requests.length, 1);
+});
+
+test('waits as long as Retry-After asks, unless it is too long', async () => {
+  const { client, waits } = createClient([
+    new Response('Slow down', { status: 429, headers: { 'Retry-After': '2' } }),
+    page([]),
+  ]);
+  await client.get('/teams/10');
+  assert.deepEqual(waits, [2000]);
+
+  const limited = createClient([new Response('Slow down', { status: 429, headers: { 'Retry-After': '3600' } })]);
+  await assert.rejects(limited.client.get('/teams/10'), (error) => {
+    assert.ok(error instanceof TeamSnapRateLimitError);
+    assert.equal(error.retryAfter, 3600);
+    return true;
+  });
+  assert.deepEqual(limited.waits, []);
+});
+
+test('times out requests that hang', async () => {
+  // The timer keeps the test running; AbortSignal.timeout's own timer does not
+  const hang = (init) => new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, 5000, new Response('Too late'));
+    init.signal.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(init.signal.reason);
+    });
+  });
+  const { client, requests } = createClient([hang, hang], { timeout: 10, retries: 1 });
+  await assert.rejects(client.get('/teams/10'), (error) => {
+    assert.ok(error instanceof TeamSnapUnavailableError);
+    assert.equal(error.message, 'TeamSnap did not respond within 0.01 seconds');
+    return true;
+  });
+  assert.equal(requests.length, 2);
+});
+
+test('refreshes a rejected access token once', async () => {
+  let refreshes = 0;
+  const { client, requests } = createClient([
+    new Response('Unauthorized', { status: 401 }),
+    page([{ id: 1 }]),
+  ], { refreshAccessToken: async () => `new-access-token-${++refreshes}` });
+  await client.get('/teams/10');
+  assert.deepEqual(requests.map(request => request.token), ['Bearer access-token', 'Bearer new-access-token-1']);
+
+  const rejected = createClient([
+    new Response('Unauthorized', { status: 401 }),
+    new Response('Unauthorized', { status: 401 }),
+  ], { refreshAccessToken: async () => 'new-access-token' });
+  await assert.rejects(rejected.client.get('/teams/10'), TeamSnapAuthError);
+  assert.equal(rejected.requests.length, 2);
+
+  const signedOut = createClient([], { getAccessToken: async () => null });
+  await assert.rejects(signedOut.client.get('/teams/10'), TeamSnapAuthError);
+});
+
+test('follows paging links and gathers every page', async () => {
+  const next = 'https://api.teamsnap.test/v3/events/search?team_id=10&page_number=2';
+  const { client, requests } = createClient([
+    page([{ id: 1 }, { id: 2 }], next),
+    page([{ id: 3 }], next),
+  ]);
+  const data = await client.get('/events/search?team_id=10');
+  assert.deepEqual(data.collection.items.map(event => event.data[0].value), [1, 2, 3]);
+  assert.deepEqual(requests.map(request => request.url), ['https://api.teamsnap.test/v3/events/search?team_id=10', next]);
+});
+
+test('only treats 401 as lapsed access', async () => {
+  const { client } = createClient([new Response('Unauthorized', { status: 401 })]);
+  await assert.rejects(client.get('/teams/10'), (error) => error instanceof TeamSnapAuthError && error.status === 401);
+
+  const forbidden = createClient([new Response('Forbidden', { status: 403 })]);
+  await assert.rejects(forbidden.client.get('/teams/10'), (error) => {
+    assert.ok(error instanceof TeamSnapAccessError);
+    assert.ok(!(error instanceof TeamSnapAuthError));
+    assert.equal(error.status, 403);
+    return true;
+  });
+});
+
+test('only follows paging links to the API\'s own origin', async () => {
+  const { client, requests } = createClient([
+    page([{ id: 1 }], 'https://collector.example.com/v3/events/search?page_number=2'),
+  ]);
+  const data = await client.get('/events/search?team_id=10');
+  assert.deepEqual(data.collection.items.map(event => event.data[0].value), [1]);
+  assert.equal(requests.length, 1);
+
+  const relative = createClient([
+    page([{ id: 1 }], '/v3/events/search?team_id=10&page_number=2'),
+    page([{ id: 2 }]),
+  ]);
+  await relative.client.get('/events/search?team_id=10');
+  assert.equal(relative.requests[1].url, 'https://api.teamsnap.test/v3/events/search?team_id=10&page_number=2');
+});
+
+let kv;
+let env;
+let teamSnap;
+
+beforeEach(async () => {
+  kv = createKV();
+  env = { CALSNAP_CALENDAR_STORE: kv, TEAMSNAP_CLIENT_ID: 'client-id', TEAMSNAP_CLIENT_SECRET: 'client-secret' };
+  await kv.put('oauth_access_token', 'access-token');
+  await kv.put('oauth_refresh_token', 'refresh-token');
+  await kv.put('calendar_token:leafs-all', JSON.stringify({ teamId: 10, filterType: 'all' }));
+
+  const event = (id, day) => ({
+    id,
+    name: 'Practice',
+    start_date: `2030-09-${day}T14:00:00Z`,
+    end_date: `2030-09-${day}T15:00:00Z`,
+    time_zone_iana_name: 'America/Toronto',
+    updated_at: '2030-08-01T12:00:00Z',
+  });
+  teamSnap = mockTeamSnap({
+    team: { id: 10, name: 'North Toronto Leafs', time_zone_iana_name: 'America/Toronto' },
+    events: [event(1, 14), event(2, 21), event(3, 28)],
+  });
+});
+
+afterEach(() => {
+  teamSnap.restore();
+});
+
+const request = (path) => worker.fetch(new Request(`https://calsnap.test${path}`), env, {});
+
+test('renders every page of a large schedule', async () => {
+  teamSnap.pageSize = 2;
+  const ics = await (await request('/leafs-all.ics')).text();
+  assert.equal(ics.match(/BEGIN:VEVENT/g).length, 3);
+  assert.equal(teamSnap.requests.filter(path => path.startsWith('/v3/events/search')).length, 2);
+});
+
+test('refreshes an access token TeamSnap rejects while rendering', async () => {
+  teamSnap.expiredTokens.push('access-token');
+  const response = await request('/leafs-all.ics');
+  assert.equal(response.status, 200);
+  assert.equal(teamSnap.tokenRequests.filter(form => form.grant_type === 'refresh_token').length, 1);
+  assert.equal(await kv.get('oauth_access_token'), 'access-token-1');
+});
+
+test('falls back to the stored copy when TeamSnap fails, even with the cache off', async () => {
+  const goodCopy = await (await request('/leafs-all.ics')).text();
+  teamSnap.failing = true;
+
+  const response = await request('/leafs-all.ics?cache=off');
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('Warning'), /stale/i);
+  assert.equal(await response.text(), goodCopy);
+});
+
+test('reports lapsed TeamSnap access as 401', async () => {
+  teamSnap.expiredTokens.push('access-token');
+  teamSnap.revoked.push('refresh-token');
+  const response = await request('/leafs-all.ics');
+  assert.equal(response.status, 401);
+});
+
+test('reports a team TeamSnap no longer shows as 403, without asking to sign in again', async () => {
+  const fetchTeamSnap = globalThis.fetch;
+  globalThis.fetch = async (input, init) => (String(input).includes('/events/search')
+    ? new Response('Forbidden', { status: 403 })
+    : fetchTeamSnap(input, init));
+
+  const response = await request('/leafs-all.ics');
+  assert.equal(response.status, 403);
+  assert.equal(JSON.parse(await kv.get('feed_status:team_10_all')).errorStatus, 403);
+  assert.equal(await kv.get('auth_health'), null);
+});
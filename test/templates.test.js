@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DEFAULT_TEMPLATES, buildTemplateContext, formatGameTime, parseTemplate, renderTemplate, validateTemplate } from '../src/templates.js';
+
+const game = {
+  id: 1,
+  is_game: true,
+  opponent_name: 'Knights',
+  game_type: 'Home',
+  uniform: 'White',
+  location_name: 'Canlan',
+  start_date: '2030-09-20T19:00:00Z',
+  end_date: '2030-09-20T20:00:00Z',
+  arrival_date: '2030-09-20T18:30:00Z',
+  minutes_to_arrive_early: 30,
+  time_zone_iana_name: 'America/Toronto',
+};
+
+const context = (eventData = game, options = {}) => buildTemplateContext(eventData, {
+  teamId: 10,
+  teamName: 'Leafs',
+  title: 'Leafs vs. Knights',
+  location: null,
+  ...options,
+});
+
+test('fills in fields and dotted location fields', () => {
+  assert.equal(renderTemplate('{title} in {uniform}', context()), 'Leafs vs. Knights in White');
+  assert.equal(renderTemplate('{location.city}', { location: { city: 'Toronto' } }), 'Toronto');
+  assert.equal(renderTemplate('[{missing}] [{location.missing.deeper}]', { location: {} }), '[] []');
+  assert.equal(renderTemplate('{count}', { count: 0 }), '0');
+});
+
+test('shows sections when a field has a value, and inverted sections when it does not', () => {
+  const template = '{#uniform}Wear {uniform}{/uniform}{^uniform}No uniform{/uniform}';
+  assert.equal(renderTemplate(template, { uniform: 'White' }), 'Wear White');
+  assert.equal(renderTemplate(template, { uniform: '' }), 'No uniform');
+  assert.equal(renderTemplate(template, { uniform: null }), 'No uniform');
+  assert.equal(renderTemplate('{#flag}yes{/flag}', { flag: false }), '');
+  assert.equal(renderTemplate('{#a}A{#b}B{/b}{/a}', { a: 1, b: 1 }), 'AB');
+  assert.equal(renderTemplate('{#a}A{#b}B{/b}{/a}', { a: 1 }), 'A');
+});
+
+test('compares equality sections ignoring case and spaces around the value', () => {
+  const template = '{#game_type=Home}Home game{/game_type}{^game_type= away }Not away{/game_type}';
+  assert.equal(renderTemplate(template, { game_type: 'home' }), 'Home gameNot away');
+  assert.equal(renderTemplate(template, { game_type: 'Away' }), '');
+  assert.equal(renderTemplate(template, {}), 'Not away');
+});
+
+test('drops the line break after section tags alone on their line', () => {
+  const template = [
+    'First',
+    '{#uniform}',
+    '  Uniform: {uniform}',
+    '{/uniform}',
+    '  {^notes}  ',
+    'No notes',
+    '{/notes}',
+    'Last',
+  ].join('\n');
+  assert.equal(renderTemplate(template, { uniform: 'White' }), 'First\n  Uniform: White\nNo notes\nLast');
+  assert.equal(renderTemplate(template, { notes: 'Bring water' }), 'First\nLast');
+  assert.equal(renderTemplate('A {#x}B{/x}\nC', { x: 1 }), 'A B\nC');
+});
+
+test('rejects sections that are not closed in order', () => {
+  assert.throws(() => parseTemplate('{#a}text'), /Missing closing tag \{\/a\}/);
+  assert.throws(() => parseTemplate('text{/a}'), /Unexpected closing tag \{\/a\}/);
+  assert.match(validateTemplate('{#a}{#b}{/a}{/b}'), /Unexpected closing tag \{\/a\}/);
+  assert.equal(validateTemplate('{#a}{/a} {plain} {not a tag} {'), null);
+  assert.equal(validateTemplate(''), null);
+});
+
+test('builds the context with times in the event time zone', () => {
+  const values = context(game, { startsAtArrival: true });
+  assert.equal(values.matchup, 'Home vs. Knights');
+  assert.equal(values.team_name, 'Leafs');
+  assert.equal(values.start_day, 'Fri, Sep 20');
+  assert.equal(values.start_time, '3:00 PM');
+  assert.equal(values.end_time, '4:00 PM');
+  assert.equal(values.arrival_time, '2:30 PM');
+  assert.equal(values.game_time, '3:00');
+  assert.equal(values.starts_at_arrival, true);
+  assert.equal(values.event_url, 'https://go.teamsnap.com/10/schedule/view_event/1');
+
+  assert.equal(context({ ...game, game_type: 'Away' }).matchup, 'Away at Knights');
+  assert.equal(context({ ...game, game_type: null, label: 'Exhibition' }).matchup, 'Exhibition vs. Knights');
+  assert.equal(context({ ...game, is_game: false }).matchup, '');
+  assert.equal(context({ ...game, additional_location_details: 'TBD' }).venue_details, '');
+  assert.equal(context({ ...game, is_tbd: true }).start_time, 'TBD');
+});
+
+test('formats times without failing on a time zone the runtime does not know', () => {
+  const values = context({ ...game, time_zone_iana_name: 'America/Not_A_Zone' });
+  assert.match(values.start_time, /^\d{1,2}:\d{2} [AP]M$/);
+  assert.equal(values.start_day, 'Fri, Sep 20');
+  assert.match(formatGameTime(game.start_date, 'Mars/Olympus_Mons'), /^\d{1,2}:\d{2}$/);
+});
+
+test('renders the default game description', () => {
+  assert.equal(renderTemplate(DEFAULT_TEMPLATES.gameDescription, context()), [
+    'Home vs. Knights',
+    'Uniform: White',
+    '',
+    'Canlan',
+    'Arrival: 2:30 PM · 30 min. early',
+    '',
+  ].join('\n'));
+});
@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  findTransitions,
+  formatDateTimeProperty,
+  formatIsoDateTime,
+  formatLocalDateTime,
+  generateVTimezone,
+  getTimeZoneOffset,
+  isValidTimeZone,
+} from '../src/timezone.js';
+
+test('reports offsets on both sides of a DST change', () => {
+  assert.equal(getTimeZoneOffset(new Date('2025-01-15T12:00:00Z'), 'America/New_York'), -300);
+  assert.equal(getTimeZoneOffset(new Date('2025-07-15T12:00:00Z'), 'America/New_York'), -240);
+  assert.equal(getTimeZoneOffset(new Date('2025-07-15T12:00:00Z'), 'Australia/Sydney'), 600);
+  assert.equal(getTimeZoneOffset(new Date('2025-01-15T12:00:00Z'), 'Australia/Sydney'), 660);
+});
+
+test('finds spring-forward and fall-back instants', () => {
+  const transitions = findTransitions('America/New_York', 2025);
+
+  assert.equal(transitions.length, 2);
+  assert.equal(transitions[0].at.toISOString(), '2025-03-09T07:00:00.000Z');
+  assert.deepEqual([transitions[0].offsetFrom, transitions[0].offsetTo], [-300, -240]);
+  assert.equal(transitions[1].at.toISOString(), '2025-11-02T06:00:00.000Z');
+  assert.deepEqual([transitions[1].offsetFrom, transitions[1].offsetTo], [-240, -300]);
+});
+
+test('writes local times across the spring-forward gap', () => {
+  // 1:30 AM EST, then 3:30 AM EDT one hour later
+  assert.equal(formatLocalDateTime(new Date('2025-03-09T06:30:00Z'), 'America/New_York'), '20250309T013000');
+  assert.equal(formatLocalDateTime(new Date('2025-03-09T07:30:00Z'), 'America/New_York'), '20250309T033000');
+});
+
+test('writes local times across the fall-back overlap', () => {
+  // 1:30 AM occurs twice: first in EDT, then in EST
+  assert.equal(formatLocalDateTime(new Date('2025-11-02T05:30:00Z'), 'America/New_York'), '20251102T013000');
+  assert.equal(formatLocalDateTime(new Date('2025-11-02T06:30:00Z'), 'America/New_York'), '20251102T013000');
+});
+
+test('game times keep their wall-clock hour through DST', () => {
+  // A 7:00 PM weekly game before and after the November change
+  assert.equal(
+    formatDateTimeProperty('DTSTART', new Date('2025-10-25T23:00:00Z'), 'America/Toronto'),
+    'DTSTART;TZID=America/Toronto:20251025T190000'
+  );
+  assert.equal(
+    formatDateTimeProperty('DTSTART', new Date('2025-11-08T00:00:00Z'), 'America/Toronto'),
+    'DTSTART;TZID=America/Toronto:20251107T190000'
+  );
+});
+
+test('falls back to UTC for missing or unknown time zones', () => {
+  const date = new Date('2025-09-20T19:00:00Z');
+
+  assert.equal(isValidTimeZone('Not/A_Zone'), false);
+  assert.equal(formatDateTimeProperty('DTSTART', date, null), 'DTSTART:20250920T190000Z');
+  assert.equal(formatDateTimeProperty('DTSTART', date, 'Not/A_Zone'), 'DTSTART:20250920T190000Z');
+});
+
+test('writes ISO 8601 times with the local offset', () => {
+  assert.equal(formatIsoDateTime(new Date('2025-09-20T19:00:00Z'), 'America/Toronto'), '2025-09-20T15:00:00-04:00');
+  assert.equal(formatIsoDateTime(new Date('2025-01-20T19:00:00Z'), 'Asia/Kolkata'), '2025-01-21T00:30:00+05:30');
+  assert.equal(formatIsoDateTime(new Date('2025-09-20T19:00:00Z'), 'Not/AZone'), '2025-09-20T19:00:00Z');
+});
+
+test('generates yearly rules for North American DST', () => {
+  const lines = generateVTimezone('America/New_York', 2025, 2026);
+  const text = lines.join('\n');
+
+  assert.equal(lines[0], 'BEGIN:VTIMEZONE');
+  assert.equal(lines[1], 'TZID:America/New_York');
+  assert.equal(lines[lines.length - 1], 'END:VTIMEZONE');
+  assert.match(text, /BEGIN:DAYLIGHT\nDTSTART:20240310T020000\nTZOFFSETFROM:-0500\nTZOFFSETTO:-0400\nTZNAME:EDT\nRRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU\nEND:DAYLIGHT/);
+  assert.match(text, /BEGIN:STANDARD\nDTSTART:20241103T020000\nTZOFFSETFROM:-0400\nTZOFFSETTO:-0500\nTZNAME:EST\nRRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU\nEND:STANDARD/);
+});
+
+test('uses last-weekday rules for European DST', () => {
+  const text = generateVTimezone('Europe/London', 2025, 2025).join('\n');
+
+  assert.match(text, /DTSTART:20240331T010000\nTZOFFSETFROM:\+0000\nTZOFFSETTO:\+0100\n.*\nRRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU/);
+  assert.match(text, /DTSTART:20241027T020000\nTZOFFSETFROM:\+0100\nTZOFFSETTO:\+0000\n.*\nRRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU/);
+});
+
+test('handles southern-hemisphere DST', () => {
+  const text = generateVTimezone('Australia/Sydney', 2025, 2025).join('\n');
+
+  assert.match(text, /BEGIN:DAYLIGHT\nDTSTART:20241006T020000\nTZOFFSETFROM:\+1000\nTZOFFSETTO:\+1100/);
+  assert.match(text, /BEGIN:STANDARD\nDTSTART:20240407T030000\nTZOFFSETFROM:\+1100\nTZOFFSETTO:\+1000/);
+});
+
+test('writes a single observance for zones without DST', () => {
+  const lines = generateVTimezone('America/Regina', 2025, 2025);
+
+  assert.deepEqual(lines.slice(2, 6), [
+    'BEGIN:STANDARD',
+    'DTSTART:19700101T000000',
+    'TZOFFSETFROM:-0600',
+    'TZOFFSETTO:-0600',
+  ]);
+  assert.equal(lines.filter(line => line.startsWith('BEGIN:')).length, 2);
+});
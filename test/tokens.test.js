@@ -0,0 +1,112 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import worker from '../index.js';
+import { createKV, mockTeamSnap, signIn } from './helpers/mock-env.js';
+
+let kv;
+let env;
+let teamSnap;
+let session;
+
+beforeEach(async () => {
+  kv = createKV();
+  env = { CALSNAP_CALENDAR_STORE: kv, TEAMSNAP_CLIENT_SECRET: 'client-secret', ALLOWED_USER_EMAIL: 'coach@example.com' };
+  await kv.put('oauth_access_token', 'access-token');
+
+  teamSnap = mockTeamSnap({
+    team: { id: 10, name: 'North Toronto Leafs', time_zone_iana_name: 'America/Toronto' },
+    events: [
+      { id: 1, is_game: true, opponent_name: 'Knights', start_date: '2030-09-20T19:00:00Z', time_zone_iana_name: 'America/Toronto', updated_at: '2030-08-01T12:00:00Z' },
+    ],
+  });
+
+  session = await signIn(worker, env);
+});
+
+afterEach(() => {
+  teamSnap.restore();
+});
+
+const api = (method, path, body) => worker.fetch(new Request(`https://calsnap.test${path}`, {
+  method,
+  headers: { 'Content-Type': 'application/json', Cookie: session.cookie, 'X-CSRF-Token': session.csrfToken },
+  body: body ? JSON.stringify(body) : undefined,
+}), env, {});
+
+const listTeam = async () => (await (await api('GET', '/api/teams')).json()).teams[0];
+
+// The token links had before they were stored: a hash of the team name, calendar type and client secret
+const hashedToken = async (teamName, filterType) => {
+  const hash = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${teamName}:${filterType}:client-secret`));
+  return Buffer.from(hash).toString('hex').substring(0, 32);
+};
+
+const subscribe = (url, userAgent = 'Calendar/1.0') => worker.fetch(new Request(url, { headers: { 'User-Agent': userAgent } }), env, {});
+
+test('keeps the hashed link subscribers already have, even after a team rename', async () => {
+  const legacyToken = await hashedToken('North Toronto Leafs', 'all');
+  await kv.put(`calendar_token:${legacyToken}`, JSON.stringify({ teamId: 10, filterType: 'all' }));
+
+  const { feeds } = await listTeam();
+  assert.equal(feeds.all.id, 'team_10_all_1');
+  assert.deepEqual(feeds.all.tokens.map(token => token.label), ['Original link']);
+  assert.equal(feeds.all.tokens[0].token, legacyToken);
+  assert.equal(feeds.games.tokens[0].label, 'Default', 'calendars without a hashed link get a random one');
+  assert.equal((await subscribe(feeds.all.url)).status, 200);
+
+  teamSnap.teams[0].name = 'North Toronto Leafs 2014';
+  const renamed = await listTeam();
+  assert.equal(renamed.calendars.all, feeds.all.url);
+  assert.equal((await subscribe(renamed.calendars.all)).status, 200);
+});
+
+test('issues labelled links that share one feed and record their last use', async () => {
+  const { feeds } = await listTeam();
+  const response = await api('POST', '/api/calendar-tokens', { calendar: feeds.games.id, label: "Grandma's phone" });
+  assert.equal(response.status, 200);
+  const { feed } = await response.json();
+  assert.equal(feed.tokens.length, 2);
+
+  const grandma = feed.tokens[1];
+  assert.equal(grandma.label, "Grandma's phone");
+  assert.match(grandma.token, /^[0-9a-f]{32}$/);
+  assert.equal(grandma.lastAccess, null);
+
+  assert.equal((await subscribe(grandma.url, 'iOS/17.0 dataaccessd/1.0')).status, 200);
+  assert.equal((await subscribe(feeds.games.url)).status, 200);
+  assert.ok(kv.entries.has('calendar_team_10_games_1'));
+  assert.equal(teamSnap.requests.filter(path => path.startsWith('/v3/events/search')).length, 1, 'the second link is served from the shared feed');
+
+  const { feeds: listed } = await listTeam();
+  assert.equal(listed.games.tokens[1].userAgent, 'iOS/17.0 dataaccessd/1.0');
+  assert.ok(Date.now() - listed.games.tokens[1].lastAccess < 60 * 1000);
+});
+
+test('rotates and revokes links', async () => {
+  const { feeds } = await listTeam();
+  const original = feeds.all.tokens[0];
+
+  const rotated = (await (await api('POST', '/api/calendar-tokens', { calendar: feeds.all.id, rotate: original.token })).json()).feed;
+  assert.equal(rotated.tokens.length, 1);
+  assert.equal(rotated.tokens[0].label, 'Default');
+  assert.notEqual(rotated.tokens[0].token, original.token);
+  assert.equal((await subscribe(original.url)).status, 400);
+  assert.equal((await subscribe(rotated.tokens[0].url)).status, 200);
+
+  const revoked = await api('DELETE', `/api/calendar-tokens?calendar=${feeds.all.id}&token=${rotated.tokens[0].token}`);
+  assert.deepEqual((await revoked.json()).feed.tokens, []);
+  assert.equal((await subscribe(rotated.tokens[0].url)).status, 400);
+
+  // Revoking every link does not issue a new one
+  const { calendars } = await listTeam();
+  assert.equal(calendars.all, null);
+  assert.equal((await subscribe(original.url)).status, 400);
+});
+
+test('rejects unknown calendars and links', async () => {
+  assert.equal((await api('POST', '/api/calendar-tokens', { calendar: 'nonsense', label: 'Phone' })).status, 400);
+  assert.equal((await api('POST', '/api/calendar-tokens', { calendar: 'combined_missing', label: 'Phone' })).status, 404);
+  assert.equal((await api('POST', '/api/calendar-tokens', { calendar: 'team_10_all_1', label: ' ' })).status, 400);
+  assert.equal((await api('DELETE', '/api/calendar-tokens?calendar=team_10_all_1&token=abc')).status, 404);
+});